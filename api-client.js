@@ -1,136 +1,357 @@
 import { CONFIG } from './config.js';
-import { sleep, retryWithBackoff } from './utils.js';
+import { retryWithBackoff, deadlineSignal } from './utils.js';
+import { Cassette } from './cassette.js';
+import { RateLimiter } from './rate-limiter.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { describeShapeChange, paginationShape } from './checkpoint.js';
+import { PaginationIntegrity, logIntegrityReport } from './pagination-integrity.js';
+import { checkResponse } from './schemas.js';
+import { ApiError, NetworkError, RateLimitError, errorFromResponse } from './errors.js';
+import { logger } from './logger.js';
+import { MetricsCollector } from './metrics.js';
 
 /**
  * API Client for Healthcare Assessment API
  */
 export class ApiClient {
-  constructor() {
-    this.baseURL = CONFIG.API_BASE_URL;
-    this.apiKey = CONFIG.API_KEY;
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || CONFIG.API_BASE_URL;
+    // options.apiKey, else CONFIG.API_KEY when the first request is made, so
+    // a client can be built (and payloads built) without API_KEY set
+    this.configuredApiKey = options.apiKey || null;
     this.headers = {
-      'x-api-key': this.apiKey,
       'Content-Type': 'application/json',
       'User-Agent': 'HealthcareAssessment/1.0.0'
     };
+    this.cassette = options.cassette || (CONFIG.CASSETTE_MODE
+      ? new Cassette({ mode: CONFIG.CASSETTE_MODE, dir: CONFIG.CASSETTE_DIR })
+      : null);
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker();
+    this.concurrency = options.concurrency || CONFIG.CONCURRENCY;
+    this.timeout = options.timeout ?? CONFIG.REQUEST_TIMEOUT;
+    this.retryAttempts = options.retryAttempts ?? CONFIG.RETRY_ATTEMPTS;
+    this.retryDelay = options.retryDelay ?? CONFIG.RETRY_DELAY;
+    this.schemaMode = options.schemaMode || CONFIG.SCHEMA_MODE;
+    this.logger = options.logger || logger;
+    this.metrics = options.metrics || new MetricsCollector();
+  }
+
+  /**
+   * The API key sent with each request; throws when none was given and
+   * API_KEY is not set
+   */
+  get apiKey() {
+    return this.configuredApiKey || CONFIG.API_KEY;
+  }
+
+  /**
+   * Send a request over the network, or through the cassette when recording/replaying
+   */
+  fetch(url, options) {
+    return this.cassette ? this.cassette.fetch(url, options) : fetch(url, options);
   }
 
   /**
    * Make HTTP request with retry logic and rate limiting
+   *
+   * Failures surface as the typed errors in errors.js; RateLimitError,
+   * ServerError, TimeoutError and NetworkError are retried with jittered
+   * backoff, unless `options.shouldRetry` narrows that (see
+   * retryWithBackoff). `options.signal` cancels the request, its retries
+   * and any wait. Every attempt and retry is recorded in this.metrics.
    */
   async makeRequest(url, options = {}) {
+    const { signal, shouldRetry, ...fetchOptions } = options;
     const fullUrl = `${this.baseURL}${url}`;
     const requestOptions = {
-      ...options,
+      ...fetchOptions,
       headers: {
         ...this.headers,
-        ...options.headers
+        'x-api-key': this.apiKey,
+        ...fetchOptions.headers
       }
     };
 
-    return retryWithBackoff(async () => {
-      try {
-        const response = await fetch(fullUrl, requestOptions);
-        
-        // Handle rate limiting
-        if (response.status === 429) {
-          console.log('Rate limited, waiting before retry...');
-          await sleep(CONFIG.RATE_LIMIT_DELAY);
-          throw new Error('Rate limited');
-        }
+    return retryWithBackoff(
+      () => this.attempt(fullUrl, requestOptions, signal, url.split('?')[0]),
+      this.retryAttempts,
+      this.retryDelay,
+      { signal, shouldRetry, logger: this.logger, metrics: this.metrics }
+    );
+  }
 
-        // Handle server errors
-        if (response.status >= 500) {
-          throw new Error(`Server error: ${response.status}`);
-        }
+  /**
+   * One attempt: wait for the rate limiter and circuit breaker, then fetch
+   * and read the JSON body within the per-request timeout. The attempt is
+   * counted under `endpoint` by HTTP status, or by error name when no
+   * response arrived, and timed from the request leaving the limiter.
+   */
+  async attempt(fullUrl, requestOptions, signal, endpoint = fullUrl) {
+    await this.rateLimiter.acquire(signal);
+    this.circuitBreaker.beforeRequest();
 
-        // Handle other HTTP errors
-        if (!response.ok) {
-          throw new Error(`HTTP error: ${response.status} - ${response.statusText}`);
+    const deadline = deadlineSignal(signal, this.timeout);
+    const elapsed = this.metrics.startTimer();
+    let status = null;
+    try {
+      const response = await this.fetch(fullUrl, { ...requestOptions, signal: deadline.signal });
+      status = response.status;
+      const pause = this.rateLimiter.observe(response);
+      const text = await response.text();
+
+      if (!response.ok) {
+        // Handle rate limiting; the limiter holds every request for the pause
+        if (response.status === 429) {
+          this.logger.warn(`Rate limited, pausing requests for ${pause}ms before retry...`, { status: 429, pause });
         }
+        throw errorFromResponse(response, { retryAfter: pause || null, body: text });
+      }
 
-        return await response.json();
+      let body;
+      try {
+        body = JSON.parse(text);
       } catch (error) {
-        if (error.message === 'Rate limited' || error.message.includes('Server error')) {
-          throw error; // Retry these errors
-        }
-        throw new Error(`Request failed: ${error.message}`);
+        throw new NetworkError(`Invalid JSON response: ${error.message}`, { cause: error });
       }
-    }, CONFIG.RETRY_ATTEMPTS, CONFIG.RETRY_DELAY);
+
+      this.circuitBreaker.recordSuccess();
+      return body;
+    } catch (error) {
+      const failure = classifyFailure(error, deadline.signal);
+      status ??= failure?.name ?? 'Error';
+      this.circuitBreaker.recordFailure(failure);
+      throw failure;
+    } finally {
+      deadline.clear();
+      const labels = { endpoint, method: requestOptions.method || 'GET' };
+      this.metrics.increment('http_requests_total', { ...labels, status: String(status) });
+      this.metrics.observe('http_request_duration_seconds', elapsed(), labels);
+    }
   }
 
   /**
-   * Get patients with pagination
+   * Get patients with pagination; the body is checked against the
+   * patientsPage schema (see schemas.js)
    */
-  async getPatients(page = 1, limit = CONFIG.DEFAULT_LIMIT) {
+  async getPatients(page = 1, limit = CONFIG.DEFAULT_LIMIT, { signal } = {}) {
     const params = new URLSearchParams({
       page: page.toString(),
       limit: Math.min(limit, CONFIG.MAX_LIMIT).toString()
     });
 
-    return this.makeRequest(`/patients?${params}`);
+    const body = await this.makeRequest(`/patients?${params}`, { signal });
+    return checkResponse('patientsPage', body, { mode: this.schemaMode, logger: this.logger });
   }
 
   /**
-   * Get all patients by fetching all pages
+   * Fetch one page as { page, patients, pagination }
    */
-  async getAllPatients() {
-    let allPatients = [];
-    let currentPage = 1;
-    let hasNext = true;
+  async fetchPage(page, limit, signal) {
+    try {
+      this.logger.debug(`Fetching page ${page}...`, { page, limit });
+      const elapsed = this.metrics.startTimer();
+      const response = await this.getPatients(page, limit, { signal });
+      const patients = response.data;
+      this.metrics.observe('page_fetch_duration_seconds', elapsed());
+      this.metrics.increment('pages_fetched_total');
+      this.metrics.increment('patients_fetched_total', {}, patients.length);
+      this.logger.info(`Page ${page}: ${patients.length} patients`, { page, patients: patients.length });
+      return { page, patients, pagination: response.pagination || null };
+    } catch (error) {
+      this.logger.error(`Error fetching page ${page}: ${error.message}`, { page, error: error.name });
+      throw error;
+    }
+  }
 
-    console.log('Fetching all patients...');
+  /**
+   * Yield pages in order as { page, patients, pagination }
+   *
+   * The first page's pagination.totalPages plans the rest, which are fetched
+   * up to `concurrency` at a time within the rate limiter's budget. Without a
+   * page count, pages are followed one at a time through pagination.hasNext.
+   * `signal` cancels every request in flight.
+   */
+  async *iteratePages({ startPage = 1, limit = CONFIG.MAX_LIMIT, concurrency = this.concurrency, signal } = {}) {
+    const first = await this.fetchPage(startPage, limit, signal);
+    yield first;
 
-    while (hasNext) {
-      try {
-        console.log(`Fetching page ${currentPage}...`);
-        const response = await this.getPatients(currentPage, CONFIG.MAX_LIMIT);
-        
-        if (response.data && Array.isArray(response.data)) {
-          allPatients = allPatients.concat(response.data);
-          console.log(`Page ${currentPage}: ${response.data.length} patients`);
-        }
+    const totalPages = first.pagination?.totalPages;
+    if (!Number.isInteger(totalPages)) {
+      let current = first;
+      while (current.pagination?.hasNext) {
+        current = await this.fetchPage(current.page + 1, limit, signal);
+        yield current;
+      }
+      return;
+    }
+
+    const inFlight = new Map();
+    let nextPage = startPage + 1;
+    for (let page = startPage + 1; page <= totalPages; page++) {
+      while (nextPage <= totalPages && inFlight.size < concurrency) {
+        const request = this.fetchPage(nextPage, limit, signal);
+        request.catch(() => {}); // Rethrown below when this page's turn comes
+        inFlight.set(nextPage, request);
+        nextPage++;
+      }
+
+      const result = await inFlight.get(page);
+      inFlight.delete(page);
+      yield result;
+    }
+  }
+
+  /**
+   * iteratePages(), saving every page to a FetchCheckpoint as it arrives and
+   * clearing it after the last one; a fetch that does not resume clears any
+   * earlier checkpoint first
+   *
+   * With `resume`, the last saved page is fetched again first. If its
+   * pagination still matches the checkpoint, the saved pages are read back
+   * one at a time and replayed, and fetching continues from there; otherwise
+   * the checkpoint is discarded and the fetch starts over from page 1. Only
+   * page numbers are held in memory, never the saved pages.
+   */
+  async *iterateCheckpointedPages({ checkpoint, resume = false, ...options } = {}) {
+    const limit = options.limit ?? CONFIG.MAX_LIMIT;
+    const state = resume ? await checkpoint.load() : null;
+    if (!state) {
+      await checkpoint.clear();
+    }
+    const saved = state?.pages.length > 0 ? state.pages.slice(0, -1) : [];
+    const startPage = state?.pages.length > 0 ? state.pages[state.pages.length - 1] : 1;
 
-        // Check pagination info
-        if (response.pagination) {
-          hasNext = response.pagination.hasNext;
-          currentPage++;
-        } else {
-          hasNext = false;
+    const pageNumbers = [];
+    let verified = startPage === 1;
+    for await (const page of this.iteratePages({ ...options, limit, startPage })) {
+      if (!verified) {
+        const change = describeShapeChange(state, page, limit);
+        if (change) {
+          this.logger.warn(`Checkpoint no longer matches the API (${change}), starting over from page 1`);
+          await checkpoint.clear();
+          yield* this.iterateCheckpointedPages({ ...options, checkpoint });
+          return;
         }
 
-        // Add delay between requests to avoid rate limiting
-        if (hasNext) {
-          await sleep(500);
+        this.logger.info(`Resuming from checkpoint at page ${startPage} (${saved.length} page(s) saved)`, { page: startPage, savedPages: saved.length });
+        for (const savedPage of saved) {
+          pageNumbers.push(savedPage);
+          yield { pagination: null, ...await checkpoint.readPage(savedPage) };
         }
-      } catch (error) {
-        console.error(`Error fetching page ${currentPage}:`, error.message);
-        throw error;
+        verified = true;
       }
+
+      pageNumbers.push(page.page);
+      await checkpoint.savePage(page, { ...paginationShape(page, limit), pages: pageNumbers });
+      yield page;
+    }
+
+    await checkpoint.clear();
+  }
+
+  /**
+   * Yield pages through the checkpoint when `options.checkpoint` is set
+   */
+  fetchPages(options) {
+    return options.checkpoint ? this.iterateCheckpointedPages(options) : this.iteratePages(options);
+  }
+
+  /**
+   * Yield patients one at a time as their pages are fetched (through the
+   * checkpoint when `options.checkpoint` is set). With `options.integrity`
+   * (a PaginationIntegrity), every page is checked and a patient ID already
+   * yielded from an earlier page is skipped, so the earliest copy always
+   * wins; a merge policy that would keep another copy is refused before
+   * anything is fetched.
+   */
+  async *iteratePatients(options = {}) {
+    const { integrity } = options;
+    integrity?.assertStreamable();
+    for await (const page of this.fetchPages(options)) {
+      yield* integrity ? integrity.addPage(page) : page.patients;
+    }
+  }
+
+  /**
+   * Get all patients by fetching all pages; `checkpoint` saves progress and
+   * `resume` continues an interrupted fetch from it
+   *
+   * Every page goes through `integrity` (a PaginationIntegrity, by default
+   * one with CONFIG.MERGE_POLICY): duplicate patient IDs are reconciled
+   * under its merge policy and any integrity issue is logged. Pass your own
+   * instance to read the report afterwards.
+   */
+  async getAllPatients({ signal, checkpoint, resume = false, integrity = new PaginationIntegrity({ limit: CONFIG.MAX_LIMIT }) } = {}) {
+    this.logger.info('Fetching all patients...');
+    const elapsed = this.metrics.startTimer();
+    for await (const page of this.fetchPages({ signal, checkpoint, resume, limit: integrity.limit ?? CONFIG.MAX_LIMIT })) {
+      integrity.addPage(page);
     }
 
-    console.log(`Total patients fetched: ${allPatients.length}`);
+    logIntegrityReport(integrity.getReport(), this.logger);
+
+    const allPatients = integrity.reconcile();
+    this.metrics.set('fetch_duration_seconds', elapsed());
+    this.logger.info(`Total patients fetched: ${allPatients.length}`, { patients: allPatients.length });
     return allPatients;
   }
 
   /**
-   * Submit assessment results
+   * Build the submission payload from analysis results
    */
-  async submitAssessment(results) {
-    const payload = {
+  buildPayload(results) {
+    return {
       high_risk_patients: results.highRiskPatients || [],
       fever_patients: results.feverPatients || [],
       data_quality_issues: results.dataQualityIssues || []
     };
+  }
 
-    console.log('Submitting assessment results...');
-    console.log(`High risk patients: ${payload.high_risk_patients.length}`);
-    console.log(`Fever patients: ${payload.fever_patients.length}`);
-    console.log(`Data quality issues: ${payload.data_quality_issues.length}`);
+  /**
+   * Submit assessment results; the response is checked against the
+   * submitAssessment schema. A submission is not idempotent: a timeout,
+   * network error or 5xx may come after the server counted the attempt, so
+   * only a 429 (refused before counting) is retried and anything else fails
+   * the submit. `onResponse` is awaited with the raw body before it is
+   * checked, so a counted attempt can be recorded even when the body then
+   * fails its schema.
+   */
+  async submitAssessment(results, { signal, onResponse } = {}) {
+    const payload = this.buildPayload(results);
 
-    return this.makeRequest('/submit-assessment', {
+    this.logger.info('Submitting assessment results...', {
+      highRiskPatients: payload.high_risk_patients.length,
+      feverPatients: payload.fever_patients.length,
+      dataQualityIssues: payload.data_quality_issues.length
+    });
+
+    const body = await this.makeRequest('/submit-assessment', {
       method: 'POST',
-      body: JSON.stringify(payload)
+      body: JSON.stringify(payload),
+      signal,
+      shouldRetry: error => error instanceof RateLimitError
     });
+    await onResponse?.(body);
+    return checkResponse('submitAssessment', body, { mode: this.schemaMode, logger: this.logger });
+  }
+}
+
+/**
+ * Turn whatever an attempt threw into a typed error: an aborted signal
+ * yields its reason (cancellation, or TimeoutError for the per-request
+ * deadline), fetch's TypeError a NetworkError; anything else (e.g. a
+ * cassette miss) passes through and is not retried
+ */
+function classifyFailure(error, signal) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (signal.aborted) {
+    return signal.reason;
+  }
+  if (error instanceof TypeError) {
+    return new NetworkError(`Network error: ${error.message}`, { cause: error });
   }
-} 
\ No newline at end of file
+  return error;
+}
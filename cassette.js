@@ -0,0 +1,147 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Headers that must never be written to a fixture
+ */
+const SCRUBBED_HEADERS = ['x-api-key', 'authorization'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Record/replay of HTTP traffic for ApiClient
+ *
+ * In record mode every request/response pair is written to its own JSON file
+ * in the cassette directory. In replay mode those files are served back in
+ * the order they were recorded, and any request that was not recorded fails.
+ */
+export class Cassette {
+  constructor({ mode, dir }) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`Invalid cassette mode "${mode}". Expected "record" or "replay"`);
+    }
+
+    this.mode = mode;
+    this.dir = dir;
+    this.sequence = 0;
+    this.ready = null;
+    this.interactions = new Map();
+  }
+
+  /**
+   * Drop-in replacement for fetch()
+   */
+  async fetch(url, options = {}, realFetch = fetch) {
+    await this.prepare();
+
+    const key = requestKey(url, options);
+    return this.mode === 'record'
+      ? this.record(key, url, options, realFetch)
+      : this.replay(key);
+  }
+
+  /**
+   * Load the cassette once: record mode needs an empty directory, replay
+   * mode indexes the recorded interactions by request key
+   */
+  prepare() {
+    if (!this.ready) {
+      this.ready = this.mode === 'record' ? this.prepareRecord() : this.prepareReplay();
+    }
+    return this.ready;
+  }
+
+  async prepareRecord() {
+    await mkdir(this.dir, { recursive: true });
+    const existing = (await readdir(this.dir)).filter(file => file.endsWith('.json'));
+    if (existing.length > 0) {
+      throw new Error(`Cassette directory ${this.dir} already holds ${existing.length} recording(s); record into an empty directory`);
+    }
+  }
+
+  async prepareReplay() {
+    let files;
+    try {
+      files = (await readdir(this.dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      throw new Error(`Cannot replay cassette: ${this.dir} is not readable (${error.code || error.message})`);
+    }
+
+    for (const file of files) {
+      const interaction = JSON.parse(await readFile(path.join(this.dir, file), 'utf8'));
+      if (!this.interactions.has(interaction.key)) {
+        this.interactions.set(interaction.key, []);
+      }
+      this.interactions.get(interaction.key).push(interaction);
+    }
+  }
+
+  async record(key, url, options, realFetch) {
+    const response = await realFetch(url, options);
+    const body = await response.clone().text();
+    this.sequence++;
+
+    const interaction = {
+      key,
+      sequence: this.sequence,
+      recordedAt: new Date().toISOString(),
+      request: {
+        method: (options.method || 'GET').toUpperCase(),
+        url,
+        headers: scrubHeaders(options.headers),
+        body: options.body ?? null
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        body
+      }
+    };
+
+    const file = `${String(this.sequence).padStart(4, '0')}-${fileSlug(key)}.json`;
+    await writeFile(path.join(this.dir, file), JSON.stringify(interaction, null, 2));
+
+    return response;
+  }
+
+  replay(key) {
+    const queue = this.interactions.get(key);
+    if (!queue || queue.length === 0) {
+      throw new Error(`Cassette miss: no recorded response left for "${key}" in ${this.dir}`);
+    }
+
+    const { response } = queue.shift();
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+}
+
+/**
+ * Identify a request by method, path and body, ignoring the host so a
+ * cassette can be replayed against any base URL
+ */
+function requestKey(url, options) {
+  const { pathname, search } = new URL(url);
+  const method = (options.method || 'GET').toUpperCase();
+  const bodyHash = options.body
+    ? ` #${createHash('sha256').update(String(options.body)).digest('hex').slice(0, 12)}`
+    : '';
+
+  return `${method} ${pathname}${search}${bodyHash}`;
+}
+
+function scrubHeaders(headers = {}) {
+  const scrubbed = {};
+  for (const [name, value] of Object.entries(headers)) {
+    scrubbed[name] = SCRUBBED_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return scrubbed;
+}
+
+function fileSlug(key) {
+  return key.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+}
@@ -0,0 +1,134 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { CONFIG } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Local checkpoint of a paginated patient fetch
+ *
+ * Every page is saved as it arrives, so a run that fails on page 37 can be
+ * resumed without spending rate-limit budget on pages 1-36 again. Each page
+ * is its own file (page-<n>.json) written once; only the small index.json,
+ * holding the pagination shape (page size, total, page count) and the saved
+ * page numbers, is rewritten per page. A resumed run checks the shape before
+ * trusting the pages and reads them back one at a time.
+ *
+ * The page files hold full patient records (PHI). They are written readable
+ * by the owner only and removed once the fetch completes; an interrupted
+ * fetch leaves them until it is resumed or the directory is deleted.
+ */
+
+const CHECKPOINT_VERSION = 2;
+
+const INDEX_FILE = 'index.json';
+
+// Every file the checkpoint writes, temporaries included; clear() removes
+// only these, since CHECKPOINT_DIR may point at a directory holding others
+const CHECKPOINT_FILE = /^(index|page-\d+)\.json(\.tmp)?$/;
+
+export class FetchCheckpoint {
+  constructor(options = {}) {
+    this.dir = options.dir || CONFIG.CHECKPOINT_DIR;
+  }
+
+  /**
+   * Read the saved index ({ limit, total, totalPages, pages: [page numbers] }),
+   * or null when there is none
+   */
+  async load() {
+    let state;
+    try {
+      state = JSON.parse(await readFile(path.join(this.dir, INDEX_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Cannot read fetch checkpoint ${this.dir}: ${error.message}`);
+    }
+
+    if (state?.version !== CHECKPOINT_VERSION || !Array.isArray(state.pages)) {
+      logger.warn(`Ignoring fetch checkpoint ${this.dir} written by another version`, { version: state?.version ?? null });
+      return null;
+    }
+    return state;
+  }
+
+  /**
+   * Read one saved page as { page, patients, pagination }
+   */
+  async readPage(page) {
+    return JSON.parse(await readFile(this.pageFile(page), 'utf8'));
+  }
+
+  /**
+   * Save one fetched page ({ page, patients, pagination }), then the index:
+   * the numbers of every page saved so far, `pages` (this one included), with
+   * the pagination shape they were fetched with
+   */
+  async savePage({ page, patients, pagination }, { limit, total, totalPages, pages }) {
+    await mkdir(this.dir, { recursive: true, mode: 0o700 });
+    await writeAtomic(this.pageFile(page), { page, patients, pagination: pagination ?? null });
+    await writeAtomic(path.join(this.dir, INDEX_FILE), {
+      version: CHECKPOINT_VERSION,
+      updatedAt: new Date().toISOString(),
+      limit,
+      total,
+      totalPages,
+      pages
+    });
+  }
+
+  /**
+   * Remove the checkpoint's files, pages included; the directory and
+   * anything else in it are left alone
+   */
+  async clear() {
+    let files;
+    try {
+      files = await readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    await Promise.all(files.filter(file => CHECKPOINT_FILE.test(file)).map(file => rm(path.join(this.dir, file), { force: true })));
+  }
+
+  pageFile(page) {
+    return path.join(this.dir, `page-${page}.json`);
+  }
+}
+
+/**
+ * Write then rename, so a crash mid-write never leaves a torn file
+ */
+async function writeAtomic(file, value) {
+  const temporary = `${file}.tmp`;
+  await writeFile(temporary, `${JSON.stringify(value)}\n`, { mode: 0o600 });
+  await rename(temporary, file);
+}
+
+/**
+ * Pagination shape of a freshly fetched page
+ */
+export function paginationShape(page, limit) {
+  return {
+    limit: page.pagination?.limit ?? limit,
+    total: page.pagination?.total ?? null,
+    totalPages: page.pagination?.totalPages ?? null
+  };
+}
+
+/**
+ * Describe how a fetched page's pagination differs from the checkpoint's,
+ * or return null when the checkpoint can still be trusted
+ */
+export function describeShapeChange(state, page, limit) {
+  const shape = paginationShape(page, limit);
+  const changes = ['limit', 'total', 'totalPages']
+    .filter(key => shape[key] !== state[key])
+    .map(key => `${key} ${state[key]} -> ${shape[key]}`);
+
+  return changes.length > 0 ? changes.join(', ') : null;
+}
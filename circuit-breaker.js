@@ -0,0 +1,78 @@
+import { CONFIG } from './config.js';
+import { CircuitOpenError, ServerError, TimeoutError, NetworkError } from './errors.js';
+
+/**
+ * Circuit breaker for the API
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and
+ * requests fail fast with CircuitOpenError for `resetTimeout` ms. Then one
+ * trial request is let through (half-open): success closes the circuit,
+ * failure opens it again. Only server errors, timeouts and network errors
+ * count: rate limiting and 4xx answers show the API is up.
+ */
+
+const COUNTED_FAILURES = [ServerError, TimeoutError, NetworkError];
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? CONFIG.CIRCUIT_FAILURE_THRESHOLD;
+    this.resetTimeout = options.resetTimeout ?? CONFIG.CIRCUIT_RESET_TIMEOUT;
+    this.now = options.now || Date.now;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Throw CircuitOpenError unless a request may go out now
+   */
+  beforeRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (this.now() < this.openedAt + this.resetTimeout) {
+        throw new CircuitOpenError(this.openedAt + this.resetTimeout);
+      }
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.now() + this.resetTimeout);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request (one that got past beforeRequest)
+   */
+  recordFailure(error) {
+    this.trialInFlight = false;
+    if (!COUNTED_FAILURES.some(type => error instanceof type)) {
+      return;
+    }
+
+    this.failures++;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+}
@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+import { realpathSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { logger, withCorrelation } from './logger.js';
+import { MetricsCollector } from './metrics.js';
+import { EXPORT_FORMATS } from './exporters.js';
+import { MERGE_POLICIES } from './pagination-integrity.js';
+import { SCORING_MODELS } from './risk-analyzer.js';
+import { formatDiff } from './submission-ledger.js';
+
+/**
+ * Command-line interface for the Healthcare API Assessment
+ */
+
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,   // API, file or analysis failure
+  USAGE: 2,     // Bad command line
+  NOT_FOUND: 3, // explain: unknown patient ID
+  REFUSED: 4    // submit: refused by the submission guard
+};
+
+const HELP = `Usage: healthcare-assessment <command> [options]
+
+Commands:
+  fetch                  Fetch all patients from the API and save them to a file
+  analyze                Analyze saved patients and print the three result lists
+  submit                 Analyze saved patients and submit the results
+  explain <patient_id>   Show the risk breakdown for one patient (--trace: every rule
+                         and threshold behind it)
+  summary                Show summary statistics for saved patients
+  export                 Export per-patient results as CSV, NDJSON, an HTML report or
+                         a FHIR Bundle of RiskAssessment resources
+
+Options:
+  -i, --input <file>     Patients JSON file to read ("-" or omitted: stdin)
+      --input-format <f> json (patient array or API page, default), fhir (R4 Bundle)
+                         or hl7 (v2 ORU^R01 messages)
+  -o, --output <file>    fetch: patients file (default: patients.json); export: report file
+                         (default: stdout); "-" writes to stdout
+  -f, --format <format>  export: csv, ndjson, html or fhir (default: csv)
+  -m, --model <model>    analyze, explain, summary, export: score with rubric (default,
+                         what the API grades) or news2 (NEWS2 early warning score)
+      --partial          analyze, explain, summary, export: also bound the possible risk
+                         of patients with data quality issues (definitely/possibly high risk)
+      --resume           fetch: continue an interrupted fetch from its checkpoint
+      --merge-policy <p> fetch: keep first-wins (default), last-wins or most-complete
+                         copy of a duplicated patient, or flag conflicting copies
+      --trace            explain: show the full decision trace (parsing, each rule and
+                         boundary compared, and why each result list was or wasn't reached)
+      --stats            summary: add cohort statistics tables (distributions, risk score
+                         frequencies, breakdowns, cross-tabs); --json always includes them
+      --dry-run          submit: print the payload and diff without submitting
+      --force            submit: bypass the duplicate-payload and attempts-reserve guard
+      --json             Print machine-readable JSON on stdout
+  -q, --quiet            Log errors only (no progress or warnings); command output and
+                         exit codes are unchanged
+      --metrics <file>   Write run metrics (requests, retries, page latency, analysis
+                         time) as JSON, or as Prometheus text if <file> ends in .prom
+  -h, --help             Show this help
+
+Progress messages go to stderr whenever stdout carries JSON or an export. LOG_FORMAT=json
+writes them as JSON lines and LOG_LEVEL sets the level (debug, info, warn, error, silent).
+
+Exit codes:
+  0  success
+  1  API, file or analysis failure
+  2  invalid command line
+  3  explain: patient not found
+  4  submit: refused by the submission guard
+
+Examples:
+  healthcare-assessment fetch -o patients.json
+  healthcare-assessment fetch -o patients.json --resume
+  healthcare-assessment fetch -o patients.json --metrics fetch.prom
+  healthcare-assessment analyze -i patients.json --json
+  healthcare-assessment analyze -i patients.json --json --quiet
+  healthcare-assessment fetch -o - | healthcare-assessment submit --dry-run
+  healthcare-assessment explain DEMO003 -i patients.json
+  healthcare-assessment explain DEMO003 -i patients.json --trace --json
+  healthcare-assessment summary -i ward.json --model news2
+  healthcare-assessment summary -i patients.json --stats
+  healthcare-assessment export -i patients.json -f html -o report.html
+  healthcare-assessment analyze -i bundle.json --input-format fhir
+  healthcare-assessment export -i monitors.hl7 --input-format hl7 -f html -o report.html`;
+
+const COMMANDS = ['fetch', 'analyze', 'submit', 'explain', 'summary', 'export'];
+const INPUT_FORMATS = ['json', 'fhir', 'hl7'];
+const MODEL_COMMANDS = ['analyze', 'explain', 'summary', 'export'];
+
+class UsageError extends Error {}
+
+/**
+ * Parse argv into a command, its positionals and options
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        input: { type: 'string', short: 'i' },
+        'input-format': { type: 'string', default: 'json' },
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        model: { type: 'string', short: 'm' },
+        partial: { type: 'boolean', default: false },
+        resume: { type: 'boolean', default: false },
+        'merge-policy': { type: 'string' },
+        trace: { type: 'boolean', default: false },
+        stats: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        force: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        metrics: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [command, ...args] = parsed.positionals;
+  const { values: options } = parsed;
+
+  if (options.help || !command) {
+    return { command: 'help', args, options };
+  }
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  if (command === 'explain' && args.length !== 1) {
+    throw new UsageError('explain needs exactly one patient ID');
+  }
+  if (command !== 'explain' && args.length > 0) {
+    throw new UsageError(`Unexpected argument "${args[0]}" for ${command}`);
+  }
+  if (!INPUT_FORMATS.includes(options['input-format'])) {
+    throw new UsageError(`Unknown input format "${options['input-format']}". Expected one of: ${INPUT_FORMATS.join(', ')}`);
+  }
+  if (options.format !== undefined && command !== 'export') {
+    throw new UsageError('--format only applies to export');
+  }
+  if (command === 'export' && options.format !== undefined && !EXPORT_FORMATS.includes(options.format)) {
+    throw new UsageError(`Unknown export format "${options.format}". Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (options.model !== undefined && !MODEL_COMMANDS.includes(command)) {
+    throw new UsageError(`--model only applies to ${MODEL_COMMANDS.join(', ')}; submit always uses the rubric the API grades`);
+  }
+  if (options.partial && !MODEL_COMMANDS.includes(command)) {
+    throw new UsageError(`--partial only applies to ${MODEL_COMMANDS.join(', ')}`);
+  }
+  const models = Object.values(SCORING_MODELS);
+  if (options.model !== undefined && !models.includes(options.model)) {
+    throw new UsageError(`Unknown scoring model "${options.model}". Expected one of: ${models.join(', ')}`);
+  }
+  for (const fetchOnly of ['resume', 'merge-policy']) {
+    if (options[fetchOnly] !== undefined && options[fetchOnly] !== false && command !== 'fetch') {
+      throw new UsageError(`--${fetchOnly} only applies to fetch`);
+    }
+  }
+  const mergePolicies = Object.values(MERGE_POLICIES);
+  if (options['merge-policy'] !== undefined && !mergePolicies.includes(options['merge-policy'])) {
+    throw new UsageError(`Unknown merge policy "${options['merge-policy']}". Expected one of: ${mergePolicies.join(', ')}`);
+  }
+  if (options.trace && command !== 'explain') {
+    throw new UsageError('--trace only applies to explain');
+  }
+  if (options.stats && command !== 'summary') {
+    throw new UsageError('--stats only applies to summary');
+  }
+  for (const submitOnly of ['dry-run', 'force']) {
+    if (options[submitOnly] && command !== 'submit') {
+      throw new UsageError(`--${submitOnly} only applies to submit`);
+    }
+  }
+
+  return { command, args, options };
+}
+
+/**
+ * Read the raw input text from a file or stdin
+ */
+async function readInput(input) {
+  if (input && input !== '-') {
+    return readFile(input, 'utf8');
+  }
+  if (process.stdin.isTTY) {
+    throw new UsageError('No input: pass --input <file> or pipe patients JSON on stdin');
+  }
+
+  let text = '';
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Read patients from a file or stdin. JSON input is a patient array or an API
+ * page ({ data: [...] }); FHIR input is an R4 Bundle; HL7 input is one or more
+ * ORU^R01 messages. Resolves with { patients, findings }, where findings are
+ * data quality findings raised while importing
+ */
+async function readPatients(options) {
+  const text = await readInput(options.input);
+
+  if (options['input-format'] === 'hl7') {
+    const { importHl7Messages } = await import('./hl7.js');
+    const { patients, findings } = importHl7Messages(text);
+    if (findings.length > 0) {
+      logger.warn(`${findings.length} HL7 segment(s) could not be used (see data quality findings)`, { segments: findings.length });
+    }
+    return { patients, findings };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Input is not valid JSON: ${error.message}`);
+  }
+
+  if (options['input-format'] === 'fhir') {
+    const { importFhirBundle } = await import('./fhir.js');
+    const { patients, unmapped } = importFhirBundle(parsed);
+    if (unmapped.length > 0) {
+      logger.warn(`${unmapped.length} FHIR resource(s) could not be mapped`, { resources: unmapped.length });
+      unmapped.forEach(({ resourceType, id, reason }) =>
+        logger.warn(`FHIR ${resourceType ?? '?'} resource could not be mapped: ${reason}`, { resourceType, resourceId: id }));
+    }
+    return { patients, findings: [] };
+  }
+
+  const patients = Array.isArray(parsed) ? parsed : parsed?.data;
+  if (!Array.isArray(patients)) {
+    throw new Error('Input must be a patient array or an object with a "data" array');
+  }
+  return { patients, findings: [] };
+}
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+function formatList(label, ids) {
+  return `${label} (${ids.length}): ${ids.length > 0 ? ids.join(', ') : '-'}`;
+}
+
+function formatSubmission(submission) {
+  const results = submission?.results;
+  if (!results) {
+    return 'Submitted; the API returned no results';
+  }
+
+  const lines = [`Score: ${results.score} (${results.percentage}%), ${results.status}`];
+  if (results.attempt_number !== null && results.remaining_attempts !== null) {
+    lines.push(`Attempt: ${results.attempt_number}/${results.attempt_number + results.remaining_attempts}`);
+  }
+  const categories = [
+    ['High risk patients', results.breakdown?.high_risk],
+    ['Fever patients', results.breakdown?.fever],
+    ['Data quality issues', results.breakdown?.data_quality]
+  ];
+  for (const [label, category] of categories) {
+    if (category) {
+      lines.push(`${`${label}:`.padEnd(21)}${category.score}/${category.max} (${category.correct}/${category.submitted} correct)`);
+    }
+  }
+  for (const issue of results.feedback?.issues || []) {
+    lines.push(`Issue: ${issue}`);
+  }
+  return lines.join('\n');
+}
+
+function formatSummary(summary) {
+  const lines = [
+    `Total patients:      ${summary.totalPatients}`,
+    `Valid patients:      ${summary.validPatients}`,
+    `High risk patients:  ${summary.highRiskCount}`,
+    `Fever patients:      ${summary.feverCount}`,
+    `Data quality issues: ${summary.dataQualityCount} (${summary.dataQualityPercentage}%)`
+  ];
+  for (const [factor, categories] of Object.entries(summary.riskFactors || {})) {
+    const counts = Object.entries(categories).map(([category, count]) => `${category} ${count}`);
+    lines.push(`${`${factor}:`.padEnd(21)}${counts.join(', ')}`);
+  }
+  if (summary.news2) {
+    const counts = Object.entries(summary.news2.responses).map(([response, count]) => `${response} ${count}`);
+    lines.push(`NEWS2 responses:     ${counts.join(', ')}`);
+    lines.push(`Single-param alerts: ${summary.news2.singleParameterAlertCount}`);
+  }
+  if (summary.partialScoring) {
+    const { definite, possible, not } = summary.partialScoring;
+    lines.push(`Data quality bounds: definitely high risk ${definite}, possibly ${possible}, definitely not ${not}`);
+  }
+  return lines.join('\n');
+}
+
+const FACTOR_LABELS = {
+  bloodPressure: 'Blood pressure',
+  temperature: 'Temperature',
+  age: 'Age',
+  respiratoryRate: 'Resp. rate',
+  oxygenSaturation: 'SpO2',
+  supplementalOxygen: 'Air or oxygen',
+  systolic: 'Systolic BP',
+  pulse: 'Pulse',
+  consciousness: 'Consciousness'
+};
+
+function formatExplanation(analysis) {
+  const factor = (name, breakdown) => {
+    const label = `${FACTOR_LABELS[name] || name}:`;
+    const detail = breakdown.reason ? `${breakdown.category}, ${breakdown.reason}` : breakdown.category;
+    return `  ${label.padEnd(16)}${JSON.stringify(analysis.rawValues[name] ?? null)} → ${detail} (${breakdown.score})`;
+  };
+  const yesNo = (flag) => (flag ? 'yes' : 'no');
+
+  const news2 = analysis.news2;
+  const alert = news2?.singleParameterAlert ? `, single-parameter alert: ${news2.triggeredParameters.join(', ')}` : '';
+
+  return [
+    news2
+      ? `Patient ${analysis.patientId} (NEWS2)`
+      : `Patient ${analysis.patientId} (policy ${analysis.policyVersion})`,
+    ...Object.entries(analysis.riskBreakdown).map(([name, breakdown]) => factor(name, breakdown)),
+    news2
+      ? `  NEWS2 score: ${news2.score} → ${news2.response} clinical response${alert}`
+      : `  Total risk score: ${analysis.totalRiskScore}`,
+    `  High risk: ${yesNo(analysis.isHighRisk)} | Fever: ${yesNo(analysis.hasFever)} | Data quality issues: ${yesNo(analysis.hasDataQualityIssues)}`,
+    ...(analysis.riskBounds ? [formatRiskBounds(analysis.riskBounds)] : [])
+  ].join('\n');
+}
+
+function formatRiskBounds({ min, max, label, unknownFactors }) {
+  const unknown = unknownFactors.map(({ name, min: low, max: high }) => `${name} ${low}-${high}`);
+  return `  Risk bounds: ${min}-${max}, ${label}${unknown.length > 0 ? ` (unknown: ${unknown.join(', ')})` : ''}`;
+}
+
+/**
+ * Build the assessment on demand, so --help and usage errors load no more
+ * than they need. Only fetch and submit reach the API, and only those read
+ * API_KEY (on their first request).
+ */
+async function createAssessment(options = {}) {
+  const { HealthcareAssessment } = await import('./index.js');
+  return new HealthcareAssessment(options);
+}
+
+/**
+ * Read and analyze the input; `online` keeps an API client on the
+ * assessment for commands that go on to submit
+ */
+async function analyzeInput(options, { online = false } = {}) {
+  const { patients, findings } = await readPatients(options);
+  const assessment = await createAssessment({
+    scoringModel: options.model,
+    partialScoring: options.partial,
+    metrics: options.metricsCollector,
+    ...(online ? {} : { apiClient: null })
+  });
+  assessment.riskAnalyzer.addFindings(findings);
+  const results = await assessment.analyzePatients(patients);
+  return { assessment, results };
+}
+
+const handlers = {
+  async fetch(args, options) {
+    const output = options.output || 'patients.json';
+    const assessment = await createAssessment({ mergePolicy: options['merge-policy'], metrics: options.metricsCollector });
+    const patients = await assessment.fetchAllPatients({ resume: options.resume });
+
+    if (output === '-') {
+      printJson(patients);
+      return EXIT_CODES.OK;
+    }
+
+    await writeFile(output, `${JSON.stringify(patients, null, 2)}\n`);
+    if (options.json) {
+      printJson({ count: patients.length, output, integrity: assessment.getIntegrityReport() });
+    } else {
+      console.log(`Saved ${patients.length} patients to ${output}`);
+    }
+    return EXIT_CODES.OK;
+  },
+
+  async analyze(args, options) {
+    const { assessment, results } = await analyzeInput(options);
+
+    if (options.json) {
+      printJson({ results, summary: assessment.getSummary() });
+    } else {
+      console.log([
+        formatList('High risk patients', results.highRiskPatients),
+        formatList('Fever patients', results.feverPatients),
+        formatList('Data quality issues', results.dataQualityIssues),
+        ...(results.singleParameterAlerts ? [formatList('NEWS2 single-parameter alerts', results.singleParameterAlerts)] : []),
+        ...(results.partialHighRisk ? [
+          formatList('Definitely high risk despite data quality issues', results.partialHighRisk.definite),
+          formatList('Possibly high risk despite data quality issues', results.partialHighRisk.possible)
+        ] : [])
+      ].join('\n'));
+    }
+    return EXIT_CODES.OK;
+  },
+
+  async submit(args, options) {
+    const { assessment, results } = await analyzeInput(options, { online: true });
+
+    if (options['dry-run']) {
+      const payload = assessment.apiClient.buildPayload(results);
+      let guard;
+      try {
+        guard = { allowed: true, diff: await assessment.checkSubmission(results, options) };
+      } catch (error) {
+        if (error.name !== 'SubmissionGuardError') throw error;
+        guard = { allowed: false, reason: error.reason, message: error.message, diff: error.diff };
+      }
+
+      if (options.json) {
+        printJson({ dryRun: true, payload, guard });
+      } else {
+        console.log(guard.allowed ? 'Dry run: this payload would be submitted' : `Dry run: submission would be refused: ${guard.message}`);
+        console.log(formatDiff(guard.diff).join('\n'));
+        console.log(JSON.stringify(payload, null, 2));
+      }
+      return EXIT_CODES.OK;
+    }
+
+    let submission;
+    try {
+      submission = await assessment.submitResults(results, {
+        force: options.force,
+        onDiff: options.json ? undefined : diff => console.log(formatDiff(diff).join('\n'))
+      });
+    } catch (error) {
+      if (error.name !== 'SubmissionGuardError') throw error;
+      console.error(`Refused: ${error.message}`);
+      return EXIT_CODES.REFUSED;
+    }
+    if (options.json) {
+      printJson(submission);
+    } else {
+      console.log(formatSubmission(submission));
+    }
+    return EXIT_CODES.OK;
+  },
+
+  async explain([patientId], options) {
+    const { assessment } = await analyzeInput(options);
+    const analysis = options.trace ? assessment.getPatientTrace(patientId) : assessment.getPatientDetails(patientId);
+
+    if (!analysis) {
+      console.error(`Patient ${patientId} not found in input`);
+      return EXIT_CODES.NOT_FOUND;
+    }
+
+    if (options.json) {
+      printJson(analysis);
+    } else if (options.trace) {
+      const { formatTrace } = await import('./explain.js');
+      console.log(formatTrace(analysis));
+    } else {
+      console.log(formatExplanation(analysis));
+    }
+    return EXIT_CODES.OK;
+  },
+
+  async export(args, options) {
+    const { assessment } = await analyzeInput(options);
+    const { exportAnalysis } = await import('./exporters.js');
+    const report = exportAnalysis(assessment.riskAnalyzer, options.format || 'csv');
+
+    if (!options.output || options.output === '-') {
+      process.stdout.write(report);
+      return EXIT_CODES.OK;
+    }
+
+    await writeFile(options.output, report);
+    if (options.json) {
+      printJson({ format: options.format || 'csv', output: options.output });
+    } else {
+      console.log(`Wrote ${options.format || 'csv'} report to ${options.output}`);
+    }
+    return EXIT_CODES.OK;
+  },
+
+  async summary(args, options) {
+    const { assessment } = await analyzeInput(options);
+    const summary = assessment.getSummary();
+
+    if (options.json) {
+      printJson(summary);
+    } else if (options.stats) {
+      const { formatStatistics } = await import('./statistics.js');
+      console.log([formatSummary(summary), '', ...formatStatistics(summary.statistics)].join('\n'));
+    } else {
+      console.log(formatSummary(summary));
+    }
+    return EXIT_CODES.OK;
+  }
+};
+
+/**
+ * Run the CLI and resolve with its exit code
+ */
+export async function runCli(argv) {
+  let command;
+  let args;
+  let options;
+  try {
+    ({ command, args, options } = parseCommandLine(argv));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${HELP}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (command === 'help') {
+    console.log(HELP);
+    return EXIT_CODES.OK;
+  }
+
+  // Keep stdout clean for JSON consumers: progress logging moves to stderr
+  const writesToStdout = options.output === '-' || (command === 'export' && !options.output);
+  if (options.json || writesToStdout) {
+    logger.configure({ stream: process.stderr });
+  }
+  if (options.quiet) {
+    logger.configure({ level: 'error' });
+  }
+
+  const metricsCollector = options.metrics ? new MetricsCollector() : null;
+  const elapsed = metricsCollector?.startTimer();
+  try {
+    return await withCorrelation(() => handlers[command](args, { ...options, metricsCollector }));
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`Error: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  } finally {
+    if (metricsCollector) {
+      metricsCollector.set('run_duration_seconds', elapsed());
+      await metricsCollector.write(options.metrics)
+        .catch(error => logger.warn(`Could not write run metrics to ${options.metrics}: ${error.message}`));
+    }
+  }
+}
+
+// Run if this is the main module (also when invoked through the npm bin symlink)
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
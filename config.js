@@ -1,42 +1,60 @@
 // Load environment variables
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'node:url';
+import { loadPolicy, bandScores } from './policy.js';
 dotenv.config();
 
+const DEFAULT_POLICY_PATH = fileURLToPath(new URL('./scoring-policy.json', import.meta.url));
+
 export const CONFIG = {
-  API_BASE_URL: 'https://assessment.ksensetech.com/api',
-  API_KEY: process.env.API_KEY || (() => {
-    throw new Error('API_KEY environment variable is required. Please set API_KEY=your_key_here');
-  })(),
+  API_BASE_URL: process.env.API_BASE_URL || 'https://assessment.ksensetech.com/api',
+  // Read on first use, so scoring (e.g. server.js) works without a key;
+  // only talking to the API needs one
+  get API_KEY() {
+    if (!process.env.API_KEY) {
+      throw new Error('API_KEY environment variable is required. Please set API_KEY=your_key_here');
+    }
+    return process.env.API_KEY;
+  },
   DEFAULT_LIMIT: 5,
   MAX_LIMIT: 20,
   RETRY_ATTEMPTS: 3,
-  RETRY_DELAY: 1000, // 1 second
-  RATE_LIMIT_DELAY: 2000, // 2 seconds
+  RETRY_DELAY: 1000, // 1 second; base of the full-jitter backoff
+  RATE_LIMIT_DELAY: 2000, // 2 seconds; pause after a 429 that carries no Retry-After
+  REQUESTS_PER_SECOND: parseFloat(process.env.REQUESTS_PER_SECOND || '2'), // Shared request budget
+  CONCURRENCY: parseInt(process.env.CONCURRENCY || '3', 10), // Pages fetched in parallel
+  REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT || '15000', 10), // Per-request deadline (ms)
+  ASSESSMENT_TIMEOUT: parseInt(process.env.ASSESSMENT_TIMEOUT || '0', 10), // Whole-run deadline (ms, 0 = none)
+  CIRCUIT_FAILURE_THRESHOLD: 5, // Consecutive failures that open the circuit
+  CIRCUIT_RESET_TIMEOUT: 30000, // 30 seconds before a trial request
+  SCORING_MODEL: process.env.SCORING_MODEL || 'rubric', // 'rubric' (what the API grades) or 'news2' (NEWS2 early warning score)
+  SCHEMA_MODE: process.env.SCHEMA_MODE || 'strict', // API response validation: 'strict' (throw) or 'lenient' (log and normalize)
+  MERGE_POLICY: process.env.MERGE_POLICY || 'first-wins', // Duplicate patient reconciliation: first-wins, last-wins, most-complete or flag
+  CASSETTE_MODE: process.env.CASSETTE_MODE || null, // 'record' or 'replay'
+  CASSETTE_DIR: process.env.CASSETTE_DIR || 'fixtures/cassettes',
+  LEDGER_PATH: process.env.LEDGER_PATH || '.assessment/submission-ledger.json',
+  CHECKPOINT_DIR: process.env.CHECKPOINT_DIR || '.assessment/fetch-checkpoint', // Fetch checkpoint: index.json and one file per page (holds PHI)
+  METRICS_PATH: process.env.METRICS_PATH ?? '.assessment/run-metrics.json', // Run metrics file: JSON, or Prometheus text if it ends in .prom ('' = none)
+  ATTEMPTS_RESERVE: parseInt(process.env.ATTEMPTS_RESERVE || '0', 10), // Attempts to keep unspent
+  SERVER_PORT: parseInt(process.env.SERVER_PORT || '4020', 10), // Scoring service port (server.js)
+  SERVER_MAX_BODY_BYTES: parseInt(process.env.SERVER_MAX_BODY_BYTES || '1048576', 10), // Largest request body the scoring service accepts (1 MB)
 };
 
+/**
+ * Scoring policy (bands, cut-offs, scores and thresholds); see scoring-policy.json
+ */
+export const POLICY = loadPolicy(process.env.SCORING_POLICY || DEFAULT_POLICY_PATH);
+
+/**
+ * Risk scores by factor and band id, derived from the scoring policy
+ */
 export const RISK_SCORES = {
-  BLOOD_PRESSURE: {
-    NORMAL: 1,      // Systolic <120 AND Diastolic <80
-    ELEVATED: 2,    // Systolic 120-129 AND Diastolic <80
-    STAGE_1: 3,     // Systolic 130-139 OR Diastolic 80-89
-    STAGE_2: 4,     // Systolic ≥140 OR Diastolic ≥90
-    INVALID: 0      // Missing or malformed data
-  },
-  TEMPERATURE: {
-    NORMAL: 0,      // ≤99.5°F
-    LOW_FEVER: 1,   // 99.6-100.9°F
-    HIGH_FEVER: 2,  // ≥101°F
-    INVALID: 0      // Missing or malformed data
-  },
-  AGE: {
-    UNDER_40: 1,    // <40 years
-    AGE_40_65: 1,   // 40-65 years
-    OVER_65: 2,     // >65 years
-    INVALID: 0      // Missing or malformed data
-  }
+  BLOOD_PRESSURE: bandScores(POLICY.factors.bloodPressure), // NORMAL, ELEVATED, STAGE_1, STAGE_2, INVALID
+  TEMPERATURE: bandScores(POLICY.factors.temperature),      // NORMAL, LOW_FEVER, HIGH_FEVER, INVALID
+  AGE: bandScores(POLICY.factors.age)                       // UNDER_40, AGE_40_65, OVER_65, INVALID
 };
 
 export const THRESHOLDS = {
-  HIGH_RISK_SCORE: 4,
-  FEVER_TEMPERATURE: 99.6
-}; 
\ No newline at end of file
+  HIGH_RISK_SCORE: POLICY.thresholds.highRisk.min,
+  FEVER_TEMPERATURE: POLICY.thresholds.fever.min
+};
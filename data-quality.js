@@ -0,0 +1,59 @@
+import { REJECTION_REASONS } from './vitals-parser.js';
+import { toCsv } from './utils.js';
+import { riskFactors, evaluateFactors } from './risk-factors.js';
+
+/**
+ * Per-field data quality findings
+ *
+ * A finding names the patient, the field, the raw value as received, the
+ * parser's rejection reason and a severity.
+ */
+
+export const SEVERITY = {
+  CRITICAL: 'critical', // Possibly hostile input; worth raising with the source
+  ERROR: 'error',       // Value unusable; patient excluded from scoring
+  WARNING: 'warning'    // Value used, but worth a second look
+};
+
+const REASON_SEVERITY = {
+  [REJECTION_REASONS.SUSPICIOUS_CHARS]: SEVERITY.CRITICAL,
+  [REJECTION_REASONS.TOO_LONG]: SEVERITY.CRITICAL
+};
+
+export const FINDING_COLUMNS = ['patientId', 'field', 'rawValue', 'reason', 'severity'];
+
+/**
+ * List the data quality finding of every registered factor that flags the
+ * patient; `evaluations` is the patient's evaluateFactors() result, if known
+ */
+export function collectFindings(patient, factors = riskFactors, evaluations = evaluateFactors(patient, factors)) {
+  const findings = [];
+
+  for (const factor of factors) {
+    const { parsed, isDataQualityIssue } = evaluations.get(factor.name);
+    if (isDataQualityIssue) {
+      findings.push({
+        patientId: patient.patient_id,
+        field: factor.field,
+        rawValue: patient[factor.field] === undefined ? null : patient[factor.field],
+        reason: parsed.reason,
+        severity: REASON_SEVERITY[parsed.reason] || SEVERITY.ERROR
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Serialize findings as 'json' or 'csv'
+ */
+export function formatFindings(findings, format = 'json') {
+  if (format === 'csv') {
+    return toCsv(findings, FINDING_COLUMNS);
+  }
+  if (format === 'json') {
+    return JSON.stringify(findings, null, 2);
+  }
+  throw new Error(`Unsupported data quality report format "${format}". Expected "json" or "csv"`);
+}
@@ -0,0 +1,113 @@
+/**
+ * Typed errors for the request layer
+ *
+ * Every error carries `retryable`, which is what the retry policy in
+ * utils.js decides on; anything that is not an ApiError is never retried.
+ */
+
+export class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * 429 Too Many Requests; `retryAfter` is the pause the server asked for, in ms
+ */
+export class RateLimitError extends ApiError {
+  constructor(message = 'Rate limited', { retryAfter = null } = {}) {
+    super(message, { status: 429, retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 5xx response
+ */
+export class ServerError extends ApiError {
+  constructor(status) {
+    super(`Server error: ${status}`, { status, retryable: true });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * 4xx response other than 429; retrying would get the same answer
+ */
+export class ClientError extends ApiError {
+  constructor(status, statusText, body = null) {
+    super(`HTTP error: ${status} - ${statusText}`, { status, retryable: false });
+    this.name = 'ClientError';
+    this.body = body;
+  }
+}
+
+/**
+ * No complete response within the per-request timeout (or, with `what`,
+ * another deadline such as the whole assessment's)
+ */
+export class TimeoutError extends ApiError {
+  constructor(timeout, what = 'Request') {
+    super(`${what} timed out after ${timeout}ms`, { retryable: true });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Connection failure, or a response body cut off or garbled in transit
+ */
+export class NetworkError extends ApiError {
+  constructor(message, { cause } = {}) {
+    super(message, { retryable: true, cause });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Refused locally because the circuit breaker is open
+ */
+export class CircuitOpenError extends ApiError {
+  constructor(retryAt) {
+    super(`Circuit breaker open after repeated failures; next attempt allowed at ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Response body that does not match its declared schema (strict mode, see
+ * schemas.js); `issues` lists each mismatch as { path, expected, actual }
+ */
+export class SchemaValidationError extends ApiError {
+  constructor(message, { schema, issues }) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.schema = schema;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Map a non-OK response to its error class
+ */
+export function errorFromResponse(response, { retryAfter = null, body = null } = {}) {
+  if (response.status === 429) {
+    return new RateLimitError('Rate limited', { retryAfter });
+  }
+  if (response.status >= 500) {
+    return new ServerError(response.status);
+  }
+  return new ClientError(response.status, response.statusText, body);
+}
+
+/**
+ * Retry policy: only errors marked retryable are worth another attempt
+ */
+export function isRetryable(error) {
+  return error instanceof ApiError && error.retryable;
+}
@@ -0,0 +1,180 @@
+import { POLICY } from './config.js';
+import { formatRange, inRange } from './policy.js';
+import { evaluateFactors } from './risk-factors.js';
+import { readTemperature } from './utils.js';
+import { NEWS2_HIGH_RISK } from './news2.js';
+
+/**
+ * Decision trace for one patient
+ *
+ * Records, for every risk factor, the raw input, how it was parsed (unit,
+ * conversion, rejected or ambiguous readings), the rules checked in order
+ * with each boundary compared, and the result; then how the total was
+ * reached and why the patient is or is not on each result list. Built from
+ * the same factors and thresholds the analyzer scores with, so it explains
+ * the decision actually made.
+ */
+
+/**
+ * Trace how `analyzer` scored `patient`
+ */
+export function tracePatient(analyzer, patient) {
+  const evaluations = evaluateFactors(patient, analyzer.factors);
+  const analysis = analyzer.describePatient(patient, evaluations);
+  const factors = analyzer.factors.list().map(factor => traceFactor(factor, patient, evaluations.get(factor.name)));
+  const dataQualityFields = factors.filter(factor => factor.isDataQualityIssue).map(factor => factor.field);
+  const news2 = analysis.news2 || null;
+
+  const highRisk = news2
+    ? decide('NEWS2 aggregate score', analysis.totalRiskScore, NEWS2_HIGH_RISK, dataQualityFields)
+    : decide('total risk score', analysis.totalRiskScore, POLICY.thresholds.highRisk, dataQualityFields);
+  const fever = decide('temperature (°F)', feverTemperature(evaluations, patient), POLICY.thresholds.fever, dataQualityFields);
+
+  return {
+    patientId: analysis.patientId,
+    scoringModel: analysis.scoringModel,
+    policyVersion: analysis.policyVersion,
+    factors,
+    total: {
+      score: analysis.totalRiskScore,
+      contributions: Object.fromEntries(factors.map(({ name, result }) => [name, result.score]))
+    },
+    ...(news2 ? { news2 } : {}),
+    ...(analysis.riskBounds ? { riskBounds: analysis.riskBounds } : {}),
+    dataQuality: { flagged: dataQualityFields.length > 0, fields: dataQualityFields },
+    highRisk,
+    fever
+  };
+}
+
+function traceFactor(factor, patient, evaluation) {
+  const { parsed, score, category, band, isDataQualityIssue } = evaluation;
+  const trace = parsed.isValid && factor.trace ? factor.trace(parsed) : { rules: [], drivenBy: [], usedDefault: false };
+  const { unit = null, sourceUnit = null, converted = false, alternatives = [], readAs, readings } = parsed;
+
+  return {
+    name: factor.name,
+    field: factor.field,
+    raw: patient[factor.field] === undefined ? null : patient[factor.field],
+    parse: {
+      isValid: parsed.isValid,
+      reason: parsed.reason ?? null,
+      values: factor.details ? withoutProvenance(factor.details(parsed)) : {},
+      unit,
+      sourceUnit,
+      converted,
+      alternatives: alternatives.map(alternative => ({ ...alternative })),
+      ...(readAs ? { readAs } : {}),
+      ...(readings ? { readings } : {})
+    },
+    rules: trace.rules,
+    usedDefault: trace.usedDefault,
+    result: { score, category, band, drivenBy: trace.drivenBy },
+    isDataQualityIssue
+  };
+}
+
+function withoutProvenance({ unit, sourceUnit, converted, ...values }) {
+  return values;
+}
+
+/**
+ * Temperature in °F as the fever check reads it: through the registry's
+ * temperature factor when there is one (NEWS2 reads bare values as °C)
+ */
+function feverTemperature(evaluations, patient) {
+  const evaluation = evaluations.get('temperature');
+  const parsed = evaluation ? evaluation.parsed : readTemperature(patient.temperature);
+  return parsed.isValid ? parsed.temperature : null;
+}
+
+/**
+ * Whether `value` reaches `range`, and whether the patient makes the list:
+ * patients with data quality issues are left off every list but that one
+ */
+function decide(measure, value, range, dataQualityFields) {
+  const reached = value !== null && inRange(value, range);
+  const listed = reached && dataQualityFields.length === 0;
+
+  let reason;
+  if (value === null) {
+    reason = `no usable ${measure}`;
+  } else if (!reached) {
+    const short = range.min !== undefined && value < range.min ? ` (${round(range.min - value)} short)` : '';
+    reason = `${measure} ${value} does not meet ${formatRange(range)}${short}`;
+  } else {
+    reason = `${measure} ${value} meets ${formatRange(range)}`;
+  }
+  if (reached && !listed) {
+    reason += `, but the patient is excluded for data quality issues in ${dataQualityFields.join(', ')}`;
+  }
+
+  return { measure, value, threshold: formatRange(range), reached, listed, reason };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Render a trace as human-readable lines
+ */
+export function formatTrace(trace) {
+  const lines = [
+    trace.scoringModel === 'news2'
+      ? `Patient ${trace.patientId}: NEWS2 decision trace`
+      : `Patient ${trace.patientId}: decision trace (policy ${trace.policyVersion})`
+  ];
+
+  for (const factor of trace.factors) {
+    lines.push('', `${factor.name} (${factor.field}): raw ${JSON.stringify(factor.raw)}`);
+    lines.push(`  parse: ${describeParse(factor.parse)}`);
+    for (const rule of factor.rules) {
+      const conditions = rule.conditions
+        .map(({ input, value, range, holds }) => `${input} ${value} ${range} ${holds ? '✓' : '✗'}`)
+        .join(rule.match === 'any' ? ' OR ' : ' AND ');
+      lines.push(`  rule ${rule.id} (${rule.score}): ${conditions} → ${rule.matched ? 'matched' : 'no match'}`);
+    }
+    if (factor.usedDefault) {
+      lines.push('  no rule matched; default band applies');
+    }
+    const drivenBy = factor.result.drivenBy.length > 0 ? `, driven by ${factor.result.drivenBy.join(' and ')}` : '';
+    const flagged = factor.isDataQualityIssue ? ' [data quality issue]' : '';
+    lines.push(`  result: ${factor.result.category} (${factor.result.score})${drivenBy}${flagged}`);
+  }
+
+  const contributions = Object.entries(trace.total.contributions).map(([name, score]) => `${name} ${score}`);
+  lines.push('', `Total: ${contributions.join(' + ')} = ${trace.total.score}`);
+  if (trace.news2) {
+    const alert = trace.news2.singleParameterAlert ? ` (score of 3 in ${trace.news2.triggeredParameters.join(', ')})` : '';
+    lines.push(`NEWS2 response: ${trace.news2.response}${alert}`);
+  }
+  lines.push(`Data quality: ${trace.dataQuality.flagged ? `flagged (${trace.dataQuality.fields.join(', ')})` : 'ok'}`);
+  if (trace.riskBounds) {
+    const { min, max, label, unknownFactors } = trace.riskBounds;
+    const unknown = unknownFactors.map(({ name, min: low, max: high }) => `${name} could score ${low}-${high}`);
+    lines.push(`Risk bounds: total ${min}-${max}, ${label}${unknown.length > 0 ? ` (${unknown.join(', ')})` : ''}`);
+  }
+  lines.push(`High risk: ${trace.highRisk.listed ? 'yes' : 'no'}: ${trace.highRisk.reason}`);
+  lines.push(`Fever: ${trace.fever.listed ? 'yes' : 'no'}: ${trace.fever.reason}`);
+  return lines.join('\n');
+}
+
+function describeParse(parse) {
+  if (!parse.isValid) {
+    const readings = (parse.readings || []).map(({ sourceUnit, band, score, ...values }) =>
+      `${Object.values(values).join('/')} ${parse.unit} ${sourceUnit === null ? 'as given' : `if read as ${sourceUnit}`} → ${band} (${score})`);
+    return readings.length > 0
+      ? `rejected ${parse.reason}: readings score differently (${readings.join('; ')})`
+      : `rejected ${parse.reason}`;
+  }
+
+  const values = Object.entries(parse.values).map(([name, value]) => `${name} ${value}`).join(', ');
+  if (!parse.unit) {
+    return values;
+  }
+  if (parse.sourceUnit === null) {
+    return `${values} (no unit given; read as ${parse.readAs ?? parse.unit})`;
+  }
+  return parse.converted ? `${values} ${parse.unit} (converted from ${parse.sourceUnit})` : `${values} ${parse.unit}`;
+}
@@ -0,0 +1,189 @@
+import { toCsv } from './utils.js';
+import { FINDING_COLUMNS } from './data-quality.js';
+import { toFhirRiskAssessments } from './fhir.js';
+
+/**
+ * Exporters for RiskAnalyzer results: a per-patient table as CSV or NDJSON,
+ * a self-contained HTML report, and FHIR RiskAssessment resources
+ */
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'html', 'fhir'];
+
+const LEADING_COLUMNS = ['patientId', 'name', 'bloodPressure', 'temperature', 'age'];
+const TRAILING_COLUMNS = ['totalRiskScore', 'isHighRisk', 'hasFever', 'hasDataQualityIssues', 'policyVersion'];
+
+/**
+ * Flatten getPatientAnalysis() into one row per patient; each risk factor
+ * contributes <factor>Score, <factor>Category and <factor>Reason columns
+ */
+export function buildPatientRows(analyzer) {
+  return analyzer.getAllPatientAnalyses().map(analysis => {
+    const row = {};
+    for (const column of LEADING_COLUMNS) {
+      row[column] = analysis[column];
+    }
+    for (const [factor, breakdown] of Object.entries(analysis.riskBreakdown)) {
+      row[`${factor}Score`] = breakdown.score;
+      row[`${factor}Category`] = breakdown.category;
+      row[`${factor}Reason`] = breakdown.reason;
+    }
+    for (const column of TRAILING_COLUMNS) {
+      row[column] = analysis[column];
+    }
+    return row;
+  });
+}
+
+function columnsOf(rows, analyzer) {
+  if (rows.length > 0) {
+    return Object.keys(rows[0]);
+  }
+  const factorColumns = analyzer.factors.list()
+    .flatMap(({ name }) => [`${name}Score`, `${name}Category`, `${name}Reason`]);
+  return [...LEADING_COLUMNS, ...factorColumns, ...TRAILING_COLUMNS];
+}
+
+/**
+ * Per-patient table as CSV
+ */
+export function exportCsv(analyzer) {
+  const rows = buildPatientRows(analyzer);
+  return toCsv(rows, columnsOf(rows, analyzer));
+}
+
+/**
+ * Per-patient table as newline-delimited JSON
+ */
+export function exportNdjson(analyzer) {
+  return buildPatientRows(analyzer).map(row => JSON.stringify(row)).join('\n') + '\n';
+}
+
+/**
+ * Standalone HTML report: summary, sortable patient table, patients per
+ * risk factor category and data quality findings
+ */
+export function exportHtml(analyzer, { title = 'Patient Risk Assessment Report' } = {}) {
+  const rows = buildPatientRows(analyzer);
+  const summary = analyzer.getSummary();
+  const findings = analyzer.getDataQualityReport();
+  const policyVersion = rows[0]?.policyVersion ?? '';
+  const factorRows = Object.entries(summary.riskFactors).flatMap(([factor, categories]) =>
+    Object.entries(categories).map(([category, patients]) => ({ factor, category, patients })));
+
+  const summaryItems = [
+    ['Total patients', summary.totalPatients],
+    ['Valid patients', summary.validPatients],
+    ['High risk patients', summary.highRiskCount],
+    ['Fever patients', summary.feverCount],
+    ['Data quality issues', `${summary.dataQualityCount} (${summary.dataQualityPercentage}%)`]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #616e7c; margin-top: 0; }
+  .summary { display: flex; flex-wrap: wrap; gap: 1rem; padding: 0; list-style: none; }
+  .summary li { border: 1px solid #cbd2d9; border-radius: 6px; padding: 0.75rem 1rem; min-width: 10rem; }
+  .summary strong { display: block; font-size: 1.5rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #e4e7eb; padding: 0.35rem 0.5rem; text-align: left; }
+  th { background: #f5f7fa; cursor: pointer; user-select: none; position: sticky; top: 0; }
+  th[aria-sort="ascending"]::after { content: " ▲"; }
+  th[aria-sort="descending"]::after { content: " ▼"; }
+  tr.high-risk td:first-child { border-left: 4px solid #d64545; }
+  .critical { color: #d64545; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(new Date().toISOString())} · scoring policy ${escapeHtml(policyVersion)}</p>
+
+<h2>Summary</h2>
+<ul class="summary">
+${summaryItems.map(([label, value]) => `  <li>${escapeHtml(label)}<strong>${escapeHtml(value)}</strong></li>`).join('\n')}
+</ul>
+
+<h2>Patients</h2>
+${renderTable(rows, columnsOf(rows, analyzer), row => (row.isHighRisk ? 'high-risk' : ''))}
+
+<h2>Risk Factors</h2>
+${renderTable(factorRows, ['factor', 'category', 'patients'], () => '')}
+
+<h2>Data Quality Findings</h2>
+${findings.length > 0
+    ? renderTable(findings, FINDING_COLUMNS, finding => finding.severity)
+    : '<p>No data quality issues found.</p>'}
+
+<script>
+document.querySelectorAll('table.sortable').forEach(table => {
+  table.querySelectorAll('th').forEach((header, index) => {
+    header.addEventListener('click', () => {
+      const ascending = header.getAttribute('aria-sort') !== 'ascending';
+      table.querySelectorAll('th').forEach(th => th.removeAttribute('aria-sort'));
+      header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+      const body = table.tBodies[0];
+      const value = row => row.cells[index].textContent;
+      const rows = Array.from(body.rows).sort((a, b) => {
+        const left = value(a);
+        const right = value(b);
+        const numeric = left !== '' && right !== '' && !isNaN(left) && !isNaN(right);
+        const order = numeric ? left - right : left.localeCompare(right, undefined, { numeric: true });
+        return ascending ? order : -order;
+      });
+      rows.forEach(row => body.appendChild(row));
+    });
+  });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+function renderTable(rows, columns, rowClass) {
+  const header = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows.map(row => {
+    const cells = columns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('');
+    const className = rowClass(row);
+    return `<tr${className ? ` class="${escapeHtml(className)}"` : ''}>${cells}</tr>`;
+  }).join('\n');
+
+  return `<table class="sortable">\n<thead><tr>${header}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Export analysis results in one of EXPORT_FORMATS
+ */
+export function exportAnalysis(analyzer, format) {
+  switch (format) {
+    case 'csv':
+      return exportCsv(analyzer);
+    case 'ndjson':
+      return exportNdjson(analyzer);
+    case 'html':
+      return exportHtml(analyzer);
+    case 'fhir':
+      return `${JSON.stringify(toFhirRiskAssessments(analyzer), null, 2)}\n`;
+    default:
+      throw new Error(`Unsupported export format "${format}". Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,233 @@
+import { randomUUID } from 'node:crypto';
+import { toFahrenheit, toMillimetersOfMercury, ageFromBirthDate } from './vitals-parser.js';
+
+/**
+ * FHIR R4 interop: Bundle import into analyzer patients, and export of
+ * analysis results as RiskAssessment resources
+ */
+
+export const LOINC_SYSTEM = 'http://loinc.org';
+const RISK_PROBABILITY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/risk-probability';
+
+// Characters and length a FHIR resource id may have
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+export const LOINC = {
+  BP_PANEL: '85354-9',
+  SYSTOLIC: '8480-6',
+  DIASTOLIC: '8462-4',
+  BODY_TEMPERATURE: '8310-5'
+};
+
+/**
+ * Map a FHIR R4 Bundle to RiskAnalyzer patients
+ *
+ * Returns { patients, unmapped }, where unmapped lists every resource that
+ * could not be used together with the reason. The most recent observation
+ * per LOINC code wins; age is computed from birthDate as of `asOf`.
+ */
+export function importFhirBundle(bundle, { asOf = new Date() } = {}) {
+  if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+    throw new Error('Expected a FHIR Bundle with an entry array');
+  }
+
+  const unmapped = [];
+  const patientsByRef = new Map();
+  const observations = [];
+
+  for (const entry of bundle.entry) {
+    const resource = entry?.resource;
+    if (!resource || typeof resource !== 'object') {
+      unmapped.push({ resourceType: null, id: null, reason: 'MISSING_RESOURCE' });
+      continue;
+    }
+
+    if (resource.resourceType === 'Patient') {
+      const record = { resource, vitals: {} };
+      patientsByRef.set(`Patient/${resource.id}`, record);
+      if (entry.fullUrl) {
+        patientsByRef.set(entry.fullUrl, record);
+      }
+    } else if (resource.resourceType === 'Observation') {
+      observations.push(resource);
+    } else {
+      unmapped.push(describe(resource, 'UNSUPPORTED_RESOURCE'));
+    }
+  }
+
+  for (const observation of observations) {
+    const record = patientsByRef.get(observation.subject?.reference);
+    if (!record) {
+      unmapped.push(describe(observation, 'UNKNOWN_SUBJECT'));
+      continue;
+    }
+    if (observation.status === 'entered-in-error' || observation.status === 'cancelled') {
+      unmapped.push(describe(observation, 'NOT_CURRENT'));
+      continue;
+    }
+
+    const readings = readObservation(observation);
+    if (readings.error) {
+      unmapped.push(describe(observation, readings.error));
+      continue;
+    }
+
+    const effective = effectiveTime(observation);
+    for (const [code, value] of Object.entries(readings.values)) {
+      const current = record.vitals[code];
+      if (!current || effective >= current.effective) {
+        record.vitals[code] = { value, effective };
+      }
+    }
+  }
+
+  const seen = new Set();
+  const patients = [];
+  for (const { resource, vitals } of patientsByRef.values()) {
+    if (seen.has(resource)) continue;
+    seen.add(resource);
+
+    const systolic = vitals[LOINC.SYSTOLIC]?.value;
+    const diastolic = vitals[LOINC.DIASTOLIC]?.value;
+
+    patients.push({
+      patient_id: patientIdentifier(resource),
+      name: formatName(resource.name),
+      age: ageFromBirthDate(resource.birthDate, asOf),
+      gender: resource.gender ?? null,
+      blood_pressure: systolic === undefined && diastolic === undefined
+        ? null
+        : `${systolic ?? ''}/${diastolic ?? ''}`,
+      temperature: vitals[LOINC.BODY_TEMPERATURE]?.value ?? null,
+      fhir_reference: `Patient/${resource.id}`
+    });
+  }
+
+  return { patients, unmapped };
+}
+
+/**
+ * Pull the supported LOINC values out of an Observation
+ */
+function readObservation(observation) {
+  const code = loincCode(observation.code);
+  const values = {};
+
+  if (code === LOINC.BP_PANEL) {
+    for (const component of observation.component || []) {
+      const componentCode = loincCode(component.code);
+      if (componentCode === LOINC.SYSTOLIC || componentCode === LOINC.DIASTOLIC) {
+        const value = pressureValue(component.valueQuantity);
+        if (value === null) return { error: 'UNSUPPORTED_UNIT' };
+        values[componentCode] = value;
+      }
+    }
+    return Object.keys(values).length > 0 ? { values } : { error: 'NO_VALUE' };
+  }
+
+  if (code === LOINC.SYSTOLIC || code === LOINC.DIASTOLIC) {
+    const value = pressureValue(observation.valueQuantity);
+    return value === null ? { error: 'UNSUPPORTED_UNIT' } : { values: { [code]: value } };
+  }
+
+  if (code === LOINC.BODY_TEMPERATURE) {
+    const quantity = observation.valueQuantity;
+    if (!Number.isFinite(quantity?.value)) return { error: 'NO_VALUE' };
+
+    const fahrenheit = toFahrenheit(quantity.value, quantity.code) ?? toFahrenheit(quantity.value, quantity.unit);
+    if (fahrenheit === null) return { error: 'UNSUPPORTED_UNIT' };
+    return { values: { [code]: fahrenheit } };
+  }
+
+  return { error: 'UNKNOWN_CODE' };
+}
+
+function pressureValue(quantity) {
+  if (!Number.isFinite(quantity?.value)) return null;
+  const unit = quantity.code || quantity.unit;
+  return unit === undefined ? quantity.value : toMillimetersOfMercury(quantity.value, unit);
+}
+
+function loincCode(concept) {
+  const coding = (concept?.coding || []).find(c => c.system === LOINC_SYSTEM);
+  return coding?.code ?? null;
+}
+
+function effectiveTime(observation) {
+  const stamp = observation.effectiveDateTime || observation.effectivePeriod?.end || observation.issued;
+  const time = stamp ? Date.parse(stamp) : NaN;
+  return Number.isNaN(time) ? -Infinity : time;
+}
+
+function patientIdentifier(resource) {
+  return resource.identifier?.find(identifier => identifier.value)?.value ?? resource.id;
+}
+
+function formatName(names) {
+  const name = names?.find(n => n.use === 'official') || names?.[0];
+  if (!name) return null;
+  return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') || null;
+}
+
+function describe(resource, reason) {
+  return { resourceType: resource.resourceType ?? null, id: resource.id ?? null, reason };
+}
+
+/**
+ * Export analysis results as a FHIR collection Bundle of RiskAssessment
+ * resources. Each resource gets a new UUID as its id and urn:uuid fullUrl,
+ * since patient IDs need not be valid FHIR ids; a patient imported from FHIR
+ * keeps its reference, others are referenced as Patient/<id> when their ID
+ * is a valid FHIR id and by identifier otherwise.
+ */
+export function toFhirRiskAssessments(analyzer, { occurrence = new Date() } = {}) {
+  const entries = analyzer.patients.map(patient => {
+    const analysis = analyzer.describePatient(patient);
+    const factors = Object.entries(analysis.riskBreakdown)
+      .map(([factor, breakdown]) => `${factor} ${breakdown.category} (${breakdown.score})`)
+      .join(', ');
+    const id = randomUUID();
+
+    return {
+      fullUrl: `urn:uuid:${id}`,
+      resource: {
+        resourceType: 'RiskAssessment',
+        id,
+        status: analysis.hasDataQualityIssues ? 'preliminary' : 'final',
+        subject: patientReference(patient, analysis.patientId),
+        occurrenceDateTime: occurrence.toISOString(),
+        method: {
+          text: analysis.news2
+            ? `NEWS2 early warning score (${analysis.news2.response} clinical response)`
+            : `Patient risk scoring policy ${analysis.policyVersion}`
+        },
+        prediction: [{
+          outcome: { text: analysis.hasFever ? 'Elevated clinical risk with fever' : 'Elevated clinical risk' },
+          qualitativeRisk: {
+            coding: [{
+              system: RISK_PROBABILITY_SYSTEM,
+              code: analysis.isHighRisk ? 'high' : 'low',
+              display: analysis.isHighRisk ? 'High likelihood' : 'Low likelihood'
+            }]
+          }
+        }],
+        note: [{
+          text: analysis.hasDataQualityIssues
+            ? `Incomplete or invalid vitals; total risk score ${analysis.totalRiskScore} is provisional. ${factors}`
+            : `Total risk score ${analysis.totalRiskScore}: ${factors}`
+        }]
+      }
+    };
+  });
+
+  return { resourceType: 'Bundle', type: 'collection', entry: entries };
+}
+
+function patientReference(patient, patientId) {
+  if (patient.fhir_reference) {
+    return { reference: patient.fhir_reference };
+  }
+  return FHIR_ID.test(String(patientId))
+    ? { reference: `Patient/${patientId}` }
+    : { type: 'Patient', identifier: { value: String(patientId) } };
+}
@@ -0,0 +1,293 @@
+import { toFahrenheit, toMillimetersOfMercury, ageFromBirthDate } from './vitals-parser.js';
+import { SEVERITY } from './data-quality.js';
+import { LOINC } from './fhir.js';
+
+/**
+ * HL7 v2 interop: ORU^R01 observation messages into analyzer patients
+ *
+ * Only the segments the analyzer needs are read: MSH (delimiters, message
+ * type), PID (identifier, name, birth date, sex) and OBX (vitals coded with
+ * LOINC, as bedside monitors send them).
+ */
+
+export const HL7_FINDING_REASONS = {
+  UNSUPPORTED_MESSAGE: 'UNSUPPORTED_MESSAGE',           // Not an ORU^R01
+  MISSING_PATIENT: 'MISSING_PATIENT',                   // No PID segment, or PID-3 is empty
+  UNKNOWN_OBSERVATION_CODE: 'UNKNOWN_OBSERVATION_CODE', // OBX-3 is not a supported vital
+  UNSUPPORTED_UNIT: 'UNSUPPORTED_UNIT',                 // OBX-6 unit cannot be converted
+  NO_VALUE: 'NO_VALUE'                                  // OBX-5 is empty or not numeric
+};
+
+const DEFAULT_ENCODING = { field: '|', component: '^', repetition: '~', escape: '\\', subcomponent: '&' };
+
+// Result statuses that withdraw an observation (OBX-11)
+const WITHDRAWN_STATUSES = new Set(['D', 'W', 'X']);
+
+/**
+ * Parse one or more pipe-delimited ORU^R01 messages into RiskAnalyzer patients
+ *
+ * Returns { patients, findings }. Findings use the data quality report shape
+ * with severity 'warning', so one odd segment never fails the whole file.
+ * Observations for the same patient are merged across messages; the most
+ * recent (OBX-14, else MSH-7) value per code wins.
+ */
+export function importHl7Messages(text, { asOf = new Date() } = {}) {
+  if (typeof text !== 'string') {
+    throw new Error('Expected HL7 v2 message text');
+  }
+
+  const messages = splitMessages(text);
+  if (messages.length === 0) {
+    throw new Error('No HL7 v2 messages found (expected segments starting with MSH)');
+  }
+
+  const findings = [];
+  const records = new Map();
+
+  messages.forEach((segments, index) => {
+    const encoding = readEncoding(segments[0]);
+    const msh = parseSegment(segments[0], encoding);
+    const messageType = field(msh, 9);
+    const messageId = value(msh, 10) || `message ${index + 1}`;
+
+    if (component(messageType, 0) !== 'ORU' || component(messageType, 1) !== 'R01') {
+      findings.push(finding(null, 'message', messageType[0].join(encoding.component), HL7_FINDING_REASONS.UNSUPPORTED_MESSAGE));
+      return;
+    }
+
+    const pid = segments.map(segment => parseSegment(segment, encoding)).find(segment => segment.name === 'PID');
+    const patientId = pid ? value(pid, 3) : null;
+    if (!patientId) {
+      findings.push(finding(null, 'patient', messageId, HL7_FINDING_REASONS.MISSING_PATIENT));
+      return;
+    }
+
+    if (!records.has(patientId)) {
+      records.set(patientId, { patientId, vitals: {} });
+    }
+    const record = records.get(patientId);
+    record.name = formatName(field(pid, 5)) ?? record.name;
+    record.birthDate = value(pid, 7) || record.birthDate;
+    record.sex = value(pid, 8) || record.sex;
+
+    const messageTime = parseTimestamp(value(msh, 7));
+    for (const segment of segments) {
+      const obx = parseSegment(segment, encoding);
+      if (obx.name !== 'OBX' || WITHDRAWN_STATUSES.has(value(obx, 11))) continue;
+
+      const readings = readObservation(obx);
+      if (readings.error) {
+        findings.push(finding(patientId, 'observation', describeObservation(obx, encoding), readings.error));
+        continue;
+      }
+
+      const effective = parseTimestamp(value(obx, 14)) ?? messageTime ?? -Infinity;
+      for (const [code, reading] of Object.entries(readings.values)) {
+        const current = record.vitals[code];
+        if (!current || effective >= current.effective) {
+          record.vitals[code] = { value: reading, effective };
+        }
+      }
+    }
+  });
+
+  const patients = [...records.values()].map(({ patientId, name, birthDate, sex, vitals }) => {
+    const systolic = vitals[LOINC.SYSTOLIC]?.value;
+    const diastolic = vitals[LOINC.DIASTOLIC]?.value;
+
+    return {
+      patient_id: patientId,
+      name: name ?? null,
+      age: ageFromBirthDate(toIsoDate(birthDate), asOf),
+      gender: sex ?? null,
+      blood_pressure: systolic === undefined && diastolic === undefined
+        ? null
+        : `${systolic ?? ''}/${diastolic ?? ''}`,
+      temperature: vitals[LOINC.BODY_TEMPERATURE]?.value ?? null
+    };
+  });
+
+  return { patients, findings };
+}
+
+/**
+ * Split text into messages, each a list of segment strings starting with MSH
+ */
+function splitMessages(text) {
+  const messages = [];
+  for (const segment of text.split(/\r\n|\r|\n/)) {
+    const trimmed = segment.replace(/^\s+/, '');
+    if (trimmed === '') continue;
+
+    if (trimmed.startsWith('MSH')) {
+      messages.push([trimmed]);
+    } else if (messages.length > 0) {
+      messages[messages.length - 1].push(trimmed);
+    }
+  }
+  return messages;
+}
+
+/**
+ * Delimiters declared by MSH-1 and MSH-2
+ */
+function readEncoding(msh) {
+  const characters = msh.slice(4, 8);
+  return {
+    field: msh[3] || DEFAULT_ENCODING.field,
+    component: characters[0] || DEFAULT_ENCODING.component,
+    repetition: characters[1] || DEFAULT_ENCODING.repetition,
+    escape: characters[2] || DEFAULT_ENCODING.escape,
+    subcomponent: characters[3] || DEFAULT_ENCODING.subcomponent
+  };
+}
+
+/**
+ * Parse a segment into { name, fields }, where fields[n] is HL7 field n as a
+ * list of repetitions, each a list of unescaped components (subcomponents
+ * are kept joined). MSH is numbered so that MSH-1 is the field separator.
+ */
+function parseSegment(segment, encoding) {
+  const parts = segment.split(encoding.field);
+  const name = parts[0];
+  const raw = name === 'MSH' ? ['MSH', encoding.field, ...parts.slice(1)] : parts;
+
+  const fields = raw.map((text, index) => {
+    if (name === 'MSH' && index <= 2) return [[text]];
+    return text.split(encoding.repetition).map(repetition =>
+      repetition.split(encoding.component).map(part => unescape(part, encoding))
+    );
+  });
+
+  return { name, fields };
+}
+
+/**
+ * Resolve HL7 escape sequences (\F\ \S\ \T\ \R\ \E\ \Xhh\); formatting
+ * sequences such as \.br\ or \H\ are dropped
+ */
+function unescape(text, encoding) {
+  const { escape } = encoding;
+  if (!text.includes(escape)) return text;
+
+  const pattern = new RegExp(`${escapeRegExp(escape)}([^${escapeRegExp(escape)}]*)${escapeRegExp(escape)}`, 'g');
+  return text.replace(pattern, (match, sequence) => {
+    switch (sequence) {
+      case 'F': return encoding.field;
+      case 'S': return encoding.component;
+      case 'T': return encoding.subcomponent;
+      case 'R': return encoding.repetition;
+      case 'E': return escape;
+    }
+    if (/^X([0-9A-Fa-f]{2})+$/.test(sequence)) {
+      return sequence.slice(1).match(/../g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+    }
+    return '';
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function field(segment, index) {
+  return segment.fields[index] || [['']];
+}
+
+function component(repetitions, index, repetition = 0) {
+  return repetitions[repetition]?.[index] ?? '';
+}
+
+/**
+ * First component of the first repetition of a field, trimmed
+ */
+function value(segment, index) {
+  return component(field(segment, index), 0).trim();
+}
+
+/**
+ * Pull the supported LOINC values out of an OBX segment
+ */
+function readObservation(obx) {
+  const code = component(field(obx, 3), 0).trim();
+  const text = value(obx, 5);
+  const unit = component(field(obx, 6), 0).trim();
+
+  if (code === LOINC.BP_PANEL) {
+    const match = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(text);
+    if (!match) return { error: HL7_FINDING_REASONS.NO_VALUE };
+    const [systolic, diastolic] = [match[1], match[2]].map(reading => pressure(Number(reading), unit));
+    if (systolic === null) return { error: HL7_FINDING_REASONS.UNSUPPORTED_UNIT };
+    return { values: { [LOINC.SYSTOLIC]: systolic, [LOINC.DIASTOLIC]: diastolic } };
+  }
+
+  if (code === LOINC.SYSTOLIC || code === LOINC.DIASTOLIC) {
+    const reading = numeric(text);
+    if (reading === null) return { error: HL7_FINDING_REASONS.NO_VALUE };
+    const mmHg = pressure(reading, unit);
+    if (mmHg === null) return { error: HL7_FINDING_REASONS.UNSUPPORTED_UNIT };
+    return { values: { [code]: mmHg } };
+  }
+
+  if (code === LOINC.BODY_TEMPERATURE) {
+    const reading = numeric(text);
+    if (reading === null) return { error: HL7_FINDING_REASONS.NO_VALUE };
+    const fahrenheit = toFahrenheit(reading, unit);
+    if (fahrenheit === null) return { error: HL7_FINDING_REASONS.UNSUPPORTED_UNIT };
+    return { values: { [code]: fahrenheit } };
+  }
+
+  return { error: HL7_FINDING_REASONS.UNKNOWN_OBSERVATION_CODE };
+}
+
+/**
+ * A pressure in mmHg; OBX-6 may be empty (mmHg assumed) or any unit
+ * toMillimetersOfMercury() knows
+ */
+function pressure(reading, unit) {
+  return unit ? toMillimetersOfMercury(reading, unit) : reading;
+}
+
+function numeric(text) {
+  return /^-?\d+(?:\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * OBX-3, OBX-5 and OBX-6 re-encoded for the findings report
+ */
+function describeObservation(obx, encoding) {
+  const code = field(obx, 3)[0].filter(Boolean).join(encoding.component);
+  const unit = component(field(obx, 6), 0);
+  return [code, value(obx, 5), unit].filter(Boolean).join(' ');
+}
+
+/**
+ * HL7 DTM (YYYY[MM[DD[HH[MM[SS]]]]][+/-ZZZZ]) as epoch milliseconds, or null
+ */
+function parseTimestamp(stamp) {
+  const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/.exec(stamp || '');
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', offset] = match;
+  const zone = offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z';
+  const time = Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * HL7 date (YYYY[MM[DD]]) as an ISO date for ageFromBirthDate
+ */
+function toIsoDate(date) {
+  const match = /^(\d{4})(\d{2})?(\d{2})?/.exec(date || '');
+  if (!match) return null;
+  return match.slice(1).filter(Boolean).join('-');
+}
+
+function formatName(repetitions) {
+  const [family, given, middle] = repetitions[0] || [];
+  return [given, middle, family].filter(Boolean).join(' ') || null;
+}
+
+function finding(patientId, fieldName, rawValue, reason) {
+  return { patientId, field: fieldName, rawValue, reason, severity: SEVERITY.WARNING };
+}
@@ -1,60 +1,147 @@
 import { ApiClient } from './api-client.js';
-import { RiskAnalyzer } from './risk-analyzer.js';
+import { RiskAnalyzer, SCORING_MODELS } from './risk-analyzer.js';
+import { SubmissionLedger, formatDiff } from './submission-ledger.js';
+import { FetchCheckpoint } from './checkpoint.js';
+import { PaginationIntegrity, logIntegrityReport } from './pagination-integrity.js';
+import { CONFIG } from './config.js';
+import { deadlineSignal } from './utils.js';
+import { logger, withCorrelation, newCorrelationId, currentCorrelationId } from './logger.js';
+import { MetricsCollector } from './metrics.js';
 
 /**
  * Main Healthcare API Assessment Application
  */
 class HealthcareAssessment {
-  constructor() {
-    this.apiClient = new ApiClient();
-    this.riskAnalyzer = new RiskAnalyzer();
+  constructor(options = {}) {
+    // options.logger: the Logger for this assessment and the client and
+    // analyzer it creates (default: the shared logger in logger.js)
+    this.logger = options.logger || logger;
+    // options.metrics: the MetricsCollector shared with the client and
+    // analyzer (default: the injected client's, or a new one)
+    this.metrics = options.metrics || options.apiClient?.metrics || new MetricsCollector();
+    // options.apiClient: null for an assessment that only analyzes input
+    // already at hand (it cannot fetch or submit)
+    this.apiClient = options.apiClient !== undefined ? options.apiClient : new ApiClient({ logger: this.logger, metrics: this.metrics });
+    // options.scoringModel: one of SCORING_MODELS (default CONFIG.SCORING_MODEL);
+    // options.partialScoring: risk bounds for patients with data quality issues
+    this.riskAnalyzer = new RiskAnalyzer({
+      model: options.scoringModel,
+      partialScoring: options.partialScoring,
+      logger: this.logger,
+      metrics: this.metrics
+    });
+    this.ledger = options.ledger || new SubmissionLedger();
+    // null disables checkpointing
+    this.checkpoint = options.checkpoint !== undefined ? options.checkpoint : new FetchCheckpoint();
+    this.mergePolicy = options.mergePolicy || CONFIG.MERGE_POLICY;
+    // Where runAssessment() writes its metrics; null (or '') disables
+    this.metricsPath = options.metricsPath !== undefined ? options.metricsPath : CONFIG.METRICS_PATH;
+    this.integrity = null;
   }
 
   /**
-   * Run the complete assessment
+   * Run the complete assessment ({ force: true } bypasses the submission guard,
+   * { stream: true } analyzes each page as it is fetched, { resume: true }
+   * continues an interrupted fetch from its checkpoint). `signal` cancels
+   * the run and `timeout` (ms, default CONFIG.ASSESSMENT_TIMEOUT, 0 = none)
+   * bounds it; either aborts every request in flight. Every record logged
+   * during the run carries its correlation ID (`runId`, default: a new one).
+   * The run's metrics start from zero and are written to this.metricsPath
+   * when it ends, whether or not it succeeded.
    */
-  async runAssessment() {
+  runAssessment(options = {}) {
+    return withCorrelation(() => this.assess(options), options.runId || newCorrelationId());
+  }
+
+  async assess(options) {
+    const deadline = deadlineSignal(options.signal, options.timeout ?? CONFIG.ASSESSMENT_TIMEOUT, 'Assessment');
+    options = { ...options, signal: deadline.signal };
+    this.metrics.reset();
+    const elapsed = this.metrics.startTimer();
+
     try {
-      console.log('🚀 Starting Healthcare API Assessment...\n');
-
-      // Step 1: Fetch all patient data
-      console.log('📋 Step 1: Fetching patient data...');
-      const patients = await this.fetchAllPatients();
-      
-      if (!patients || patients.length === 0) {
-        throw new Error('No patients data received');
-      }
+      this.logger.info('Starting Healthcare API Assessment...', { runId: currentCorrelationId() });
+
+      let results;
+      if (options.stream) {
+        // Steps 1 and 2: Fetch and analyze page by page
+        this.logger.info('Step 1-2: Fetching and analyzing patient data as it arrives...');
+        results = await this.streamPatients(options);
 
-      // Step 2: Analyze patient data
-      console.log('\n🔍 Step 2: Analyzing patient data...');
-      const results = await this.analyzePatients(patients);
+        if (this.riskAnalyzer.getSummary().totalPatients === 0) {
+          throw new Error('No patients data received');
+        }
+      } else {
+        // Step 1: Fetch all patient data
+        this.logger.info('Step 1: Fetching patient data...');
+        const patients = await this.fetchAllPatients(options);
+
+        if (!patients || patients.length === 0) {
+          throw new Error('No patients data received');
+        }
+
+        // Step 2: Analyze patient data
+        this.logger.info('Step 2: Analyzing patient data...');
+        results = await this.analyzePatients(patients);
+      }
 
       // Step 3: Submit assessment results
-      console.log('\n📤 Step 3: Submitting assessment results...');
-      const submissionResult = await this.submitResults(results);
+      this.logger.info('Step 3: Submitting assessment results...');
+      const submissionResult = await this.submitResults(results, options);
 
       // Step 4: Display results
-      console.log('\n📊 Step 4: Assessment Results');
+      this.logger.info('Step 4: Assessment Results');
       this.displayResults(submissionResult);
 
       return submissionResult;
 
     } catch (error) {
-      console.error('\n❌ Assessment failed:', error.message);
+      this.logger.error(`Assessment failed: ${error.message}`, { error: error.name });
       throw error;
+    } finally {
+      deadline.clear();
+      this.metrics.set('run_duration_seconds', elapsed());
+      await this.writeMetrics();
+    }
+  }
+
+  /**
+   * Write the run metrics to this.metricsPath (when set); a failure to write
+   * is logged, never thrown, so it cannot fail the run
+   */
+  async writeMetrics() {
+    if (!this.metricsPath) {
+      return;
+    }
+    try {
+      await this.metrics.write(this.metricsPath);
+      this.logger.info(`Run metrics written to ${this.metricsPath}`);
+    } catch (error) {
+      this.logger.warn(`Could not write run metrics to ${this.metricsPath}: ${error.message}`, { error: error.name });
     }
   }
 
   /**
-   * Fetch all patients from the API
+   * Fetch all patients from the API, checkpointing each page ({ signal }
+   * cancels the fetch, { resume: true } continues from the checkpoint).
+   * Duplicate patients are reconciled under this.mergePolicy; conflicts
+   * flagged by the 'flag' policy become data quality findings, which are
+   * reported but leave the result lists as they are.
    */
-  async fetchAllPatients() {
+  async fetchAllPatients({ signal, resume = false } = {}) {
     try {
-      const patients = await this.apiClient.getAllPatients();
-      console.log(`✅ Successfully fetched ${patients.length} patients`);
+      this.integrity = this.createIntegrity();
+      const patients = await this.apiClient.getAllPatients({
+        signal,
+        checkpoint: this.checkpoint,
+        resume,
+        integrity: this.integrity
+      });
+      this.riskAnalyzer.addFindings(this.integrity.getFindings());
+      this.logger.info(`Successfully fetched ${patients.length} patients`, { patients: patients.length });
       return patients;
     } catch (error) {
-      console.error('❌ Failed to fetch patients:', error.message);
+      this.logger.error(`Failed to fetch patients: ${error.message}`, { error: error.name });
       throw error;
     }
   }
@@ -69,80 +156,173 @@ class HealthcareAssessment {
 
       // Perform analysis
       const results = this.riskAnalyzer.analyze();
+      this.logSummary();
+      return results;
+    } catch (error) {
+      this.logger.error(`Failed to analyze patients: ${error.message}`, { error: error.name });
+      throw error;
+    }
+  }
 
-      // Get summary statistics
-      const summary = this.riskAnalyzer.getSummary();
-      
-      console.log('\n📈 Analysis Summary:');
-      console.log(`- Total patients: ${summary.totalPatients}`);
-      console.log(`- Valid patients: ${summary.validPatients}`);
-      console.log(`- High risk patients: ${summary.highRiskCount}`);
-      console.log(`- Fever patients: ${summary.feverCount}`);
-      console.log(`- Data quality issues: ${summary.dataQualityCount} (${summary.dataQualityPercentage}%)`);
-
+  /**
+   * Fetch and analyze patients page by page, so results build up as pages
+   * arrive; if a page fails, getCurrentResults() still holds everything
+   * analyzed before it. Patient records are dropped once scored, keeping
+   * memory flat, unless { retainPatients: true } is passed (needed for
+   * getPatientAnalysis() and the exporters); { signal } cancels the fetch
+   * and { resume: true } continues it from the checkpoint. A patient ID
+   * repeated on a later page is skipped, since the first copy has already
+   * been scored, so only the first-wins and flag merge policies are
+   * accepted.
+   */
+  async streamPatients(options = {}) {
+    try {
+      this.integrity = this.createIntegrity();
+      const patients = this.apiClient.iteratePatients({
+        signal: options.signal,
+        checkpoint: this.checkpoint,
+        resume: options.resume,
+        integrity: this.integrity
+      });
+      const results = await this.riskAnalyzer.analyzeStream(patients, { retainPatients: options.retainPatients ?? false });
+      this.riskAnalyzer.addFindings(this.integrity.getFindings());
+      this.logIntegrity();
+      this.logSummary();
       return results;
     } catch (error) {
-      console.error('❌ Failed to analyze patients:', error.message);
+      const analyzed = this.riskAnalyzer.getSummary().totalPatients;
+      this.logger.error(`Failed to stream patients: ${error.message}; partial results cover ${analyzed} patients`, { error: error.name, analyzed });
       throw error;
     }
   }
 
   /**
-   * Submit results to the assessment API
+   * Pagination integrity checker for the next fetch
    */
-  async submitResults(results) {
+  createIntegrity() {
+    return new PaginationIntegrity({ mergePolicy: this.mergePolicy, limit: CONFIG.MAX_LIMIT });
+  }
+
+  /**
+   * Log the pagination integrity report of the last fetch when it found issues
+   */
+  logIntegrity() {
+    const report = this.getIntegrityReport();
+    if (report) {
+      logIntegrityReport(report, this.logger);
+    }
+  }
+
+  /**
+   * Log the analyzer's summary statistics
+   */
+  logSummary() {
+    const summary = this.riskAnalyzer.getSummary();
+
+    this.logger.info('Analysis summary', {
+      totalPatients: summary.totalPatients,
+      validPatients: summary.validPatients,
+      highRiskCount: summary.highRiskCount,
+      feverCount: summary.feverCount,
+      dataQualityCount: summary.dataQualityCount,
+      dataQualityPercentage: summary.dataQualityPercentage,
+      ...(summary.partialScoring ? { partialScoring: summary.partialScoring } : {}),
+      ...(summary.news2 ? { news2: summary.news2 } : {})
+    });
+  }
+
+  /**
+   * Check a submission against the ledger; resolves with the diff vs the
+   * best previous attempt. The diff names patients, so it is not logged
+   * (the logger would hash the IDs); callers print it with formatDiff().
+   */
+  async checkSubmission(results, options = {}) {
+    const payload = this.apiClient.buildPayload(results);
+    return this.ledger.check(payload, options);
+  }
+
+  /**
+   * Submit results to the assessment API, guarded by the submission ledger
+   * (pass { force: true } to bypass the guard, { signal } to cancel, and
+   * { onDiff } to receive the diff vs the best previous attempt once the
+   * guard allows it). Only rubric results are submitted, since the rubric
+   * is what the API grades.
+   */
+  async submitResults(results, options = {}) {
     try {
-      const submissionResult = await this.apiClient.submitAssessment(results);
-      console.log('✅ Assessment submitted successfully');
+      if (this.riskAnalyzer.model !== SCORING_MODELS.RUBRIC) {
+        throw new Error(`Results scored with the ${this.riskAnalyzer.model} model cannot be submitted; the API grades the ${SCORING_MODELS.RUBRIC} model`);
+      }
+      const diff = await this.checkSubmission(results, options);
+      options.onDiff?.(diff);
+
+      // The attempt is recorded from the raw response, before the schema
+      // check, since the server has counted it whatever the body looks like.
+      // A stream that dropped its records has no input to hash, so none is
+      // recorded rather than the hash of an empty list.
+      const { patients, patientsRetained } = this.riskAnalyzer;
+      const submissionResult = await this.apiClient.submitAssessment(results, {
+        signal: options.signal,
+        onResponse: response => this.ledger.record({
+          payload: this.apiClient.buildPayload(results),
+          patients: patientsRetained ? patients : null,
+          response
+        })
+      });
+      this.logger.info('Assessment submitted successfully');
       return submissionResult;
     } catch (error) {
-      console.error('❌ Failed to submit assessment:', error.message);
+      this.logger.error(`Failed to submit assessment: ${error.message}`, { error: error.name });
       throw error;
     }
   }
 
   /**
-   * Display assessment results
+   * Log the assessment results
    */
   displayResults(submissionResult) {
     if (!submissionResult || !submissionResult.results) {
-      console.log('❌ No results to display');
+      this.logger.warn('No results to display');
       return;
     }
 
     const { results } = submissionResult;
-    
-    console.log('\n🎯 Assessment Score:');
-    console.log(`- Overall Score: ${results.score} (${results.percentage}%)`);
-    console.log(`- Status: ${results.status}`);
-    console.log(`- Attempt: ${results.attempt_number}/${results.attempt_number + results.remaining_attempts}`);
+
+    this.logger.info(`Assessment score: ${results.score} (${results.percentage}%)`, {
+      score: results.score,
+      percentage: results.percentage,
+      status: results.status,
+      ...(results.attempt_number !== null && results.remaining_attempts !== null
+        ? { attempt: results.attempt_number, attempts: results.attempt_number + results.remaining_attempts }
+        : {})
+    });
 
     if (results.breakdown) {
-      console.log('\n📊 Score Breakdown:');
-      console.log(`- High Risk Patients: ${results.breakdown.high_risk.score}/${results.breakdown.high_risk.max} (${results.breakdown.high_risk.correct}/${results.breakdown.high_risk.submitted} correct)`);
-      console.log(`- Fever Patients: ${results.breakdown.fever.score}/${results.breakdown.fever.max} (${results.breakdown.fever.correct}/${results.breakdown.fever.submitted} correct)`);
-      console.log(`- Data Quality Issues: ${results.breakdown.data_quality.score}/${results.breakdown.data_quality.max} (${results.breakdown.data_quality.correct}/${results.breakdown.data_quality.submitted} correct)`);
+      // The response schema guarantees each category's shape, but in lenient
+      // mode a category the API left out is null
+      const categories = [
+        ['High Risk Patients', results.breakdown.high_risk],
+        ['Fever Patients', results.breakdown.fever],
+        ['Data Quality Issues', results.breakdown.data_quality]
+      ];
+      for (const [label, category] of categories) {
+        if (category) {
+          this.logger.info(`${label}: ${category.score}/${category.max} (${category.correct}/${category.submitted} correct)`);
+        }
+      }
     }
 
     if (results.feedback) {
-      console.log('\n💡 Feedback:');
-      if (results.feedback.strengths && results.feedback.strengths.length > 0) {
-        console.log('✅ Strengths:');
-        results.feedback.strengths.forEach(strength => console.log(`  ${strength}`));
-      }
-      
-      if (results.feedback.issues && results.feedback.issues.length > 0) {
-        console.log('⚠️  Issues:');
-        results.feedback.issues.forEach(issue => console.log(`  ${issue}`));
-      }
+      (results.feedback.strengths || []).forEach(strength => this.logger.info(`Strength: ${strength}`));
+      (results.feedback.issues || []).forEach(issue => this.logger.info(`Issue: ${issue}`));
     }
 
     if (results.is_personal_best) {
-      console.log('\n🏆 New Personal Best!');
+      this.logger.info('New personal best');
     }
 
     if (results.can_resubmit) {
-      console.log(`\n🔄 You can resubmit ${results.remaining_attempts} more time(s)`);
+      this.logger.info(`You can resubmit ${results.remaining_attempts} more time(s)`, { remainingAttempts: results.remaining_attempts });
     }
   }
 
@@ -153,6 +333,13 @@ class HealthcareAssessment {
     return this.riskAnalyzer.getPatientAnalysis(patientId);
   }
 
+  /**
+   * Get the decision trace behind a specific patient's results
+   */
+  getPatientTrace(patientId) {
+    return this.riskAnalyzer.getPatientTrace(patientId);
+  }
+
   /**
    * Get current results without submitting
    */
@@ -160,22 +347,54 @@ class HealthcareAssessment {
     return this.riskAnalyzer.results;
   }
 
+  /**
+   * Get the pagination integrity report of the last fetch (null before any fetch)
+   */
+  getIntegrityReport() {
+    return this.integrity ? this.integrity.getReport() : null;
+  }
+
+  /**
+   * Get per-field data quality findings
+   */
+  getDataQualityReport() {
+    return this.riskAnalyzer.getDataQualityReport();
+  }
+
   /**
    * Get summary statistics
    */
   getSummary() {
     return this.riskAnalyzer.getSummary();
   }
+
+  /**
+   * Get the run metrics: the JSON summary, or with 'prometheus' the text exposition
+   */
+  getMetrics(format = 'json') {
+    return format === 'prometheus' ? this.metrics.toPrometheus() : this.metrics.getSummary();
+  }
 }
 
 // Main execution
 async function main() {
+  if (process.argv.includes('--quiet')) {
+    logger.configure({ level: 'error' });
+  }
   const assessment = new HealthcareAssessment();
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort(new Error('Cancelled by user (SIGINT)')));
   
   try {
-    await assessment.runAssessment();
+    await assessment.runAssessment({
+      force: process.argv.includes('--force'),
+      stream: process.argv.includes('--stream'),
+      resume: process.argv.includes('--resume'),
+      signal: controller.signal,
+      onDiff: diff => console.log(formatDiff(diff).join('\n'))
+    });
   } catch (error) {
-    console.error('Assessment failed:', error.message);
+    logger.error(`Assessment failed: ${error.message}`);
     process.exit(1);
   }
 }
@@ -0,0 +1,233 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+
+/**
+ * Structured, PHI-safe logging
+ *
+ * Every record has a level, a message and optional fields. Messages never
+ * carry patient data; anything about a patient goes in the fields, where
+ * the redaction policy can reach it:
+ *
+ *   logger.warn('Duplicate patient record', { patientId, pages });
+ *
+ * Output is plain text (message, then key=value fields) or JSON lines with
+ * time, level, msg, the correlation ID of the run and the fields. Debug and
+ * info go to `stream`, warn and error to `errorStream`.
+ *
+ * LOG_LEVEL and LOG_FORMAT are read here rather than through config.js, so
+ * the CLI can log before it knows whether an API key is set.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+export const LOG_FORMATS = {
+  TEXT: 'text', // Message and key=value fields, for people
+  JSON: 'json'  // One JSON object per line, for log pipelines
+};
+
+/**
+ * How each field is redacted, by field name (case-insensitive, at any depth):
+ * 'mask' replaces the value, 'hash' replaces it with a keyed hash that is
+ * stable within the process (so one patient's records can still be
+ * followed), 'drop' leaves the field out
+ */
+export const REDACTION_POLICY = {
+  name: 'mask',
+  patient_name: 'mask',
+  given: 'mask',
+  family: 'mask',
+  birthdate: 'mask',
+  dob: 'mask',
+  address: 'mask',
+  phone: 'mask',
+  telecom: 'mask',
+  email: 'mask',
+  ssn: 'mask',
+  mrn: 'mask',
+  identifier: 'mask',
+  apikey: 'drop',
+  api_key: 'drop',
+  'x-api-key': 'drop',
+  authorization: 'drop',
+  patient_id: 'hash',
+  patientid: 'hash',
+  patientids: 'hash',
+  resourceid: 'hash'
+};
+
+const MASK = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Per-process key, so hashed identifiers cannot be reversed by hashing
+// every plausible ID
+const HASH_KEY = randomBytes(32);
+
+const correlation = new AsyncLocalStorage();
+
+export class Logger {
+  /**
+   * `options.level` is the lowest level written (one of LOG_LEVELS, default
+   * LOG_LEVEL or 'info'), `options.format` one of LOG_FORMATS (default
+   * LOG_FORMAT or 'text'), `options.redaction` the policy (default
+   * REDACTION_POLICY) and `options.context` fields added to every record
+   */
+  constructor(options = {}) {
+    this.settings = {
+      level: 'info',
+      format: LOG_FORMATS.TEXT,
+      stream: process.stdout,
+      errorStream: process.stderr,
+      redaction: REDACTION_POLICY
+    };
+    this.configure({
+      level: process.env.LOG_LEVEL || undefined,
+      format: process.env.LOG_FORMAT || undefined,
+      ...options
+    });
+    this.context = options.context || {};
+  }
+
+  /**
+   * Change level, format, streams or redaction policy; children share the
+   * settings of the logger they were made from
+   */
+  configure({ level, format, stream, errorStream, redaction } = {}) {
+    if (level !== undefined && !LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}". Expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (format !== undefined && !Object.values(LOG_FORMATS).includes(format)) {
+      throw new Error(`Unknown log format "${format}". Expected one of: ${Object.values(LOG_FORMATS).join(', ')}`);
+    }
+
+    const changes = { level, format, stream, errorStream, redaction };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value !== undefined) {
+        this.settings[key] = value;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * A logger adding `context` to every record, sharing this one's settings
+   */
+  child(context) {
+    const child = Object.create(Logger.prototype);
+    child.settings = this.settings;
+    child.context = { ...this.context, ...context };
+    return child;
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.settings.level);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  log(level, message, fields = {}) {
+    if (level === 'silent' || !this.isEnabled(level)) {
+      return;
+    }
+
+    const { format, stream, errorStream, redaction } = this.settings;
+    const safeFields = redact({ ...this.context, ...fields }, redaction);
+    const line = format === LOG_FORMATS.JSON
+      ? JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...correlationFields(), ...safeFields })
+      : formatText(level, message, safeFields);
+    (level === 'warn' || level === 'error' ? errorStream : stream).write(`${line}\n`);
+  }
+}
+
+function correlationFields() {
+  const correlationId = correlation.getStore();
+  return correlationId === undefined ? {} : { correlationId };
+}
+
+function formatText(level, message, fields) {
+  const prefix = level === 'warn' || level === 'error' ? `${level}: ` : '';
+  const pairs = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`);
+  return [`${prefix}${message}`, ...pairs].join(' ');
+}
+
+/**
+ * A copy of `value` with every field named in `policy` masked, hashed or
+ * dropped; errors become { name, message }
+ */
+export function redact(value, policy = REDACTION_POLICY, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return MASK;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, policy, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    const action = policy[key.toLowerCase()];
+    if (action === 'drop') {
+      continue;
+    }
+    result[key] = action === 'mask' ? MASK
+      : action === 'hash' ? hashValue(field)
+      : redact(field, policy, depth + 1);
+  }
+  return result;
+}
+
+function hashValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(hashValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, hashValue(item)]));
+  }
+  if (value === null || value === undefined) {
+    return value;
+  }
+  return `#${createHmac('sha256', HASH_KEY).update(String(value)).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Run `fn` with every record logged inside it, including from async work it
+ * starts, tagged with `correlationId` (default: a new random ID)
+ */
+export function withCorrelation(fn, correlationId = newCorrelationId()) {
+  return correlation.run(correlationId, fn);
+}
+
+/**
+ * The correlation ID of the current run, or null outside withCorrelation()
+ */
+export function currentCorrelationId() {
+  return correlation.getStore() ?? null;
+}
+
+export function newCorrelationId() {
+  return randomUUID();
+}
+
+/**
+ * The logger modules use unless they are given their own
+ */
+export const logger = new Logger();
@@ -0,0 +1,246 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { percentile } from './statistics.js';
+
+/**
+ * Run metrics
+ *
+ * A MetricsCollector holds counters, gauges and histograms keyed by name and
+ * labels. ApiClient records every request attempt and page, retryWithBackoff
+ * every retry, and RiskAnalyzer the time spent scoring. At the end of a run
+ * the collector gives a JSON summary (getSummary) and Prometheus text
+ * exposition (toPrometheus). Durations are in seconds.
+ */
+
+export const METRICS_PREFIX = 'healthcare_assessment_';
+
+// Histogram buckets (seconds) for request, page and retry timings
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Every metric the collector accepts, with its type and help text
+ */
+export const METRICS = {
+  http_requests_total: { type: 'counter', help: 'HTTP request attempts by endpoint, method and status (or error name)' },
+  http_request_duration_seconds: { type: 'histogram', help: 'Duration of each HTTP request attempt', buckets: DURATION_BUCKETS },
+  retries_total: { type: 'counter', help: 'Retried attempts by the error that caused them' },
+  retry_delay_seconds: { type: 'histogram', help: 'Backoff delay before each retry', buckets: DURATION_BUCKETS },
+  pages_fetched_total: { type: 'counter', help: 'Patient pages fetched' },
+  patients_fetched_total: { type: 'counter', help: 'Patient records received, duplicates included' },
+  page_fetch_duration_seconds: { type: 'histogram', help: 'Time to fetch one page, retries included', buckets: DURATION_BUCKETS },
+  fetch_duration_seconds: { type: 'gauge', help: 'Duration of the last full patient fetch' },
+  patients_analyzed_total: { type: 'counter', help: 'Patients scored' },
+  analysis_duration_seconds: { type: 'gauge', help: 'Time spent scoring patients in the last analysis' },
+  analysis_patients_per_second: { type: 'gauge', help: 'Patients scored per second of analysis time in the last analysis' },
+  run_duration_seconds: { type: 'gauge', help: 'Duration of the last assessment run' }
+};
+
+export class MetricsCollector {
+  /**
+   * `options.now` returns the current time in ms (default performance.now)
+   */
+  constructor({ now = () => performance.now() } = {}) {
+    this.now = now;
+    this.reset();
+  }
+
+  /**
+   * Drop every recorded value
+   */
+  reset() {
+    this.series = new Map(); // name -> Map(label key -> { labels, value | values })
+    this.startedAt = new Date();
+  }
+
+  increment(name, labels = {}, value = 1) {
+    const series = this.seriesFor(name, 'counter', labels);
+    series.value += value;
+  }
+
+  set(name, value, labels = {}) {
+    this.seriesFor(name, 'gauge', labels).value = value;
+  }
+
+  observe(name, value, labels = {}) {
+    this.seriesFor(name, 'histogram', labels).values.push(value);
+  }
+
+  /**
+   * Start timing; the returned function gives the seconds elapsed since
+   */
+  startTimer() {
+    const start = this.now();
+    return () => (this.now() - start) / 1000;
+  }
+
+  seriesFor(name, type, labels) {
+    const metric = METRICS[name];
+    if (!metric) {
+      throw new Error(`Unknown metric "${name}"`);
+    }
+    if (metric.type !== type) {
+      throw new Error(`Metric "${name}" is a ${metric.type}, not a ${type}`);
+    }
+
+    if (!this.series.has(name)) {
+      this.series.set(name, new Map());
+    }
+    const byLabels = this.series.get(name);
+    const key = labelKey(labels);
+    if (!byLabels.has(key)) {
+      byLabels.set(key, type === 'histogram' ? { labels: { ...labels }, values: [] } : { labels: { ...labels }, value: 0 });
+    }
+    return byLabels.get(key);
+  }
+
+  /**
+   * Recorded series of a metric, as [{ labels, value }] or [{ labels, values }]
+   */
+  get(name) {
+    return [...(this.series.get(name)?.values() || [])];
+  }
+
+  /**
+   * Sum of a counter or gauge over the series whose labels match `filter`
+   */
+  total(name, filter = {}) {
+    return this.get(name)
+      .filter(({ labels }) => Object.entries(filter).every(([key, value]) => labels[key] === value))
+      .reduce((sum, { value }) => sum + value, 0);
+  }
+
+  /**
+   * Counter totals grouped by one label, e.g. requests by status
+   */
+  totalsBy(name, label) {
+    const totals = {};
+    for (const { labels, value } of this.get(name)) {
+      totals[labels[label]] = (totals[labels[label]] || 0) + value;
+    }
+    return totals;
+  }
+
+  /**
+   * All observations of a histogram, across its label sets
+   */
+  observations(name) {
+    return this.get(name).flatMap(({ values }) => values);
+  }
+
+  /**
+   * JSON summary of the run: requests, retries, pages and analysis
+   */
+  getSummary() {
+    const statuses = this.totalsBy('http_requests_total', 'status');
+    const failed = Object.entries(statuses)
+      .filter(([status]) => !/^2\d\d$/.test(status))
+      .reduce((sum, [, count]) => sum + count, 0);
+    const gauge = name => (this.get(name).length > 0 ? round(this.total(name)) : null);
+
+    return {
+      startedAt: this.startedAt.toISOString(),
+      writtenAt: new Date().toISOString(),
+      runSeconds: gauge('run_duration_seconds'),
+      requests: {
+        total: this.total('http_requests_total'),
+        byStatus: statuses,
+        byEndpoint: this.totalsBy('http_requests_total', 'endpoint'),
+        rateLimited: statuses[429] || 0,
+        failed,
+        latency: describeTimings(this.observations('http_request_duration_seconds'))
+      },
+      retries: {
+        total: this.total('retries_total'),
+        byReason: this.totalsBy('retries_total', 'reason'),
+        delaySeconds: round(this.observations('retry_delay_seconds').reduce((sum, value) => sum + value, 0))
+      },
+      pages: {
+        fetched: this.total('pages_fetched_total'),
+        patients: this.total('patients_fetched_total'),
+        fetchSeconds: gauge('fetch_duration_seconds'),
+        latency: describeTimings(this.observations('page_fetch_duration_seconds'))
+      },
+      analysis: {
+        patients: this.total('patients_analyzed_total'),
+        seconds: gauge('analysis_duration_seconds'),
+        patientsPerSecond: gauge('analysis_patients_per_second')
+      }
+    };
+  }
+
+  /**
+   * Prometheus text exposition (format 0.0.4) of every recorded metric
+   */
+  toPrometheus() {
+    const lines = [];
+    for (const [name, metric] of Object.entries(METRICS)) {
+      const series = this.get(name);
+      if (series.length === 0) continue;
+
+      const fullName = `${METRICS_PREFIX}${name}`;
+      lines.push(`# HELP ${fullName} ${metric.help}`, `# TYPE ${fullName} ${metric.type}`);
+      for (const { labels, value, values } of series) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+          continue;
+        }
+        for (const bound of metric.buckets) {
+          const count = values.filter(observed => observed <= bound).length;
+          lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: String(bound) })} ${count}`);
+        }
+        lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${values.length}`);
+        lines.push(`${fullName}_sum${formatLabels(labels)} ${round(values.reduce((sum, observed) => sum + observed, 0))}`);
+        lines.push(`${fullName}_count${formatLabels(labels)} ${values.length}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Write the metrics to `file`: Prometheus text when it ends in .prom,
+   * the JSON summary otherwise
+   */
+  async write(file) {
+    const content = file.endsWith('.prom') ? this.toPrometheus() : `${JSON.stringify(this.getSummary(), null, 2)}\n`;
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, content);
+  }
+}
+
+/**
+ * Stable key for a label set, whatever order its keys were given in
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Count, mean, median, p95 and max of durations in seconds (null figures when empty)
+ */
+function describeTimings(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: null, p50: null, p95: null, max: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
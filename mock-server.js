@@ -0,0 +1,353 @@
+import http from 'node:http';
+
+/**
+ * Local stand-in for the DemoMed Healthcare API
+ *
+ * Serves GET /api/patients and POST /api/submit-assessment with the same
+ * envelopes as the live service, plus switchable fault modes so the whole
+ * pipeline can be exercised offline.
+ */
+
+/**
+ * Vitals templates with the answers the rubric should produce for them
+ */
+const PATIENT_TEMPLATES = [
+  { blood_pressure: '110/70', temperature: 98.6, age: 30, highRisk: false, fever: false, dataQuality: false },
+  { blood_pressure: '125/75', temperature: 98.2, age: 45, highRisk: false, fever: false, dataQuality: false },
+  { blood_pressure: '135/85', temperature: 98.6, age: 52, highRisk: true, fever: false, dataQuality: false },
+  { blood_pressure: '150/95', temperature: 99.1, age: 70, highRisk: true, fever: false, dataQuality: false },
+  { blood_pressure: '118/76', temperature: 100.2, age: 67, highRisk: true, fever: true, dataQuality: false },
+  { blood_pressure: '122/78', temperature: 101.4, age: 28, highRisk: true, fever: true, dataQuality: false },
+  { blood_pressure: '115/72', temperature: 99.6, age: 34, highRisk: false, fever: true, dataQuality: false },
+  { blood_pressure: '150/', temperature: 98.6, age: 60, highRisk: false, fever: false, dataQuality: true },
+  { blood_pressure: 'INVALID', temperature: 98.9, age: 41, highRisk: false, fever: false, dataQuality: true },
+  { blood_pressure: '128/79', temperature: 'TEMP_ERROR', age: 50, highRisk: false, fever: false, dataQuality: true },
+  { blood_pressure: '140/88', temperature: 98.4, age: 'fifty-three', highRisk: false, fever: false, dataQuality: true },
+  { blood_pressure: '112/74', temperature: null, age: 38, highRisk: false, fever: false, dataQuality: true },
+  { blood_pressure: '160/100', temperature: 103.0, age: 75, highRisk: true, fever: true, dataQuality: false },
+  { blood_pressure: '119/79', temperature: 99.5, age: 65, highRisk: false, fever: false, dataQuality: false }
+];
+
+const FIRST_NAMES = ['Ava', 'Liam', 'Maya', 'Noah', 'Iris', 'Owen', 'Zoe', 'Eli', 'Nora', 'Leo'];
+const LAST_NAMES = ['Hart', 'Okafor', 'Silva', 'Nguyen', 'Berg', 'Kaur', 'Moreau', 'Reyes'];
+const DIAGNOSES = ['Hypertension', 'Type 2 Diabetes', 'Asthma', 'Routine Checkup', 'Influenza'];
+
+/**
+ * Fault modes and the chaos option each one switches on
+ */
+export const CHAOS_MODES = {
+  'rate-limit': 'rateLimitRate',
+  'server-errors': 'serverErrorRate',
+  'truncated-json': 'truncatedJsonRate',
+  'missing-pagination': 'missingPaginationRate',
+  'duplicates': 'duplicateRate'
+};
+
+export const DEFAULT_CHAOS = {
+  seed: 42,
+  rateLimitRate: 0,         // Probability of answering 429
+  retryAfterSeconds: 1,     // Retry-After sent with a 429
+  serverErrorRate: 0,       // Probability of starting a 500/503 burst
+  serverErrorBurst: 2,      // Consecutive failing requests per burst
+  truncatedJsonRate: 0,     // Probability of cutting a 200 body in half
+  missingPaginationRate: 0, // Probability of dropping the pagination block
+  duplicateRate: 0,         // Probability of repeating a previous page's record
+  latencyMs: 0              // Delay before every response
+};
+
+const MODE_RATE = 0.2;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Turn a comma-separated mode list ("rate-limit,duplicates") into chaos options
+ */
+export function parseChaosModes(modeList = '', rate = MODE_RATE) {
+  const chaos = {};
+
+  for (const mode of modeList.split(',').map(m => m.trim()).filter(Boolean)) {
+    const option = CHAOS_MODES[mode];
+    if (!option) {
+      throw new Error(`Unknown chaos mode "${mode}". Expected one of: ${Object.keys(CHAOS_MODES).join(', ')}`);
+    }
+    chaos[option] = rate;
+  }
+
+  return chaos;
+}
+
+/**
+ * Deterministic PRNG so chaos runs can be reproduced from a seed
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build the mock patient census along with its expected answers
+ */
+export function generatePatients(count = 50) {
+  const patients = [];
+  const expected = { highRisk: [], fever: [], dataQuality: [] };
+
+  for (let i = 0; i < count; i++) {
+    const template = PATIENT_TEMPLATES[i % PATIENT_TEMPLATES.length];
+    const patientId = `DEMO${String(i + 1).padStart(3, '0')}`;
+
+    patients.push({
+      patient_id: patientId,
+      name: `${FIRST_NAMES[i % FIRST_NAMES.length]} ${LAST_NAMES[i % LAST_NAMES.length]}`,
+      age: template.age,
+      gender: i % 2 === 0 ? 'F' : 'M',
+      blood_pressure: template.blood_pressure,
+      temperature: template.temperature,
+      visit_date: `2024-01-${String((i % 28) + 1).padStart(2, '0')}`,
+      diagnosis: DIAGNOSES[i % DIAGNOSES.length],
+      medications: i % 3 === 0 ? 'Lisinopril 10mg' : 'None'
+    });
+
+    if (template.highRisk) expected.highRisk.push(patientId);
+    if (template.fever) expected.fever.push(patientId);
+    if (template.dataQuality) expected.dataQuality.push(patientId);
+  }
+
+  return { patients, expected };
+}
+
+/**
+ * Grade one submitted list against the expected IDs
+ */
+function gradeCategory(submitted, expected, max) {
+  const submittedIds = new Set(Array.isArray(submitted) ? submitted : []);
+  const expectedIds = new Set(expected);
+  const correct = [...submittedIds].filter(id => expectedIds.has(id)).length;
+  const denominator = Math.max(submittedIds.size, expectedIds.size);
+
+  return {
+    score: denominator === 0 ? max : Math.round(max * correct / denominator),
+    max,
+    correct,
+    submitted: submittedIds.size,
+    matches: correct
+  };
+}
+
+/**
+ * Mock Healthcare API server
+ */
+export class MockHealthcareApi {
+  constructor(options = {}) {
+    const { patients, expected } = generatePatients(options.patientCount);
+    this.patients = options.patients || patients;
+    this.expected = options.expected || expected;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.attempts = 0;
+    this.bestScore = null;
+    this.requestLog = [];
+    this.setChaos(options.chaos);
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.sendJson(res, 500, { error: 'Internal mock error', message: error.message });
+      });
+    });
+  }
+
+  /**
+   * Replace the active fault configuration
+   */
+  setChaos(chaos = {}) {
+    this.chaos = { ...DEFAULT_CHAOS, ...chaos };
+    this.random = createRandom(this.chaos.seed);
+    this.serverErrorsRemaining = 0;
+  }
+
+  /**
+   * Start listening; resolves with the base URL the ApiClient should use
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        const address = this.server.address();
+        this.baseURL = `http://${host}:${address.port}/api`;
+        resolve(this.baseURL);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    this.requestLog.push({ method: req.method, path: `${url.pathname}${url.search}` });
+
+    if (this.chaos.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.chaos.latencyMs));
+    }
+
+    if (!req.headers['x-api-key']) {
+      return this.sendJson(res, 401, { error: 'Unauthorized', message: 'Missing x-api-key header' });
+    }
+
+    if (this.random() < this.chaos.rateLimitRate) {
+      return this.sendJson(res, 429, { error: 'Too Many Requests' }, {
+        'Retry-After': String(this.chaos.retryAfterSeconds)
+      });
+    }
+
+    if (this.serverErrorsRemaining === 0 && this.random() < this.chaos.serverErrorRate) {
+      this.serverErrorsRemaining = this.chaos.serverErrorBurst;
+    }
+    if (this.serverErrorsRemaining > 0) {
+      this.serverErrorsRemaining--;
+      const status = this.random() < 0.5 ? 500 : 503;
+      return this.sendJson(res, status, { error: status === 500 ? 'Internal Server Error' : 'Service Unavailable' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/patients') {
+      return this.handlePatients(url, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/submit-assessment') {
+      return this.handleSubmit(await readBody(req), res);
+    }
+
+    return this.sendJson(res, 404, { error: 'Not Found', message: `${req.method} ${url.pathname}` });
+  }
+
+  handlePatients(url, res) {
+    const page = Math.max(parseInt(url.searchParams.get('page') || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '5', 10) || 5, 1), 20);
+    const total = this.patients.length;
+    const totalPages = Math.ceil(total / limit);
+    const start = (page - 1) * limit;
+    const data = this.patients.slice(start, start + limit);
+
+    if (page > 1 && start < total && this.random() < this.chaos.duplicateRate) {
+      data.unshift(this.patients[start - 1 - Math.floor(this.random() * Math.min(start, limit))]);
+    }
+
+    const body = {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrevious: page > 1
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        version: 'v1.0-mock',
+        requestId: `mock-${this.requestLog.length}`
+      }
+    };
+
+    if (this.random() < this.chaos.missingPaginationRate) {
+      delete body.pagination;
+    }
+
+    return this.sendJson(res, 200, body);
+  }
+
+  handleSubmit(rawBody, res) {
+    let submission;
+    try {
+      submission = JSON.parse(rawBody);
+    } catch {
+      return this.sendJson(res, 400, { error: 'Bad Request', message: 'Body must be valid JSON' });
+    }
+
+    if (this.attempts >= this.maxAttempts) {
+      return this.sendJson(res, 403, { error: 'Forbidden', message: 'Maximum submission attempts reached' });
+    }
+    this.attempts++;
+
+    const breakdown = {
+      high_risk: gradeCategory(submission.high_risk_patients, this.expected.highRisk, 50),
+      fever: gradeCategory(submission.fever_patients, this.expected.fever, 25),
+      data_quality: gradeCategory(submission.data_quality_issues, this.expected.dataQuality, 25)
+    };
+    const score = breakdown.high_risk.score + breakdown.fever.score + breakdown.data_quality.score;
+    const isPersonalBest = this.bestScore === null || score > this.bestScore;
+    this.bestScore = Math.max(this.bestScore ?? score, score);
+
+    const labels = { high_risk: 'high-risk', fever: 'fever', data_quality: 'data quality' };
+    const strengths = [];
+    const issues = [];
+    for (const [key, result] of Object.entries(breakdown)) {
+      if (result.score === result.max) {
+        strengths.push(`✅ ${labels[key]}: perfect`);
+      } else {
+        issues.push(`🔄 ${labels[key]}: ${result.correct} correct of ${result.submitted} submitted`);
+      }
+    }
+
+    return this.sendJson(res, 200, {
+      success: true,
+      message: 'Assessment submitted successfully',
+      results: {
+        score,
+        percentage: score,
+        status: score >= 80 ? 'PASS' : 'FAIL',
+        breakdown,
+        feedback: { strengths, issues },
+        attempt_number: this.attempts,
+        remaining_attempts: this.maxAttempts - this.attempts,
+        is_personal_best: isPersonalBest,
+        can_resubmit: this.attempts < this.maxAttempts
+      }
+    });
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    let payload = JSON.stringify(body);
+
+    if (status === 200 && this.random() < this.chaos.truncatedJsonRate) {
+      payload = payload.slice(0, Math.floor(payload.length / 2));
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(payload);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Run standalone: PORT=4010 MOCK_CHAOS=rate-limit,duplicates node mock-server.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const mock = new MockHealthcareApi({
+    chaos: {
+      ...parseChaosModes(process.env.MOCK_CHAOS, parseFloat(process.env.MOCK_CHAOS_RATE) || MODE_RATE),
+      ...(process.env.MOCK_SEED ? { seed: parseInt(process.env.MOCK_SEED, 10) } : {})
+    }
+  });
+
+  mock.listen(parseInt(process.env.PORT || '4010', 10)).then(baseURL => {
+    console.log(`🧪 Mock Healthcare API listening on ${baseURL}`);
+    console.log(`   Chaos: ${process.env.MOCK_CHAOS || 'off'}`);
+    console.log(`   Point the client at it with API_BASE_URL=${baseURL}`);
+  });
+}
@@ -0,0 +1,291 @@
+import { POLICY } from './config.js';
+import { inRange, formatRange } from './policy.js';
+import {
+  parseBloodPressure,
+  parseTemperature,
+  parseRespiratoryRate,
+  parseOxygenSaturation,
+  parsePulse,
+  parseConsciousness,
+  parseSupplementalOxygen,
+  REJECTION_REASONS
+} from './vitals-parser.js';
+import { RiskFactorRegistry, evaluateFactors } from './risk-factors.js';
+
+/**
+ * NEWS2 (National Early Warning Score 2, Royal College of Physicians 2017)
+ *
+ * An alternative to the rubric the assessment API grades. Each of seven
+ * parameters scores 0-3; the aggregate sets the clinical response band, and
+ * any single parameter scoring 3 (a "red score") raises low to low-medium.
+ * All seven are required: a patient missing one is a data quality issue.
+ *
+ * Patient fields: respiratory_rate, oxygen_saturation, spo2_scale (1 or 2,
+ * default 1; scale 2 is for confirmed hypercapnic respiratory failure),
+ * supplemental_oxygen, blood_pressure (systolic is scored), heart_rate,
+ * consciousness (ACVPU) and temperature. Temperatures are scored in °C:
+ * unitless values that are plausible in °C (25-45) are read as °C, others
+ * as °F.
+ */
+
+export const NEWS2_RESPONSES = {
+  LOW: 'low',                 // Aggregate 0-4
+  LOW_MEDIUM: 'low-medium',   // Aggregate 0-4 with a single parameter scoring 3
+  MEDIUM: 'medium',           // Aggregate 5-6: urgent ward-based response
+  HIGH: 'high'                // Aggregate 7+: emergency response
+};
+
+const RED_SCORE = 3;
+const MEDIUM_SCORE = 5;
+const HIGH_SCORE = 7;
+
+/**
+ * Aggregate scores that count as high risk: a medium or high response, the
+ * threshold for an urgent clinical review
+ */
+export const NEWS2_HIGH_RISK = { min: MEDIUM_SCORE };
+
+const SPO2_SCALES = { 1: 1, 2: 2, '1': 1, '2': 2 };
+
+/**
+ * Scoring tables as [highest value, score] steps, checked in order; the
+ * last step catches everything above
+ */
+const TABLES = {
+  respiratoryRate: [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]],
+  spo2Scale1: [[91, 3], [93, 2], [95, 1], [Infinity, 0]],
+  spo2Scale2OnAir: [[83, 3], [85, 2], [87, 1], [Infinity, 0]],
+  spo2Scale2OnOxygen: [[83, 3], [85, 2], [87, 1], [92, 0], [94, 1], [96, 2], [Infinity, 3]],
+  systolic: [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]],
+  pulse: [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]],
+  celsius: [[35, 3], [36, 1], [38, 0], [39, 1], [Infinity, 2]]
+};
+
+const CONSCIOUSNESS_LABELS = { A: 'Alert', C: 'New confusion', V: 'Voice', P: 'Pain', U: 'Unresponsive' };
+
+const INVALID = { id: 'INVALID', label: 'Invalid/Missing', score: 0 };
+
+function lookup(table, value) {
+  return table.find(([highest]) => value <= highest)?.[1] ?? null;
+}
+
+/**
+ * The steps of a table checked on the way to `value`'s score, as trace rules
+ */
+function traceTable(table, input, value) {
+  const rules = [];
+  let previous = null;
+  for (const [highest, score] of table) {
+    const range = {
+      ...(previous === null ? {} : { min: previous, minInclusive: false }),
+      ...(highest === Infinity ? {} : { max: highest })
+    };
+    const holds = inRange(value, range);
+    rules.push({
+      id: `SCORE_${score}`,
+      label: `Score ${score}`,
+      score,
+      match: 'all',
+      conditions: [{ input, value, range: formatRange(range), holds }],
+      matched: holds
+    });
+    if (holds) {
+      return { rules, drivenBy: [input], usedDefault: false };
+    }
+    previous = highest;
+  }
+  return { rules, drivenBy: [], usedDefault: false };
+}
+
+/**
+ * Trace rules for a choice between named values (ACVPU level, air or oxygen)
+ */
+function traceChoice(input, value, choices) {
+  const rules = [];
+  for (const { id, label, score, is } of choices) {
+    const holds = value === is;
+    rules.push({ id, label, score, match: 'all', conditions: [{ input, value, range: `= ${is}`, holds }], matched: holds });
+    if (holds) {
+      return { rules, drivenBy: [input], usedDefault: false };
+    }
+  }
+  return { rules, drivenBy: [], usedDefault: false };
+}
+
+const NO_TRACE = { rules: [], drivenBy: [], usedDefault: false };
+
+function scoreCategory(score) {
+  return { id: `SCORE_${score}`, label: `Score ${score}`, score };
+}
+
+/**
+ * A parameter scored through TABLES by one parsed number
+ */
+function tableFactor(name, field, parse, input, table) {
+  return {
+    name,
+    field,
+    parse,
+    score(parsed) {
+      const category = parsed.isValid ? scoreCategory(lookup(TABLES[table], parsed[input])) : INVALID;
+      return { score: category.score, category: category.label, band: category.id };
+    },
+    categories: [0, 1, 2, 3].map(scoreCategory).concat(INVALID),
+    details: parsed => ({ [input]: parsed[input] }),
+    trace: parsed => (parsed.isValid ? traceTable(TABLES[table], input, parsed[input]) : NO_TRACE)
+  };
+}
+
+/**
+ * Systolic pressure from blood_pressure; a unitless reading that scores
+ * differently as kPa is rejected as AMBIGUOUS_UNIT, as in the rubric
+ */
+function parseSystolic(bpString) {
+  const parsed = parseBloodPressure(bpString);
+  if (!parsed.isValid) {
+    return parsed;
+  }
+
+  const score = lookup(TABLES.systolic, parsed.systolic);
+  if (parsed.alternatives.some(({ systolic }) => lookup(TABLES.systolic, systolic) !== score)) {
+    return { ...parsed, systolic: null, diastolic: null, isValid: false, reason: REJECTION_REASONS.AMBIGUOUS_UNIT };
+  }
+  return parsed;
+}
+
+/**
+ * Temperature in °C (rounded to 0.1), keeping the °F value parseTemperature
+ * returns in `temperature`; `readAs` is the unit a unitless value was read in
+ */
+function parseCelsius(tempValue) {
+  const parsed = parseTemperature(tempValue);
+  if (!parsed.isValid) {
+    return { ...parsed, unit: '°C', celsius: null };
+  }
+
+  const reading = parsed.alternatives.find(({ sourceUnit }) => sourceUnit === '°C') || parsed;
+  const readAs = parsed.sourceUnit ?? reading.sourceUnit ?? parsed.unit;
+  const celsius = Math.round((reading.temperature - 32) * 5 / 9 * 10) / 10;
+  return { ...parsed, temperature: reading.temperature, celsius, unit: '°C', converted: readAs !== '°C', readAs };
+}
+
+/**
+ * SpO2 with the scale and oxygen status it is scored against
+ */
+function parseSaturation(saturationValue, patient = {}) {
+  const parsed = parseOxygenSaturation(saturationValue);
+  const scale = patient.spo2_scale === undefined || patient.spo2_scale === null ? 1 : SPO2_SCALES[patient.spo2_scale];
+  const { onOxygen } = parseSupplementalOxygen(patient.supplemental_oxygen);
+
+  if (parsed.isValid && scale === undefined) {
+    return { ...parsed, oxygenSaturation: null, scale: null, onOxygen, isValid: false, reason: REJECTION_REASONS.MALFORMED };
+  }
+  return { ...parsed, scale: scale ?? null, onOxygen };
+}
+
+/**
+ * The SpO2 table for a reading's scale and oxygen status; on scale 2, values
+ * above 92% only score while on oxygen (the supplemental oxygen parameter
+ * flags an unknown status)
+ */
+function saturationTable({ scale, onOxygen }) {
+  if (scale !== 2) return 'spo2Scale1';
+  return onOxygen ? 'spo2Scale2OnOxygen' : 'spo2Scale2OnAir';
+}
+
+export const NEWS2_FACTORS = [
+  tableFactor('respiratoryRate', 'respiratory_rate', parseRespiratoryRate, 'respiratoryRate', 'respiratoryRate'),
+  {
+    ...tableFactor('oxygenSaturation', 'oxygen_saturation', parseSaturation, 'oxygenSaturation', 'spo2Scale1'),
+    score(parsed) {
+      const category = parsed.isValid ? scoreCategory(lookup(TABLES[saturationTable(parsed)], parsed.oxygenSaturation)) : INVALID;
+      return { score: category.score, category: category.label, band: category.id };
+    },
+    details: ({ oxygenSaturation, scale, onOxygen }) => ({ oxygenSaturation, scale, onOxygen }),
+    trace: parsed => (parsed.isValid ? traceTable(TABLES[saturationTable(parsed)], 'oxygenSaturation', parsed.oxygenSaturation) : NO_TRACE)
+  },
+  {
+    name: 'supplementalOxygen',
+    field: 'supplemental_oxygen',
+    parse: parseSupplementalOxygen,
+    score: ({ isValid, onOxygen }) => {
+      if (!isValid) return { score: INVALID.score, category: INVALID.label, band: INVALID.id };
+      return onOxygen ? { score: 2, category: 'Oxygen', band: 'OXYGEN' } : { score: 0, category: 'Air', band: 'AIR' };
+    },
+    categories: [{ id: 'AIR', label: 'Air', score: 0 }, { id: 'OXYGEN', label: 'Oxygen', score: 2 }, INVALID],
+    details: ({ onOxygen }) => ({ onOxygen }),
+    trace: ({ isValid, onOxygen }) => (isValid ? traceChoice('onOxygen', onOxygen, [
+      { id: 'AIR', label: 'Air', score: 0, is: false },
+      { id: 'OXYGEN', label: 'Oxygen', score: 2, is: true }
+    ]) : NO_TRACE)
+  },
+  tableFactor('systolic', 'blood_pressure', parseSystolic, 'systolic', 'systolic'),
+  tableFactor('pulse', 'heart_rate', parsePulse, 'pulse', 'pulse'),
+  {
+    name: 'consciousness',
+    field: 'consciousness',
+    parse: parseConsciousness,
+    score: ({ isValid, consciousness }) => {
+      if (!isValid) return { score: INVALID.score, category: INVALID.label, band: INVALID.id };
+      return { score: consciousness === 'A' ? 0 : 3, category: CONSCIOUSNESS_LABELS[consciousness], band: consciousness };
+    },
+    categories: Object.entries(CONSCIOUSNESS_LABELS)
+      .map(([id, label]) => ({ id, label, score: id === 'A' ? 0 : 3 }))
+      .concat(INVALID),
+    details: ({ consciousness }) => ({ consciousness }),
+    trace: ({ isValid, consciousness }) => (isValid ? traceChoice('consciousness', consciousness,
+      Object.entries(CONSCIOUSNESS_LABELS).map(([id, label]) => ({ id, label, score: id === 'A' ? 0 : 3, is: id }))) : NO_TRACE)
+  },
+  {
+    ...tableFactor('temperature', 'temperature', parseCelsius, 'celsius', 'celsius'),
+    details: ({ celsius, unit, sourceUnit, converted }) => ({ celsius, unit, sourceUnit, converted })
+  }
+];
+
+/**
+ * The registry a RiskAnalyzer in NEWS2 mode scores with unless given its own
+ */
+export const news2Factors = new RiskFactorRegistry(NEWS2_FACTORS);
+
+/**
+ * Clinical response band for an aggregate score
+ */
+export function clinicalResponse(score, hasRedScore) {
+  if (score >= HIGH_SCORE) return NEWS2_RESPONSES.HIGH;
+  if (score >= MEDIUM_SCORE) return NEWS2_RESPONSES.MEDIUM;
+  return hasRedScore ? NEWS2_RESPONSES.LOW_MEDIUM : NEWS2_RESPONSES.LOW;
+}
+
+/**
+ * Aggregate NEWS2 score, response band and the parameters scoring 3;
+ * `isHighRisk` applies NEWS2_HIGH_RISK. `evaluations` is the patient's
+ * evaluateFactors() result, if known
+ */
+export function assessNews2(patient, factors = news2Factors, evaluations = evaluateFactors(patient, factors)) {
+  let score = 0;
+  const triggeredParameters = [];
+  for (const factor of factors) {
+    const evaluation = evaluations.get(factor.name);
+    score += evaluation.score;
+    if (evaluation.score >= RED_SCORE) {
+      triggeredParameters.push(factor.name);
+    }
+  }
+
+  const response = clinicalResponse(score, triggeredParameters.length > 0);
+  return {
+    score,
+    response,
+    singleParameterAlert: triggeredParameters.length > 0,
+    triggeredParameters,
+    isHighRisk: inRange(score, NEWS2_HIGH_RISK)
+  };
+}
+
+/**
+ * Fever as the rubric defines it, from the temperature as NEWS2 reads it
+ */
+export function hasNews2Fever(patient) {
+  const { temperature, isValid } = parseCelsius(patient.temperature);
+  return isValid && inRange(temperature, POLICY.thresholds.fever);
+}
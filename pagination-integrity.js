@@ -0,0 +1,276 @@
+import { CONFIG } from './config.js';
+import { SEVERITY } from './data-quality.js';
+
+/**
+ * Pagination integrity checks and duplicate record reconciliation
+ *
+ * Pages are fed in as they are fetched. The report compares what the API
+ * said it would send (total, page count, page size) with what arrived, and
+ * lists page gaps, anomalous pages and patient IDs seen more than once.
+ * Duplicates are reconciled under a merge policy before the analyzer sees
+ * them, so no patient is scored twice.
+ */
+
+export const MERGE_POLICIES = {
+  FIRST_WINS: 'first-wins',       // Keep the record from the earliest page
+  LAST_WINS: 'last-wins',         // Keep the record from the latest page
+  MOST_COMPLETE: 'most-complete', // Keep the record with the most filled-in fields (earliest on a tie)
+  FLAG: 'flag'                    // Keep the earliest record and report conflicts as findings (report only)
+};
+
+/**
+ * Policies that can be applied as pages stream in: both keep the earliest
+ * copy, which has already been scored when a repeat arrives
+ */
+export const STREAMING_MERGE_POLICIES = [MERGE_POLICIES.FIRST_WINS, MERGE_POLICIES.FLAG];
+
+export const INTEGRITY_ISSUES = {
+  MISSING_PAGINATION: 'MISSING_PAGINATION', // Page arrived without a pagination block
+  SHORT_PAGE: 'SHORT_PAGE',                 // Fewer records than the page size before the last page
+  LONG_PAGE: 'LONG_PAGE',                   // More records than the page size
+  TOTAL_CHANGED: 'TOTAL_CHANGED',           // Reported total or page count changed mid-run
+  TOTAL_MISMATCH: 'TOTAL_MISMATCH'          // Unique patients received differ from the reported total
+};
+
+export const CONFLICTING_RECORDS = 'CONFLICTING_RECORDS';
+
+export class PaginationIntegrity {
+  constructor(options = {}) {
+    this.mergePolicy = options.mergePolicy || CONFIG.MERGE_POLICY;
+    this.limit = options.limit ?? null;
+
+    if (!Object.values(MERGE_POLICIES).includes(this.mergePolicy)) {
+      throw new Error(`Unknown merge policy "${this.mergePolicy}". Expected one of: ${Object.values(MERGE_POLICIES).join(', ')}`);
+    }
+
+    this.pages = [];
+    this.anomalies = [];
+    this.records = new Map(); // patient_id (or a unique key when missing) -> [{ page, patient }]
+    this.expected = { total: null, totalPages: null };
+  }
+
+  /**
+   * Throw unless the merge policy can be applied to patients as they stream
+   * in (see STREAMING_MERGE_POLICIES)
+   */
+  assertStreamable() {
+    if (!STREAMING_MERGE_POLICIES.includes(this.mergePolicy)) {
+      throw new Error(`Merge policy "${this.mergePolicy}" needs every page before it can choose a copy, so it cannot be used ` +
+        `when streaming. Use one of: ${STREAMING_MERGE_POLICIES.join(', ')}, or fetch without streaming`);
+    }
+  }
+
+  /**
+   * Check one fetched page ({ page, patients, pagination }) and record its
+   * patients; returns the patients not seen on an earlier page, for callers
+   * that analyze as pages arrive
+   */
+  addPage({ page, patients, pagination }) {
+    const pageSize = pagination?.limit ?? this.limit;
+    this.pages.push({ page, count: patients.length });
+
+    if (!pagination) {
+      this.anomaly(page, INTEGRITY_ISSUES.MISSING_PAGINATION, 'no pagination block; later pages may have been skipped');
+    } else {
+      this.checkTotals(page, pagination);
+    }
+
+    const isLast = pagination
+      ? (Number.isInteger(pagination.totalPages) ? page >= pagination.totalPages : !pagination.hasNext)
+      : true;
+    if (pageSize && patients.length < pageSize && !isLast) {
+      this.anomaly(page, INTEGRITY_ISSUES.SHORT_PAGE, `${patients.length} of ${pageSize} records`);
+    }
+    if (pageSize && patients.length > pageSize) {
+      this.anomaly(page, INTEGRITY_ISSUES.LONG_PAGE, `${patients.length} records for a page size of ${pageSize}`);
+    }
+
+    const fresh = [];
+    for (const patient of patients) {
+      const key = patient?.patient_id ?? Symbol('missing patient_id');
+      if (!this.records.has(key)) {
+        this.records.set(key, []);
+        fresh.push(patient);
+      }
+      this.records.get(key).push({ page, patient });
+    }
+    return fresh;
+  }
+
+  /**
+   * The first reported total and page count are the expectation; note any change
+   */
+  checkTotals(page, { total, totalPages }) {
+    for (const [key, value] of Object.entries({ total, totalPages })) {
+      if (!Number.isInteger(value)) continue;
+      if (this.expected[key] === null) {
+        this.expected[key] = value;
+      } else if (this.expected[key] !== value) {
+        this.anomaly(page, INTEGRITY_ISSUES.TOTAL_CHANGED, `${key} ${this.expected[key]} -> ${value}`);
+      }
+    }
+  }
+
+  anomaly(page, issue, detail) {
+    this.anomalies.push({ page, issue, detail });
+  }
+
+  /**
+   * One record per patient, in order of first appearance, chosen by the merge policy
+   */
+  reconcile() {
+    return [...this.records.values()].map(occurrences => this.choose(occurrences).patient);
+  }
+
+  /**
+   * The occurrence the merge policy keeps
+   */
+  choose(occurrences) {
+    switch (this.mergePolicy) {
+      case MERGE_POLICIES.LAST_WINS:
+        return occurrences[occurrences.length - 1];
+      case MERGE_POLICIES.MOST_COMPLETE:
+        return occurrences.reduce((best, occurrence) => (
+          completeness(occurrence.patient) > completeness(best.patient) ? occurrence : best
+        ));
+      default:
+        return occurrences[0];
+    }
+  }
+
+  /**
+   * Patient IDs seen more than once, with the pages they were on, whether
+   * the copies disagree and which page's copy is kept
+   */
+  getDuplicates() {
+    const duplicates = [];
+    for (const [patientId, occurrences] of this.records) {
+      if (occurrences.length < 2) continue;
+
+      const [first, ...rest] = occurrences.map(({ patient }) => JSON.stringify(patient));
+      duplicates.push({
+        patientId,
+        pages: occurrences.map(({ page }) => page),
+        conflicting: rest.some(copy => copy !== first),
+        keptFromPage: this.choose(occurrences).page
+      });
+    }
+    return duplicates;
+  }
+
+  /**
+   * Data quality findings for the 'flag' policy: one warning per patient
+   * whose copies disagree. They only report: the kept copy is scored like
+   * any other, and the patient is not added to dataQualityIssues, so a
+   * flagged conflict does not change what is submitted.
+   */
+  getFindings() {
+    if (this.mergePolicy !== MERGE_POLICIES.FLAG) {
+      return [];
+    }
+    return this.getDuplicates()
+      .filter(duplicate => duplicate.conflicting)
+      .map(({ patientId, pages }) => ({
+        patientId,
+        field: 'record',
+        rawValue: `pages ${pages.join(', ')}`,
+        reason: CONFLICTING_RECORDS,
+        severity: SEVERITY.WARNING
+      }));
+  }
+
+  /**
+   * Expected vs received counts, page gaps, duplicates and page anomalies
+   */
+  getReport() {
+    const received = new Set(this.pages.map(({ page }) => page));
+    const lastPage = this.expected.totalPages ?? Math.max(0, ...received);
+    const gaps = [];
+    for (let page = 1; page <= lastPage; page++) {
+      if (!received.has(page)) gaps.push(page);
+    }
+
+    const uniquePatients = this.records.size;
+    const anomalies = [...this.anomalies];
+    if (this.expected.total !== null && uniquePatients !== this.expected.total) {
+      anomalies.push({
+        page: null,
+        issue: INTEGRITY_ISSUES.TOTAL_MISMATCH,
+        detail: `expected ${this.expected.total} patients, received ${uniquePatients}`
+      });
+    }
+
+    const duplicates = this.getDuplicates();
+    return {
+      mergePolicy: this.mergePolicy,
+      expected: { ...this.expected, pageSize: this.limit },
+      received: {
+        pages: this.pages.length,
+        records: this.pages.reduce((sum, { count }) => sum + count, 0),
+        uniquePatients
+      },
+      gaps,
+      duplicates,
+      anomalies,
+      ok: gaps.length === 0 && duplicates.length === 0 && anomalies.length === 0
+    };
+  }
+}
+
+/**
+ * Number of fields holding a value (null, undefined and blank strings don't count)
+ */
+function completeness(patient) {
+  return Object.values(patient || {})
+    .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+    .length;
+}
+
+/**
+ * Log an integrity report that found issues: the headline, then each gap,
+ * anomaly and duplicate as its own record, with patient IDs in fields so
+ * the logger's redaction policy applies to them
+ */
+export function logIntegrityReport(report, logger) {
+  if (report.ok) {
+    return;
+  }
+
+  const { expected, received } = report;
+  logger.warn(formatIntegrityReport({ ...report, gaps: [], anomalies: [], duplicates: [] })[0], { expected, received });
+  if (report.gaps.length > 0) {
+    logger.warn(`Missing pages: ${report.gaps.join(', ')}`, { pages: report.gaps });
+  }
+  for (const { page, issue, detail } of report.anomalies) {
+    logger.warn(`${issue}${page === null ? '' : ` on page ${page}`}: ${detail}`, { issue, page });
+  }
+  for (const { patientId, pages, conflicting, keptFromPage } of report.duplicates) {
+    logger.warn(`Duplicate patient on pages ${pages.join(', ')}` +
+      `${conflicting ? ` (conflicting; ${report.mergePolicy} kept page ${keptFromPage})` : ' (identical)'}`,
+    { patientId, pages, conflicting });
+  }
+}
+
+/**
+ * Render an integrity report as human-readable lines
+ */
+export function formatIntegrityReport(report) {
+  const { expected, received } = report;
+  const lines = [
+    `Pagination integrity: ${report.ok ? 'OK' : 'issues found'} ` +
+    `(expected ${expected.total ?? '?'} patients on ${expected.totalPages ?? '?'} pages, ` +
+    `received ${received.uniquePatients} unique of ${received.records} records on ${received.pages} pages)`
+  ];
+
+  if (report.gaps.length > 0) {
+    lines.push(`  Missing pages: ${report.gaps.join(', ')}`);
+  }
+  for (const { page, issue, detail } of report.anomalies) {
+    lines.push(`  ${issue}${page === null ? '' : ` on page ${page}`}: ${detail}`);
+  }
+  for (const { patientId, pages, conflicting, keptFromPage } of report.duplicates) {
+    lines.push(`  Duplicate ${patientId} on pages ${pages.join(', ')}` +
+      `${conflicting ? ` (conflicting; ${report.mergePolicy} kept page ${keptFromPage})` : ' (identical)'}`);
+  }
+  return lines;
+}
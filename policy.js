@@ -0,0 +1,268 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Scoring policy loading and evaluation
+ *
+ * A policy declares, per risk factor, an ordered list of bands. Each band
+ * lists a range per input and whether "all" or "any" of them must hold; the
+ * first matching band wins and `default` names the band used when none
+ * match. Ranges are inclusive unless `minInclusive`/`maxInclusive` is false.
+ */
+
+/**
+ * Factors the scoring code reads from every policy
+ */
+export const REQUIRED_FACTORS = ['bloodPressure', 'temperature', 'age'];
+export const REQUIRED_THRESHOLDS = ['highRisk', 'fever'];
+
+/**
+ * Load and validate a policy file, throwing if it is unusable
+ */
+export function loadPolicy(filePath) {
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load scoring policy ${filePath}: ${error.message}`);
+  }
+
+  const errors = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring policy ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Check a policy object, returning a list of problems (empty when valid)
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+
+  if (!isObject(policy)) {
+    return ['policy must be a JSON object'];
+  }
+
+  if (typeof policy.version !== 'string' || policy.version.trim() === '') {
+    errors.push('version must be a non-empty string');
+  }
+
+  if (!isObject(policy.factors)) {
+    errors.push('factors must be an object');
+  } else {
+    for (const name of REQUIRED_FACTORS) {
+      if (!(name in policy.factors)) {
+        errors.push(`factors.${name} is required`);
+      }
+    }
+    for (const [name, factor] of Object.entries(policy.factors)) {
+      errors.push(...validateFactor(factor, `factors.${name}`));
+    }
+  }
+
+  if (!isObject(policy.thresholds)) {
+    errors.push('thresholds must be an object');
+  } else {
+    for (const name of REQUIRED_THRESHOLDS) {
+      errors.push(...validateRange(policy.thresholds[name], `thresholds.${name}`));
+    }
+  }
+
+  return errors;
+}
+
+function validateFactor(factor, where) {
+  if (!isObject(factor)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  const inputs = Array.isArray(factor.inputs) ? factor.inputs : [];
+  if (inputs.length === 0 || !inputs.every(input => typeof input === 'string')) {
+    errors.push(`${where}.inputs must be a non-empty list of input names`);
+  }
+
+  errors.push(...validateBandShape(factor.invalid, `${where}.invalid`));
+
+  if (!Array.isArray(factor.bands) || factor.bands.length === 0) {
+    errors.push(`${where}.bands must be a non-empty list`);
+    return errors;
+  }
+
+  const ids = new Set();
+  factor.bands.forEach((band, index) => {
+    const bandWhere = `${where}.bands[${index}]`;
+    errors.push(...validateBandShape(band, bandWhere));
+    if (!isObject(band)) {
+      return;
+    }
+
+    if (ids.has(band.id)) {
+      errors.push(`${bandWhere}.id "${band.id}" is duplicated`);
+    }
+    ids.add(band.id);
+
+    if (band.match !== undefined && band.match !== 'all' && band.match !== 'any') {
+      errors.push(`${bandWhere}.match must be "all" or "any"`);
+    }
+
+    if (!isObject(band.when) || Object.keys(band.when).length === 0) {
+      errors.push(`${bandWhere}.when must map at least one input to a range`);
+      return;
+    }
+    for (const [input, range] of Object.entries(band.when)) {
+      if (!inputs.includes(input)) {
+        errors.push(`${bandWhere}.when.${input} is not one of the factor inputs`);
+      }
+      errors.push(...validateRange(range, `${bandWhere}.when.${input}`));
+    }
+  });
+
+  if (!ids.has(factor.default)) {
+    errors.push(`${where}.default must name one of the factor's band ids`);
+  }
+
+  return errors;
+}
+
+function validateBandShape(band, where) {
+  if (!isObject(band)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  if (typeof band.id !== 'string' || band.id === '') {
+    errors.push(`${where}.id must be a non-empty string`);
+  }
+  if (typeof band.label !== 'string') {
+    errors.push(`${where}.label must be a string`);
+  }
+  if (!Number.isFinite(band.score)) {
+    errors.push(`${where}.score must be a number`);
+  }
+  return errors;
+}
+
+function validateRange(range, where) {
+  if (!isObject(range)) {
+    return [`${where} must be a range object`];
+  }
+
+  const errors = [];
+  if (range.min === undefined && range.max === undefined) {
+    errors.push(`${where} needs a min and/or max`);
+  }
+  for (const edge of ['min', 'max']) {
+    if (range[edge] !== undefined && !Number.isFinite(range[edge])) {
+      errors.push(`${where}.${edge} must be a number`);
+    }
+  }
+  for (const flag of ['minInclusive', 'maxInclusive']) {
+    if (range[flag] !== undefined && typeof range[flag] !== 'boolean') {
+      errors.push(`${where}.${flag} must be true or false`);
+    }
+  }
+  if (Number.isFinite(range.min) && Number.isFinite(range.max) && range.min > range.max) {
+    errors.push(`${where}.min must not exceed max`);
+  }
+  return errors;
+}
+
+/**
+ * Check whether a value falls within a range
+ */
+export function inRange(value, range) {
+  if (range.min !== undefined) {
+    const aboveMin = range.minInclusive === false ? value > range.min : value >= range.min;
+    if (!aboveMin) return false;
+  }
+  if (range.max !== undefined) {
+    const belowMax = range.maxInclusive === false ? value < range.max : value <= range.max;
+    if (!belowMax) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the band for a factor's parsed inputs; null inputs yield the invalid band
+ */
+export function classifyFactor(factor, inputs) {
+  if (inputs === null) {
+    return factor.invalid;
+  }
+
+  const matched = factor.bands.find(band => bandMatches(band, inputs));
+  return matched || factor.bands.find(band => band.id === factor.default);
+}
+
+/**
+ * classifyFactor() with its working: each band checked, in order, up to the
+ * one that matched, with every condition's value, range and outcome.
+ * `drivenBy` lists the inputs whose conditions held in the matching band;
+ * `usedDefault` is set when no band matched.
+ */
+export function traceClassification(factor, inputs) {
+  if (inputs === null) {
+    return { band: factor.invalid, rules: [], drivenBy: [], usedDefault: false };
+  }
+
+  const rules = [];
+  for (const band of factor.bands) {
+    const conditions = Object.entries(band.when).map(([input, range]) => ({
+      input,
+      value: inputs[input],
+      range: formatRange(range),
+      holds: inRange(inputs[input], range)
+    }));
+    const matched = bandMatches(band, inputs);
+    rules.push({ id: band.id, label: band.label, score: band.score, match: band.match || 'all', conditions, matched });
+
+    if (matched) {
+      const drivenBy = conditions.filter(condition => condition.holds).map(condition => condition.input);
+      return { band, rules, drivenBy, usedDefault: false };
+    }
+  }
+
+  return { band: factor.bands.find(band => band.id === factor.default), rules, drivenBy: [], usedDefault: true };
+}
+
+/**
+ * Render a range as e.g. "≥ 130 and ≤ 139" or "< 80"
+ */
+export function formatRange(range) {
+  const edges = [];
+  if (range.min !== undefined) {
+    edges.push(`${range.minInclusive === false ? '>' : '≥'} ${range.min}`);
+  }
+  if (range.max !== undefined) {
+    edges.push(`${range.maxInclusive === false ? '<' : '≤'} ${range.max}`);
+  }
+  return edges.join(' and ');
+}
+
+/**
+ * Check whether a band's conditions hold for the given inputs
+ */
+export function bandMatches(band, inputs) {
+  const conditions = Object.entries(band.when);
+  const holds = ([input, range]) => inRange(inputs[input], range);
+
+  return band.match === 'any' ? conditions.some(holds) : conditions.every(holds);
+}
+
+/**
+ * Map a factor's band ids (plus INVALID) to their scores
+ */
+export function bandScores(factor) {
+  const scores = {};
+  for (const band of factor.bands) {
+    scores[band.id] = band.score;
+  }
+  scores[factor.invalid.id] = factor.invalid.score;
+  return scores;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,150 @@
+import { CONFIG } from './config.js';
+import { sleep } from './utils.js';
+
+/**
+ * Token-bucket rate limiter shared by every request an ApiClient makes
+ *
+ * Tokens refill at `requestsPerSecond` up to `burst`; each request takes
+ * one. The server can slow the bucket down further: Retry-After pauses all
+ * requests, and RateLimit-Remaining/-Reset (or their X- prefixed forms)
+ * cap the rate until the window resets.
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond ?? CONFIG.REQUESTS_PER_SECOND;
+    this.burst = options.burst ?? Math.max(1, Math.floor(this.requestsPerSecond));
+    this.rateLimitDelay = options.rateLimitDelay ?? CONFIG.RATE_LIMIT_DELAY;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || sleep;
+
+    if (!(this.requestsPerSecond > 0)) {
+      throw new Error(`requestsPerSecond must be a positive number, got ${this.requestsPerSecond}`);
+    }
+
+    this.tokens = this.burst;
+    this.refilledAt = this.now();
+    this.pausedUntil = 0;
+    this.serverLimit = null; // { rate, until } from rate-limit headers
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for a request slot; callers are served in arrival order. An aborted
+   * `signal` rejects the wait with the signal's reason.
+   */
+  acquire(signal) {
+    const turn = this.queue.then(() => this.take(signal));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Wait out any pause and until a token is free, then take it
+   */
+  async take(signal) {
+    for (;;) {
+      signal?.throwIfAborted();
+      const now = this.now();
+      if (now < this.pausedUntil) {
+        await this.sleep(this.pausedUntil - now, signal);
+        continue;
+      }
+
+      const rate = this.currentRate(now);
+      this.tokens = Math.min(this.burst, this.tokens + Math.max(0, now - this.refilledAt) / 1000 * rate);
+      this.refilledAt = Math.max(this.refilledAt, now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await this.sleep(Math.ceil((1 - this.tokens) / rate * 1000), signal);
+    }
+  }
+
+  /**
+   * Configured rate, lowered while a server-announced limit is in force
+   */
+  currentRate(now) {
+    if (this.serverLimit && now < this.serverLimit.until) {
+      return Math.min(this.requestsPerSecond, this.serverLimit.rate);
+    }
+    return this.requestsPerSecond;
+  }
+
+  /**
+   * Hold every request until `ms` from now (an earlier pause is never shortened)
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+    this.tokens = Math.min(this.tokens, 1);
+    this.refilledAt = Math.max(this.refilledAt, this.pausedUntil); // No refill while paused
+  }
+
+  /**
+   * Adapt to a response's rate-limit headers; returns the pause applied in ms
+   * (0 when requests may continue)
+   */
+  observe(response) {
+    const now = this.now();
+    const headers = response.headers;
+    const remaining = numberHeader(headers, 'ratelimit-remaining');
+    const reset = resetDelay(numberHeader(headers, 'ratelimit-reset'), now);
+
+    if (remaining > 0 && reset > 0) {
+      this.serverLimit = { rate: remaining / (reset / 1000), until: now + reset };
+    }
+
+    let pause = 0;
+    if (response.status === 429 || response.status === 503) {
+      pause = parseRetryAfter(headers.get('retry-after'), now)
+        ?? (response.status === 429 ? reset ?? this.rateLimitDelay : 0);
+    } else if (remaining === 0 && reset !== null) {
+      pause = reset;
+    }
+
+    if (pause > 0) {
+      this.pauseFor(pause);
+    }
+    return pause;
+  }
+}
+
+/**
+ * Retry-After as a delay in ms: delta-seconds or an HTTP date; null when absent or unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * A numeric header, accepting both the standard and the X- prefixed name
+ */
+function numberHeader(headers, name) {
+  const value = headers.get(name) ?? headers.get(`x-${name}`);
+  if (value === null || value === undefined || value.trim() === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Rate-limit reset values are seconds until the reset (IETF draft) or, when
+ * large enough to be one, an epoch timestamp in seconds (GitHub style)
+ */
+function resetDelay(reset, now) {
+  if (reset === null) {
+    return null;
+  }
+  return reset > 1e9 ? Math.max(0, reset * 1000 - now) : reset * 1000;
+}
@@ -1,21 +1,59 @@
+import { CONFIG, POLICY } from './config.js';
 import { 
   calculateTotalRiskScore, 
   hasDataQualityIssues, 
   hasFever, 
-  isHighRisk 
+  isHighRisk,
+  calculateRiskBounds,
+  classifyRiskBounds,
+  RISK_BOUND_STATUS,
+  RISK_BOUND_LABELS,
+  scoreBloodPressure,
+  scoreTemperature,
+  scoreAge
 } from './utils.js';
+import { collectFindings, formatFindings } from './data-quality.js';
+import { riskFactors, evaluateFactors } from './risk-factors.js';
+import { news2Factors, assessNews2, hasNews2Fever, NEWS2_RESPONSES, NEWS2_HIGH_RISK } from './news2.js';
+import { tracePatient } from './explain.js';
+import { CohortStatistics } from './statistics.js';
+import { logger } from './logger.js';
+import { MetricsCollector } from './metrics.js';
+
+export const SCORING_MODELS = {
+  RUBRIC: 'rubric', // The policy-driven rubric the assessment API grades
+  NEWS2: 'news2'    // NEWS2 early warning score (see news2.js)
+};
 
 /**
  * Risk Analyzer for processing patient data
  */
 export class RiskAnalyzer {
-  constructor() {
+  /**
+   * `options.model` is one of SCORING_MODELS (default CONFIG.SCORING_MODEL);
+   * `options.factors` is the RiskFactorRegistry to score with (default: the
+   * shared registry in risk-factors.js, or the NEWS2 parameters in news2.js).
+   * With `options.partialScoring`, patients with data quality issues are
+   * also given best/worst-case risk bounds (see riskBounds()); the three
+   * submitted lists are unchanged. `options.logger` defaults to the shared
+   * logger in logger.js; `options.metrics` is the MetricsCollector analysis
+   * time and throughput are recorded in.
+   */
+  constructor(options = {}) {
+    this.model = options.model || CONFIG.SCORING_MODEL;
+    if (!Object.values(SCORING_MODELS).includes(this.model)) {
+      throw new Error(`Unknown scoring model "${this.model}". Expected one of: ${Object.values(SCORING_MODELS).join(', ')}`);
+    }
+    this.factors = options.factors || (this.model === SCORING_MODELS.NEWS2 ? news2Factors : riskFactors);
+    this.partialScoring = options.partialScoring || false;
+    this.logger = options.logger || logger;
+    this.metrics = options.metrics || new MetricsCollector();
     this.patients = [];
-    this.results = {
-      highRiskPatients: [],
-      feverPatients: [],
-      dataQualityIssues: []
-    };
+    // False after a stream that dropped its records: this.patients is then
+    // not the input that was scored
+    this.patientsRetained = true;
+    this.ingestFindings = [];
+    this.resetResults();
   }
 
   /**
@@ -23,67 +61,218 @@ export class RiskAnalyzer {
    */
   addPatients(patients) {
     if (Array.isArray(patients)) {
-      this.patients = this.patients.concat(patients);
+      for (const patient of patients) {
+        this.patients.push(patient);
+      }
     } else {
       this.patients.push(patients);
     }
   }
 
+  /**
+   * Add findings raised while importing patients (e.g. unknown HL7 observation
+   * codes or conflicting duplicate records); they are reported alongside the
+   * per-field findings from analyze()
+   */
+  addFindings(findings) {
+    this.ingestFindings = this.ingestFindings.concat(findings);
+    for (const finding of findings) {
+      insertSorted(this.dataQualityFindings, finding, byPatientId);
+    }
+  }
+
   /**
    * Clear all patients and results
    */
   clear() {
     this.patients = [];
+    this.patientsRetained = true;
+    this.ingestFindings = [];
+    this.resetResults();
+  }
+
+  /**
+   * Empty the result lists, findings (apart from import findings) and summary counters
+   */
+  resetResults() {
     this.results = {
       highRiskPatients: [],
       feverPatients: [],
       dataQualityIssues: []
     };
+    this.dataQualityFindings = [];
+    this.counts = { total: 0, valid: 0, categories: {} };
+    if (this.model === SCORING_MODELS.NEWS2) {
+      // Valid patients with a parameter scoring 3, and per response band
+      this.results.singleParameterAlerts = [];
+      this.counts.responses = Object.fromEntries(Object.values(NEWS2_RESPONSES).map(response => [response, 0]));
+    }
+    if (this.partialScoring) {
+      // Patients with data quality issues who are, or may be, high risk
+      this.results.partialHighRisk = { definite: [], possible: [] };
+      this.counts.bounds = Object.fromEntries(Object.values(RISK_BOUND_STATUS).map(status => [status, 0]));
+    }
+    for (const factor of this.factors) {
+      this.counts.categories[factor.name] = Object.fromEntries(factor.categories.map(({ label }) => [label, 0]));
+    }
+
+    this.statistics = new CohortStatistics(this.factors);
+
+    for (const finding of this.ingestFindings) {
+      insertSorted(this.dataQualityFindings, finding, byPatientId);
+    }
   }
 
   /**
    * Analyze all patients and generate results
    */
   analyze() {
-    console.log(`Analyzing ${this.patients.length} patients...`);
-
-    this.results = {
-      highRiskPatients: [],
-      feverPatients: [],
-      dataQualityIssues: []
-    };
+    this.logger.info(`Analyzing ${this.patients.length} patients...`, { scoringModel: this.model });
 
+    this.resetResults();
+    this.patientsRetained = true;
+    let seconds = 0;
     for (const patient of this.patients) {
-      const patientId = patient.patient_id;
+      seconds += this.timePatient(patient);
+    }
+
+    this.recordAnalysisTime(seconds);
+    logResults(this.logger, this.results);
+    return this.results;
+  }
+
+  /**
+   * Analyze patients from a sync or async iterable (e.g.
+   * ApiClient#iteratePatients) as they arrive. Results and the summary are
+   * current after every patient, so whatever was analyzed before a failed
+   * fetch is kept. With { retainPatients: false } patient records are dropped
+   * once scored, keeping memory flat; getPatientAnalysis() and the exporters
+   * then have nothing to describe.
+   */
+  async analyzeStream(patients, { retainPatients = true } = {}) {
+    this.logger.info('Analyzing patients as they arrive...', { scoringModel: this.model });
 
-      // Check for data quality issues
-      if (hasDataQualityIssues(patient)) {
-        this.results.dataQualityIssues.push(patientId);
-        continue; // Skip further analysis for patients with data quality issues
+    this.patients = [];
+    this.patientsRetained = retainPatients;
+    this.resetResults();
+    // Only time spent scoring counts, not waiting for the next patient
+    let seconds = 0;
+    try {
+      for await (const patient of patients) {
+        if (retainPatients) {
+          this.patients.push(patient);
+        }
+        seconds += this.timePatient(patient);
       }
+    } finally {
+      this.recordAnalysisTime(seconds);
+    }
+
+    logResults(this.logger, this.results);
+    return this.results;
+  }
+
+  /**
+   * analyzePatient(), counted in the metrics; returns the seconds it took
+   */
+  timePatient(patient) {
+    const elapsed = this.metrics.startTimer();
+    this.analyzePatient(patient);
+    this.metrics.increment('patients_analyzed_total');
+    return elapsed();
+  }
 
-      // Check for fever
-      if (hasFever(patient)) {
-        this.results.feverPatients.push(patientId);
+  recordAnalysisTime(seconds) {
+    this.metrics.set('analysis_duration_seconds', seconds);
+    this.metrics.set('analysis_patients_per_second', seconds > 0 ? this.counts.total / seconds : 0);
+  }
+
+  /**
+   * Score one patient and fold it into the results, findings and summary
+   * counters (the patient is not added to this.patients)
+   */
+  analyzePatient(patient) {
+    const patientId = patient.patient_id;
+    const outcome = { patientId, hasDataQualityIssues: false, hasFever: false, isHighRisk: false };
+    this.counts.total++;
+    // Each factor is parsed and scored once; the checks below share the results
+    const evaluations = evaluateFactors(patient, this.factors);
+    for (const [name, { category }] of evaluations) {
+      const categories = this.counts.categories[name];
+      categories[category] = (categories[category] || 0) + 1;
+    }
+
+    // Check for data quality issues
+    if (hasDataQualityIssues(patient, this.factors, evaluations)) {
+      insertSorted(this.results.dataQualityIssues, patientId, byId);
+      for (const finding of collectFindings(patient, this.factors, evaluations)) {
+        insertSorted(this.dataQualityFindings, finding, byPatientId);
+      }
+      if (this.partialScoring) {
+        const bounds = this.riskBounds(patient, evaluations);
+        this.counts.bounds[bounds.status]++;
+        if (bounds.status !== RISK_BOUND_STATUS.NOT) {
+          insertSorted(this.results.partialHighRisk[bounds.status], patientId, byId);
+        }
       }
+      outcome.hasDataQualityIssues = true;
+      this.statistics.add(evaluations, outcome);
+      return outcome; // Skip further analysis for patients with data quality issues
+    }
+    this.counts.valid++;
+    const scored = this.scorePatient(patient, evaluations);
+
+    // Check for fever
+    if (scored.hasFever) {
+      insertSorted(this.results.feverPatients, patientId, byId);
+      outcome.hasFever = true;
+    }
+
+    // Check for high risk
+    if (scored.isHighRisk) {
+      insertSorted(this.results.highRiskPatients, patientId, byId);
+      outcome.isHighRisk = true;
+    }
 
-      // Check for high risk
-      if (isHighRisk(patient)) {
-        this.results.highRiskPatients.push(patientId);
+    if (scored.news2) {
+      this.counts.responses[scored.news2.response]++;
+      if (scored.news2.singleParameterAlert) {
+        insertSorted(this.results.singleParameterAlerts, patientId, byId);
       }
     }
 
-    // Sort results for consistent output
-    this.results.highRiskPatients.sort();
-    this.results.feverPatients.sort();
-    this.results.dataQualityIssues.sort();
+    this.statistics.add(evaluations, outcome);
+    return outcome;
+  }
 
-    console.log('Analysis complete:');
-    console.log(`- High risk patients: ${this.results.highRiskPatients.length}`);
-    console.log(`- Fever patients: ${this.results.feverPatients.length}`);
-    console.log(`- Data quality issues: ${this.results.dataQualityIssues.length}`);
+  /**
+   * Total score, fever and high risk under the analyzer's scoring model;
+   * `news2` holds the NEWS2 assessment in that mode (null otherwise).
+   * `evaluations` is the patient's evaluateFactors() result, if known.
+   */
+  scorePatient(patient, evaluations = evaluateFactors(patient, this.factors)) {
+    if (this.model === SCORING_MODELS.NEWS2) {
+      const news2 = assessNews2(patient, this.factors, evaluations);
+      return { totalRiskScore: news2.score, hasFever: hasNews2Fever(patient), isHighRisk: news2.isHighRisk, news2 };
+    }
 
-    return this.results;
+    return {
+      totalRiskScore: calculateTotalRiskScore(patient, this.factors, evaluations),
+      hasFever: hasFever(patient),
+      isHighRisk: isHighRisk(patient, this.factors, evaluations),
+      news2: null
+    };
+  }
+
+  /**
+   * Lowest and highest total risk score the patient could have, given the
+   * factors that could be scored, and whether that makes them definitely,
+   * possibly or definitely not high risk under the analyzer's model
+   */
+  riskBounds(patient, evaluations = evaluateFactors(patient, this.factors)) {
+    const bounds = calculateRiskBounds(patient, this.factors, evaluations);
+    const status = classifyRiskBounds(bounds, this.model === SCORING_MODELS.NEWS2 ? NEWS2_HIGH_RISK : POLICY.thresholds.highRisk);
+    return { ...bounds, status, label: RISK_BOUND_LABELS[status] };
   }
 
   /**
@@ -95,26 +284,54 @@ export class RiskAnalyzer {
       return null;
     }
 
-    const totalRisk = calculateTotalRiskScore(patient);
-    const hasDataIssues = hasDataQualityIssues(patient);
-    const hasFeverStatus = hasFever(patient);
-    const isHighRiskStatus = isHighRisk(patient);
+    return this.describePatient(patient);
+  }
+
+  /**
+   * Get the decision trace for a specific patient (see explain.js)
+   */
+  getPatientTrace(patientId) {
+    const patient = this.patients.find(p => p.patient_id === patientId);
+    return patient ? tracePatient(this, patient) : null;
+  }
+
+  /**
+   * Get detailed analysis for every patient, in input order
+   */
+  getAllPatientAnalyses() {
+    return this.patients.map(patient => this.describePatient(patient));
+  }
+
+  /**
+   * Build the detailed analysis for one patient record; `evaluations` is
+   * the patient's evaluateFactors() result, if known
+   */
+  describePatient(patient, evaluations = evaluateFactors(patient, this.factors)) {
+    const patientId = patient.patient_id;
+    const riskBreakdown = {};
+    const rawValues = {};
+    for (const factor of this.factors) {
+      riskBreakdown[factor.name] = evaluations.get(factor.name).breakdown;
+      rawValues[factor.name] = patient[factor.field] ?? null;
+    }
+    const scored = this.scorePatient(patient, evaluations);
 
     return {
       patientId,
+      scoringModel: this.model,
+      policyVersion: POLICY.version,
       name: patient.name,
       age: patient.age,
       bloodPressure: patient.blood_pressure,
       temperature: patient.temperature,
-      totalRiskScore: totalRisk,
-      hasDataQualityIssues: hasDataIssues,
-      hasFever: hasFeverStatus,
-      isHighRisk: isHighRiskStatus,
-      riskBreakdown: {
-        bloodPressure: this.getBloodPressureRisk(patient.blood_pressure),
-        temperature: this.getTemperatureRisk(patient.temperature),
-        age: this.getAgeRisk(patient.age)
-      }
+      totalRiskScore: scored.totalRiskScore,
+      hasDataQualityIssues: hasDataQualityIssues(patient, this.factors, evaluations),
+      hasFever: scored.hasFever,
+      isHighRisk: scored.isHighRisk,
+      riskBreakdown,
+      rawValues,
+      ...(scored.news2 ? { news2: scored.news2 } : {}),
+      ...(this.partialScoring ? { riskBounds: this.riskBounds(patient, evaluations) } : {})
     };
   }
 
@@ -122,180 +339,50 @@ export class RiskAnalyzer {
    * Get blood pressure risk breakdown
    */
   getBloodPressureRisk(bpString) {
-    const { systolic, diastolic, isValid } = this.parseBloodPressure(bpString);
-    
-    if (!isValid) {
-      return { score: 0, category: 'Invalid/Missing', systolic, diastolic };
-    }
-
-    let category = 'Normal';
-    let score = 1;
-
-    if (systolic >= 140 || diastolic >= 90) {
-      category = 'Stage 2';
-      score = 4;
-    } else if ((systolic >= 130 && systolic <= 139) || (diastolic >= 80 && diastolic <= 89)) {
-      category = 'Stage 1';
-      score = 3;
-    } else if (systolic >= 120 && systolic <= 129 && diastolic < 80) {
-      category = 'Elevated';
-      score = 2;
-    }
-
-    return { score, category, systolic, diastolic };
+    const { score, category, systolic, diastolic, unit, sourceUnit, converted, reason } = scoreBloodPressure(bpString);
+    return { score, category, systolic, diastolic, unit, sourceUnit, converted, reason };
   }
 
   /**
    * Get temperature risk breakdown
    */
   getTemperatureRisk(tempString) {
-    const { temperature, isValid } = this.parseTemperature(tempString);
-    
-    if (!isValid) {
-      return { score: 0, category: 'Invalid/Missing', temperature };
-    }
-
-    let category = 'Normal';
-    let score = 0;
-
-    if (temperature >= 101) {
-      category = 'High Fever';
-      score = 2;
-    } else if (temperature >= 99.6) {
-      category = 'Low Fever';
-      score = 1;
-    }
-
-    return { score, category, temperature };
+    const { score, category, temperature, unit, sourceUnit, converted, reason } = scoreTemperature(tempString);
+    return { score, category, temperature, unit, sourceUnit, converted, reason };
   }
 
   /**
    * Get age risk breakdown
    */
   getAgeRisk(ageValue) {
-    const { age, isValid } = this.parseAge(ageValue);
-    
-    if (!isValid) {
-      return { score: 0, category: 'Invalid/Missing', age };
-    }
-
-    let category = 'Under 40';
-    let score = 1;
-
-    if (age > 65) {
-      category = 'Over 65';
-      score = 2;
-    } else if (age >= 40) {
-      category = '40-65';
-      score = 1;
-    }
-
-    return { score, category, age };
-  }
-
-  /**
-   * Parse blood pressure (duplicate from utils for internal use)
-   */
-  parseBloodPressure(bpString) {
-    if (!bpString || typeof bpString !== 'string') {
-      return { systolic: null, diastolic: null, isValid: false };
-    }
-
-    const trimmed = bpString.trim();
-    if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') {
-      return { systolic: null, diastolic: null, isValid: false };
-    }
-
-    const parts = trimmed.split('/');
-    
-    if (parts.length !== 2) {
-      return { systolic: null, diastolic: null, isValid: false };
-    }
-
-    const systolic = parseFloat(parts[0]);
-    const diastolic = parseFloat(parts[1]);
-
-    if (isNaN(systolic) || isNaN(diastolic) || systolic <= 0 || diastolic <= 0) {
-      return { systolic: null, diastolic: null, isValid: false };
-    }
-
-    return { systolic, diastolic, isValid: true };
+    const { score, category, age, unit, sourceUnit, converted, reason } = scoreAge(ageValue);
+    return { score, category, age, unit, sourceUnit, converted, reason };
   }
 
   /**
-   * Parse temperature (duplicate from utils for internal use)
+   * Get the per-field findings behind dataQualityIssues from the last analyze()
    */
-  parseTemperature(tempValue) {
-    if (tempValue === null || tempValue === undefined) {
-      return { temperature: null, isValid: false };
-    }
-
-    // Handle number type directly
-    if (typeof tempValue === 'number') {
-      if (tempValue > 0 && tempValue <= 120) {
-        return { temperature: tempValue, isValid: true };
-      }
-      return { temperature: null, isValid: false };
-    }
-
-    // Handle string type
-    if (typeof tempValue === 'string') {
-      const trimmed = tempValue.trim();
-      if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') {
-        return { temperature: null, isValid: false };
-      }
-
-      const temperature = parseFloat(trimmed);
-      
-      if (isNaN(temperature) || temperature <= 0 || temperature > 120) {
-        return { temperature: null, isValid: false };
-      }
-
-      return { temperature, isValid: true };
-    }
-
-    return { temperature: null, isValid: false };
+  getDataQualityReport() {
+    return this.dataQualityFindings.map(finding => ({ ...finding }));
   }
 
   /**
-   * Parse age (duplicate from utils for internal use)
+   * Export the data quality findings as 'json' or 'csv'
    */
-  parseAge(ageValue) {
-    if (ageValue === null || ageValue === undefined) {
-      return { age: null, isValid: false };
-    }
-
-    if (typeof ageValue === 'number') {
-      if (ageValue > 0 && ageValue <= 150) {
-        return { age: ageValue, isValid: true };
-      }
-      return { age: null, isValid: false };
-    }
-
-    if (typeof ageValue === 'string') {
-      const trimmed = ageValue.trim();
-      if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') {
-        return { age: null, isValid: false };
-      }
-
-      const age = parseFloat(trimmed);
-      
-      if (isNaN(age) || age <= 0 || age > 150) {
-        return { age: null, isValid: false };
-      }
-
-      return { age, isValid: true };
-    }
-
-    return { age: null, isValid: false };
+  exportDataQualityReport(format = 'json') {
+    return formatFindings(this.dataQualityFindings, format);
   }
 
   /**
-   * Get summary statistics
+   * Get summary statistics; riskFactors counts patients per category of
+   * every registered factor. In NEWS2 mode, news2 counts valid patients per
+   * response band and those with a single-parameter alert; with partial
+   * scoring, partialScoring counts data quality patients per risk bound status.
+   * statistics holds the cohort distributions, breakdowns and cross-tabs
+   * (see statistics.js).
    */
   getSummary() {
-    const totalPatients = this.patients.length;
-    const validPatients = this.patients.filter(p => !hasDataQualityIssues(p)).length;
+    const { total: totalPatients, valid: validPatients } = this.counts;
     const highRiskCount = this.results.highRiskPatients.length;
     const feverCount = this.results.feverPatients.length;
     const dataQualityCount = this.results.dataQualityIssues.length;
@@ -306,7 +393,63 @@ export class RiskAnalyzer {
       highRiskCount,
       feverCount,
       dataQualityCount,
-      dataQualityPercentage: totalPatients > 0 ? (dataQualityCount / totalPatients * 100).toFixed(2) : 0
+      dataQualityPercentage: totalPatients > 0 ? (dataQualityCount / totalPatients * 100).toFixed(2) : 0,
+      riskFactors: structuredClone(this.counts.categories),
+      ...(this.model === SCORING_MODELS.NEWS2 ? {
+        news2: {
+          responses: { ...this.counts.responses },
+          singleParameterAlertCount: this.results.singleParameterAlerts.length
+        }
+      } : {}),
+      ...(this.partialScoring ? { partialScoring: { ...this.counts.bounds } } : {}),
+      statistics: this.statistics.getReport()
     };
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Order IDs the way Array#sort does by default
+ */
+function byId(a, b) {
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Order findings by patient ID the same way the ID lists are ordered
+ */
+function byPatientId(a, b) {
+  return byId(a.patientId, b.patientId);
+}
+
+/**
+ * Insert into a sorted list after any equal items, so the list stays sorted
+ * and ties keep their arrival order
+ */
+function insertSorted(list, item, compare) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (compare(list[middle], item) <= 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  list.splice(low, 0, item);
+}
+
+function logResults(logger, results) {
+  logger.info('Analysis complete', {
+    highRiskPatients: results.highRiskPatients.length,
+    feverPatients: results.feverPatients.length,
+    dataQualityIssues: results.dataQualityIssues.length,
+    ...(results.singleParameterAlerts ? { singleParameterAlerts: results.singleParameterAlerts.length } : {}),
+    ...(results.partialHighRisk ? {
+      definitelyHighRisk: results.partialHighRisk.definite.length,
+      possiblyHighRisk: results.partialHighRisk.possible.length
+    } : {})
+  });
+}
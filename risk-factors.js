@@ -0,0 +1,197 @@
+import { POLICY } from './config.js';
+import { classifyFactor, traceClassification } from './policy.js';
+import { readBloodPressure, readTemperature, readAge } from './vitals-reader.js';
+
+/**
+ * Risk factor registry
+ *
+ * A risk factor is a plain object:
+ *
+ *   name        Key in riskBreakdown, the summary and export columns
+ *   field       Patient field it reads
+ *   parse       (value, patient) => { isValid, reason, ...parsed values };
+ *               the whole patient is there for values read in context,
+ *               such as SpO2 against its scale
+ *   score       parsed => { score, category, band }; called for invalid
+ *               values too, so it decides what they score
+ *   categories  Every { id, label, score } the scorer can return
+ *   missingIsDataQualityIssue
+ *               Whether an absent value (null, undefined or blank) flags the
+ *               patient for data quality; defaults to true. A present but
+ *               invalid value always does.
+ *   details     Optional parsed => extra breakdown fields
+ *   trace       Optional parsed => { rules, drivenBy, usedDefault }: the
+ *               rules checked on the way to the score, for explain.js
+ *
+ * Total risk scores, data quality checks, riskBreakdown, the summary and the
+ * exporters all iterate over the registered factors.
+ */
+
+export class RiskFactorRegistry {
+  constructor(factors = []) {
+    this.factors = new Map();
+    for (const factor of factors) {
+      this.register(factor);
+    }
+  }
+
+  /**
+   * Add a factor, throwing if it is malformed or its name is taken
+   */
+  register(factor) {
+    const errors = validateRiskFactor(factor);
+    if (errors.length > 0) {
+      throw new Error(`Invalid risk factor "${factor?.name ?? '?'}": ${errors.join('; ')}`);
+    }
+    if (this.factors.has(factor.name)) {
+      throw new Error(`Risk factor "${factor.name}" is already registered`);
+    }
+
+    this.factors.set(factor.name, { missingIsDataQualityIssue: true, ...factor });
+    return this;
+  }
+
+  /**
+   * Remove a factor by name; returns whether it was registered
+   */
+  unregister(name) {
+    return this.factors.delete(name);
+  }
+
+  get(name) {
+    return this.factors.get(name) || null;
+  }
+
+  /**
+   * Registered factors, in registration order
+   */
+  list() {
+    return [...this.factors.values()];
+  }
+
+  [Symbol.iterator]() {
+    return this.factors.values();
+  }
+}
+
+/**
+ * Check a factor's shape, returning a list of problems (empty when valid)
+ */
+export function validateRiskFactor(factor) {
+  if (factor === null || typeof factor !== 'object') {
+    return ['factor must be an object'];
+  }
+
+  const errors = [];
+  for (const key of ['name', 'field']) {
+    if (typeof factor[key] !== 'string' || factor[key] === '') {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+  for (const key of ['parse', 'score']) {
+    if (typeof factor[key] !== 'function') {
+      errors.push(`${key} must be a function`);
+    }
+  }
+  for (const key of ['details', 'trace']) {
+    if (factor[key] !== undefined && typeof factor[key] !== 'function') {
+      errors.push(`${key} must be a function`);
+    }
+  }
+  if (factor.missingIsDataQualityIssue !== undefined && typeof factor.missingIsDataQualityIssue !== 'boolean') {
+    errors.push('missingIsDataQualityIssue must be true or false');
+  }
+
+  const categories = Array.isArray(factor.categories) ? factor.categories : [];
+  const wellFormed = category => category && typeof category.id === 'string' &&
+    typeof category.label === 'string' && Number.isFinite(category.score);
+  if (categories.length === 0 || !categories.every(wellFormed)) {
+    errors.push('categories must be a non-empty list of { id, label, score }');
+  }
+  return errors;
+}
+
+/**
+ * Parse and score one factor for a patient
+ *
+ * Returns { parsed, score, category, band, isDataQualityIssue, breakdown },
+ * where breakdown is the riskBreakdown entry.
+ */
+export function evaluateFactor(factor, patient) {
+  const value = patient[factor.field];
+  const parsed = factor.parse(value, patient);
+  const { score, category, band } = factor.score(parsed);
+  const isMissing = value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+  return {
+    parsed,
+    score,
+    category,
+    band,
+    isDataQualityIssue: !parsed.isValid && (factor.missingIsDataQualityIssue || !isMissing),
+    breakdown: {
+      score,
+      category,
+      ...(factor.details ? factor.details(parsed) : {}),
+      reason: parsed.reason ?? null
+    }
+  };
+}
+
+/**
+ * Evaluate every factor once for a patient: a Map from factor name to its
+ * evaluateFactor() result, for the scoring and data quality checks to share
+ */
+export function evaluateFactors(patient, factors = riskFactors) {
+  const evaluations = new Map();
+  for (const factor of factors) {
+    evaluations.set(factor.name, evaluateFactor(factor, patient));
+  }
+  return evaluations;
+}
+
+/**
+ * Lowest and highest score a usable value of the factor can get: the scores
+ * of every category except the one an unusable value is given
+ */
+export function scoreBounds(factor) {
+  const { band: unusable } = factor.score({ isValid: false, reason: 'MISSING' });
+  const scores = factor.categories.filter(({ id }) => id !== unusable).map(({ score }) => score);
+  return { min: Math.min(...scores), max: Math.max(...scores) };
+}
+
+/**
+ * A risk factor scored by the bands of POLICY.factors[name]
+ */
+function policyFactor(name, field, read, inputs) {
+  const pick = parsed => Object.fromEntries(inputs.map(input => [input, parsed[input]]));
+  const policy = POLICY.factors[name];
+
+  return {
+    name,
+    field,
+    parse: read,
+    score(parsed) {
+      const band = classifyFactor(policy, parsed.isValid ? pick(parsed) : null);
+      return { score: band.score, category: band.label, band: band.id };
+    },
+    categories: [...policy.bands, policy.invalid].map(({ id, label, score }) => ({ id, label, score })),
+    missingIsDataQualityIssue: true,
+    details: ({ unit, sourceUnit, converted, ...parsed }) => ({ ...pick(parsed), unit, sourceUnit, converted }),
+    trace(parsed) {
+      const { rules, drivenBy, usedDefault } = traceClassification(policy, parsed.isValid ? pick(parsed) : null);
+      return { rules, drivenBy, usedDefault };
+    }
+  };
+}
+
+export const BUILT_IN_FACTORS = [
+  policyFactor('bloodPressure', 'blood_pressure', readBloodPressure, ['systolic', 'diastolic']),
+  policyFactor('temperature', 'temperature', readTemperature, ['temperature']),
+  policyFactor('age', 'age', readAge, ['age'])
+];
+
+/**
+ * The registry used unless an analyzer is given its own
+ */
+export const riskFactors = new RiskFactorRegistry(BUILT_IN_FACTORS);
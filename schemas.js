@@ -0,0 +1,247 @@
+import { CONFIG } from './config.js';
+import { SchemaValidationError } from './errors.js';
+import { logger as defaultLogger } from './logger.js';
+
+/**
+ * Declared schemas for API responses, checked on every call
+ *
+ * A schema is a plain object: `type` ('object', 'array', 'string', 'number',
+ * 'integer', 'boolean' or 'any', or a list of them), `properties` for
+ * objects (undeclared properties are allowed and kept), `items` for arrays,
+ * and the flags `optional` (may be absent), `nullable` (may be null) and
+ * `default` (what lenient mode puts in place of a missing or mistyped value).
+ */
+
+export const SCHEMA_MODES = {
+  STRICT: 'strict',   // A mismatch throws SchemaValidationError
+  LENIENT: 'lenient'  // A mismatch is logged and the response normalized
+};
+
+const MAX_REPORTED_ISSUES = 5;
+
+const optional = (type, extra = {}) => ({ type, optional: true, ...extra });
+
+const PATIENT = {
+  type: 'object',
+  properties: {
+    patient_id: { type: ['string', 'number'] },
+    // Vitals are free-form here; vitals-parser.js decides what is usable
+    name: optional('any'),
+    age: optional('any'),
+    gender: optional('any'),
+    blood_pressure: optional('any'),
+    temperature: optional('any'),
+    // NEWS2 inputs (see news2.js)
+    respiratory_rate: optional('any'),
+    oxygen_saturation: optional('any'),
+    spo2_scale: optional('any'),
+    supplemental_oxygen: optional('any'),
+    heart_rate: optional('any'),
+    consciousness: optional('any')
+  }
+};
+
+const PAGINATION = {
+  type: 'object',
+  optional: true, // The API sometimes leaves it out; PaginationIntegrity reports that
+  nullable: true,
+  properties: {
+    page: optional('integer'),
+    limit: optional('integer'),
+    total: optional('integer'),
+    totalPages: optional('integer'),
+    hasNext: optional('boolean'),
+    hasPrevious: optional('boolean')
+  }
+};
+
+const SCORE_BREAKDOWN = {
+  type: 'object',
+  properties: {
+    score: { type: 'number' },
+    max: { type: 'number' },
+    correct: { type: 'integer' },
+    submitted: { type: 'integer' }
+  }
+};
+
+export const SCHEMAS = {
+  patientsPage: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: PATIENT, default: [] },
+      pagination: PAGINATION,
+      metadata: optional('object')
+    }
+  },
+
+  submitAssessment: {
+    type: 'object',
+    properties: {
+      success: optional('boolean'),
+      message: optional('string'),
+      results: {
+        type: 'object',
+        default: {},
+        properties: {
+          score: { type: 'number', default: null },
+          percentage: { type: 'number', default: null },
+          status: { type: 'string', default: null },
+          attempt_number: { type: 'integer', default: null },
+          remaining_attempts: { type: 'integer', default: null },
+          is_personal_best: optional('boolean'),
+          can_resubmit: optional('boolean'),
+          breakdown: {
+            type: 'object',
+            optional: true,
+            nullable: true,
+            default: null,
+            properties: {
+              high_risk: { ...SCORE_BREAKDOWN, default: null },
+              fever: { ...SCORE_BREAKDOWN, default: null },
+              data_quality: { ...SCORE_BREAKDOWN, default: null }
+            }
+          },
+          feedback: {
+            type: 'object',
+            optional: true,
+            nullable: true,
+            default: null,
+            properties: {
+              strengths: optional('array', { items: { type: 'string' }, default: [] }),
+              issues: optional('array', { items: { type: 'string' }, default: [] })
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Declared schemas for request bodies sent to the scoring service (server.js)
+ */
+export const REQUEST_SCHEMAS = {
+  patients: { type: 'array', items: PATIENT },
+  patient: PATIENT
+};
+
+/**
+ * List every place `value` departs from `schema` as { path, expected, actual }
+ */
+export function validate(schema, value, path = '$') {
+  if (value === undefined) {
+    return schema.optional ? [] : [{ path, expected: describeType(schema), actual: 'missing' }];
+  }
+  if (value === null && schema.nullable) {
+    return [];
+  }
+  if (!matchesType(schema, value)) {
+    return [{ path, expected: describeType(schema), actual: typeOf(value) }];
+  }
+
+  const issues = [];
+  if (schema.properties && typeOf(value) === 'object') {
+    for (const [key, property] of Object.entries(schema.properties)) {
+      issues.push(...validate(property, value[key], `${path}.${key}`));
+    }
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => issues.push(...validate(schema.items, item, `${path}[${index}]`)));
+  }
+  return issues;
+}
+
+/**
+ * Lenient repair: mistyped or missing values take the schema default (or
+ * are dropped when there is none), and array items that still don't match
+ * are left out
+ */
+export function normalize(schema, value) {
+  if (value === null && schema.nullable) {
+    return null;
+  }
+  if (value === undefined || !matchesType(schema, value)) {
+    if (!('default' in schema)) return undefined;
+    const fallback = structuredClone(schema.default);
+    return fallback !== null && matchesType(schema, fallback) ? normalize(schema, fallback) : fallback;
+  }
+
+  if (schema.properties && typeOf(value) === 'object') {
+    const normalized = { ...value };
+    for (const [key, property] of Object.entries(schema.properties)) {
+      const repaired = normalize(property, value[key]);
+      if (repaired === undefined) {
+        delete normalized[key];
+      } else {
+        normalized[key] = repaired;
+      }
+    }
+    return normalized;
+  }
+  if (schema.items && Array.isArray(value)) {
+    return value
+      .map(item => normalize(schema.items, item))
+      .filter(item => validate(schema.items, item).length === 0);
+  }
+  return value;
+}
+
+/**
+ * Check a response body against SCHEMAS[name]. Strict mode throws
+ * SchemaValidationError on any mismatch; lenient mode logs it to `logger`
+ * and returns the normalized body.
+ */
+export function checkResponse(name, body, { mode = CONFIG.SCHEMA_MODE, logger = defaultLogger } = {}) {
+  const schema = SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`Unknown response schema "${name}"`);
+  }
+
+  const issues = validate(schema, body);
+  if (issues.length === 0) {
+    return body;
+  }
+
+  const message = `${name} response does not match its schema: ${formatIssues(issues)}`;
+  if (mode === SCHEMA_MODES.STRICT) {
+    throw new SchemaValidationError(message, { schema: name, issues });
+  }
+  logger.warn(`${message} (continuing in lenient mode)`, { schema: name, issues: issues.length });
+  return normalize(schema, body);
+}
+
+/**
+ * Schema issues as one line, listing the first few
+ */
+export function formatIssues(issues) {
+  const listed = issues.slice(0, MAX_REPORTED_ISSUES)
+    .map(({ path, expected, actual }) => `${path} expected ${expected}, got ${actual}`);
+  if (issues.length > MAX_REPORTED_ISSUES) {
+    listed.push(`and ${issues.length - MAX_REPORTED_ISSUES} more`);
+  }
+  return listed.join('; ');
+}
+
+function matchesType(schema, value) {
+  const types = [].concat(schema.type);
+  return types.some(type => {
+    switch (type) {
+      case 'any': return true;
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeOf(value) === type;
+    }
+  });
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function describeType(schema) {
+  const types = [].concat(schema.type).join(' or ');
+  return schema.nullable ? `${types} or null` : types;
+}
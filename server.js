@@ -0,0 +1,263 @@
+import http from 'node:http';
+import { CONFIG, POLICY } from './config.js';
+import { RiskAnalyzer, SCORING_MODELS } from './risk-analyzer.js';
+import { NEWS2_HIGH_RISK } from './news2.js';
+import { REQUEST_SCHEMAS, validate, formatIssues } from './schemas.js';
+import { logger as defaultLogger, withCorrelation, newCorrelationId } from './logger.js';
+
+/**
+ * Local HTTP scoring service
+ *
+ * Exposes RiskAnalyzer to other services without the API client, so it
+ * needs no API_KEY:
+ *
+ *   POST /analyze          patient array -> the result lists and summary
+ *   POST /patients/score   one patient   -> its getPatientAnalysis() breakdown
+ *   GET  /health           service status
+ *   GET  /policy           scoring policy version, thresholds and factors
+ *
+ * Bodies are JSON, checked against REQUEST_SCHEMAS and limited to
+ * `maxBodyBytes`. Every request gets a fresh RiskAnalyzer, so requests
+ * never see each other's patients, and runs under its own correlation ID
+ * (taken from an X-Correlation-Id header when the caller sends one).
+ */
+
+const ROUTES = {
+  '/analyze': { POST: 'handleAnalyze' },
+  '/patients/score': { POST: 'handleScore' },
+  '/health': { GET: 'handleHealth' },
+  '/policy': { GET: 'handlePolicy' }
+};
+
+/**
+ * A request the service refuses; becomes a { error, message } response
+ */
+class RequestError extends Error {
+  constructor(status, error, message, headers = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.error = error;
+    this.headers = headers;
+  }
+}
+
+export class ScoringServer {
+  /**
+   * `options.model` is the scoring model (default CONFIG.SCORING_MODEL),
+   * `options.partialScoring` adds risk bounds as in RiskAnalyzer,
+   * `options.maxBodyBytes` caps request bodies (default
+   * CONFIG.SERVER_MAX_BODY_BYTES) and `options.logger` defaults to the
+   * shared logger in logger.js
+   */
+  constructor(options = {}) {
+    this.model = options.model || CONFIG.SCORING_MODEL;
+    if (!Object.values(SCORING_MODELS).includes(this.model)) {
+      throw new Error(`Unknown scoring model "${this.model}". Expected one of: ${Object.values(SCORING_MODELS).join(', ')}`);
+    }
+    this.partialScoring = options.partialScoring || false;
+    this.maxBodyBytes = options.maxBodyBytes || CONFIG.SERVER_MAX_BODY_BYTES;
+    this.logger = options.logger || defaultLogger;
+    this.startedAt = Date.now();
+    this.requestCount = 0;
+
+    this.server = http.createServer((req, res) => {
+      const requested = req.headers['x-correlation-id'];
+      const correlationId = typeof requested === 'string' && /^[\w.-]{1,64}$/.test(requested) ? requested : newCorrelationId();
+      withCorrelation(() => this.handle(req, res, correlationId), correlationId).catch(error => {
+        this.logger.error(`Scoring service could not respond: ${error.message}`, { error: error.name });
+        res.destroy();
+      });
+    });
+  }
+
+  /**
+   * Start listening; resolves with the service's base URL
+   */
+  listen(port = CONFIG.SERVER_PORT, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        const address = this.server.address();
+        this.baseURL = `http://${host}:${address.port}`;
+        resolve(this.baseURL);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections; resolves once open requests have finished
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res, correlationId) {
+    const started = Date.now();
+    const { pathname } = new URL(req.url, 'http://localhost');
+    this.requestCount++;
+
+    let status;
+    try {
+      const methods = ROUTES[pathname];
+      if (!methods) {
+        throw new RequestError(404, 'Not Found', `${req.method} ${pathname}`);
+      }
+      const handler = methods[req.method];
+      if (!handler) {
+        throw new RequestError(405, 'Method Not Allowed', `${pathname} accepts ${Object.keys(methods).join(', ')}`,
+          { Allow: Object.keys(methods).join(', ') });
+      }
+
+      status = 200;
+      this.sendJson(res, status, await this[handler](req), { 'X-Correlation-Id': correlationId });
+    } catch (error) {
+      if (error instanceof RequestError) {
+        status = error.status;
+        this.sendJson(res, status, { error: error.error, message: error.message },
+          { ...error.headers, 'X-Correlation-Id': correlationId });
+      } else {
+        status = 500;
+        this.logger.error(`Scoring request failed: ${error.message}`, { error: error.name });
+        this.sendJson(res, status, { error: 'Internal Server Error', message: 'Scoring failed' },
+          { 'X-Correlation-Id': correlationId });
+      }
+    }
+
+    this.logger.info(`${req.method} ${pathname} ${status}`, {
+      method: req.method, path: pathname, status, durationMs: Date.now() - started
+    });
+  }
+
+  async handleAnalyze(req) {
+    const patients = await this.readJson(req, REQUEST_SCHEMAS.patients, 'a JSON array of patients');
+    const seen = new Set();
+    for (const patient of patients) {
+      if (seen.has(patient.patient_id)) {
+        throw new RequestError(400, 'Bad Request', 'Each patient_id may appear only once');
+      }
+      seen.add(patient.patient_id);
+    }
+
+    const analyzer = this.createAnalyzer();
+    analyzer.addPatients(patients);
+    const results = analyzer.analyze();
+    return {
+      scoringModel: this.model,
+      policyVersion: POLICY.version,
+      results,
+      summary: analyzer.getSummary()
+    };
+  }
+
+  async handleScore(req) {
+    const patient = await this.readJson(req, REQUEST_SCHEMAS.patient, 'a JSON patient object');
+    const analyzer = this.createAnalyzer();
+    analyzer.addPatients(patient);
+    return analyzer.getPatientAnalysis(patient.patient_id);
+  }
+
+  handleHealth() {
+    return {
+      status: 'ok',
+      scoringModel: this.model,
+      policyVersion: POLICY.version,
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      requests: this.requestCount
+    };
+  }
+
+  /**
+   * The thresholds in force: the policy's, with NEWS2's high-risk score in
+   * that mode; the rubric's factor bands are included when it is the model
+   */
+  handlePolicy() {
+    if (this.model === SCORING_MODELS.NEWS2) {
+      return {
+        version: POLICY.version,
+        scoringModel: this.model,
+        thresholds: { ...POLICY.thresholds, highRisk: NEWS2_HIGH_RISK }
+      };
+    }
+    return {
+      version: POLICY.version,
+      scoringModel: this.model,
+      thresholds: POLICY.thresholds,
+      factors: POLICY.factors
+    };
+  }
+
+  createAnalyzer() {
+    return new RiskAnalyzer({ model: this.model, partialScoring: this.partialScoring, logger: this.logger });
+  }
+
+  /**
+   * Read and parse a JSON body, checking it against `schema`
+   */
+  async readJson(req, schema, expected) {
+    const contentType = req.headers['content-type'] || '';
+    if (!/^application\/json\b/i.test(contentType)) {
+      throw new RequestError(415, 'Unsupported Media Type', 'Content-Type must be application/json');
+    }
+
+    const rawBody = await readBody(req, this.maxBodyBytes);
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      throw new RequestError(400, 'Bad Request', 'Body must be valid JSON');
+    }
+
+    const issues = validate(schema, body);
+    if (issues.length > 0) {
+      throw new RequestError(400, 'Bad Request', `Body must be ${expected}: ${formatIssues(issues)}`);
+    }
+    return body;
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+/**
+ * Read a request body of at most `maxBytes`; anything larger is drained
+ * unread and refused with 413
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new RequestError(413, 'Payload Too Large', `Body exceeds ${maxBytes} bytes`,
+      { Connection: 'close' });
+
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        chunks.length = 0;
+        reject(tooLarge());
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Run standalone: SERVER_PORT=4020 SCORING_MODEL=news2 node server.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const server = new ScoringServer();
+
+  server.listen().then(baseURL => {
+    defaultLogger.info(`Scoring service listening on ${baseURL}`, { scoringModel: server.model, policyVersion: POLICY.version });
+  });
+}
@@ -0,0 +1,436 @@
+/**
+ * Cohort statistics for RiskAnalyzer#getSummary
+ *
+ * Patients are added one at a time as they are analyzed (so streaming
+ * analysis gets statistics too), as the per-factor evaluations from
+ * risk-factors.js plus the patient's outcome flags. The report holds:
+ *
+ *   distributions  Per numeric value a usable factor reads (systolic,
+ *                  diastolic, temperature, age, ...): count, min, max, mean,
+ *                  median, standard deviation, percentiles and a histogram
+ *                  (see Distribution; no values are kept)
+ *   riskScores     Frequency table of total risk scores
+ *   breakdowns     Per factor category: patients, high risk, fever, data
+ *                  quality and mean total risk score
+ *   crossTabs      Counts over two dimensions, e.g. fever by BP stage
+ *   dataQuality    Per field: patients flagged, their rate and reasons
+ */
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+const MAX_HISTOGRAM_BINS = 10;
+
+// Values are binned in hundredths, the precision the report rounds to
+const SKETCH_SCALE = 100;
+
+// Most bins a Distribution keeps before it merges neighbours
+const MAX_SKETCH_BINS = 2048;
+
+/**
+ * Outcome flags usable as cross-tab dimensions next to factor names
+ */
+const FLAG_DIMENSIONS = {
+  highRisk: 'isHighRisk',
+  fever: 'hasFever',
+  dataQuality: 'hasDataQualityIssues'
+};
+
+/**
+ * Cross-tabs reported by default, [rows, columns]; pairs naming a factor
+ * that is not registered are skipped
+ */
+export const DEFAULT_CROSS_TABS = [
+  ['fever', 'bloodPressure'],
+  ['highRisk', 'age'],
+  ['bloodPressure', 'age'],
+  ['fever', 'highRisk']
+];
+
+// Provenance fields in factor details, which are not measurements
+const PROVENANCE_FIELDS = new Set(['unit', 'sourceUnit', 'converted']);
+
+export class CohortStatistics {
+  /**
+   * `factors` is the registry the patients are scored with; `crossTabs`
+   * lists [rows, columns] dimension pairs (factor names or highRisk, fever,
+   * dataQuality)
+   */
+  constructor(factors, { crossTabs = DEFAULT_CROSS_TABS } = {}) {
+    this.factors = factors.list();
+    this.crossTabs = crossTabs.filter(pair => pair.every(dimension => this.isDimension(dimension)));
+
+    this.total = 0;
+    this.values = new Map(); // value name -> Distribution
+    this.units = new Map();  // value name -> unit
+    this.riskScores = new Map();
+    this.breakdowns = {};
+    this.dataQuality = {};
+    for (const factor of this.factors) {
+      this.breakdowns[factor.name] = Object.fromEntries(factor.categories.map(({ label }) => [label, emptyBreakdown()]));
+      this.dataQuality[factor.field] = { flagged: 0, reasons: {} };
+    }
+    this.cells = this.crossTabs.map(() => new Map());
+  }
+
+  isDimension(dimension) {
+    return dimension in FLAG_DIMENSIONS || this.factors.some(factor => factor.name === dimension);
+  }
+
+  /**
+   * Add one patient: `evaluations` maps factor name to evaluateFactor()'s
+   * result, `outcome` holds isHighRisk, hasFever and hasDataQualityIssues
+   * as the analyzer decided them
+   */
+  add(evaluations, outcome) {
+    this.total++;
+    let totalRiskScore = 0;
+
+    for (const factor of this.factors) {
+      const { parsed, score, isDataQualityIssue } = evaluations.get(factor.name);
+      totalRiskScore += score;
+
+      if (parsed.isValid && factor.details) {
+        const details = factor.details(parsed);
+        for (const [name, value] of Object.entries(details)) {
+          if (PROVENANCE_FIELDS.has(name) || typeof value !== 'number' || !Number.isFinite(value)) continue;
+          if (!this.values.has(name)) {
+            this.values.set(name, new Distribution());
+            this.units.set(name, details.unit ?? null);
+          }
+          this.values.get(name).add(value);
+        }
+      }
+
+      if (isDataQualityIssue) {
+        const field = this.dataQuality[factor.field];
+        field.flagged++;
+        const reason = parsed.reason ?? 'UNKNOWN';
+        field.reasons[reason] = (field.reasons[reason] || 0) + 1;
+      }
+    }
+
+    this.riskScores.set(totalRiskScore, (this.riskScores.get(totalRiskScore) || 0) + 1);
+    for (const factor of this.factors) {
+      const categories = this.breakdowns[factor.name];
+      const { category } = evaluations.get(factor.name);
+      const breakdown = categories[category] || (categories[category] = emptyBreakdown());
+      breakdown.patients++;
+      breakdown.highRisk += outcome.isHighRisk ? 1 : 0;
+      breakdown.fever += outcome.hasFever ? 1 : 0;
+      breakdown.dataQuality += outcome.hasDataQualityIssues ? 1 : 0;
+      breakdown.riskScoreSum += totalRiskScore;
+    }
+
+    this.crossTabs.forEach(([rows, columns], index) => {
+      const key = JSON.stringify([this.dimensionValue(rows, evaluations, outcome), this.dimensionValue(columns, evaluations, outcome)]);
+      this.cells[index].set(key, (this.cells[index].get(key) || 0) + 1);
+    });
+  }
+
+  dimensionValue(dimension, evaluations, outcome) {
+    if (dimension in FLAG_DIMENSIONS) {
+      return outcome[FLAG_DIMENSIONS[dimension]] ? 'yes' : 'no';
+    }
+    return evaluations.get(dimension).category;
+  }
+
+  /**
+   * Labels along a dimension, in a stable order
+   */
+  dimensionLabels(dimension) {
+    if (dimension in FLAG_DIMENSIONS) {
+      return ['yes', 'no'];
+    }
+    return Object.keys(this.breakdowns[dimension]);
+  }
+
+  getReport() {
+    const distributions = {};
+    for (const [name, distribution] of this.values) {
+      distributions[name] = { unit: this.units.get(name), ...distribution.describe() };
+    }
+
+    const riskScores = [...this.riskScores.entries()]
+      .sort(([left], [right]) => left - right)
+      .map(([score, patients]) => ({ score, patients, percentage: rate(patients, this.total) }));
+
+    const breakdowns = {};
+    for (const [factor, categories] of Object.entries(this.breakdowns)) {
+      breakdowns[factor] = Object.fromEntries(Object.entries(categories).map(([category, { riskScoreSum, ...counts }]) => [
+        category,
+        { ...counts, meanRiskScore: counts.patients > 0 ? round(riskScoreSum / counts.patients) : null }
+      ]));
+    }
+
+    const crossTabs = this.crossTabs.map(([rows, columns], index) => ({
+      rows,
+      columns,
+      counts: Object.fromEntries(this.dimensionLabels(rows).map(row => [
+        row,
+        Object.fromEntries(this.dimensionLabels(columns).map(column => [
+          column,
+          this.cells[index].get(JSON.stringify([row, column])) || 0
+        ]))
+      ]))
+    }));
+
+    const dataQuality = Object.fromEntries(Object.entries(this.dataQuality).map(([field, { flagged, reasons }]) => [
+      field,
+      { flagged, rate: rate(flagged, this.total), reasons: { ...reasons } }
+    ]));
+
+    return { patients: this.total, distributions, riskScores, breakdowns, crossTabs, dataQuality };
+  }
+}
+
+function emptyBreakdown() {
+  return { patients: 0, highRisk: 0, fever: 0, dataQuality: 0, riskScoreSum: 0 };
+}
+
+/**
+ * Percentage of `count` in `total`, rounded to 0.01 (0 when total is 0)
+ */
+function rate(count, total) {
+  return total > 0 ? round(count / total * 100) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Running summary of a stream of numbers, in memory that does not grow with
+ * the count
+ *
+ * Count, min, max, mean and variance (Welford's method) are exact. Values
+ * are also counted into bins 0.01 wide (1 / SKETCH_SCALE); while more than `maxBins`
+ * bins are in use, neighbouring bins are merged two by two. Percentiles and
+ * histograms are read from the bins, so they are exact to 0.01 until bins
+ * merge and then within a bin's width of the exact figure.
+ */
+export class Distribution {
+  constructor({ maxBins = MAX_SKETCH_BINS } = {}) {
+    this.maxBins = maxBins;
+    this.count = 0;
+    this.min = null;
+    this.max = null;
+    this.mean = 0;
+    this.squaredDeviations = 0;
+    this.binSize = 1;        // Hundredths per bin, doubled on each merge
+    this.bins = new Map();   // bin index -> count
+  }
+
+  add(value) {
+    this.count++;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+    const delta = value - this.mean;
+    this.mean += delta / this.count;
+    this.squaredDeviations += delta * (value - this.mean);
+
+    const index = Math.floor(Math.round(value * SKETCH_SCALE) / this.binSize);
+    this.bins.set(index, (this.bins.get(index) || 0) + 1);
+    while (this.bins.size > this.maxBins) {
+      this.mergeBins();
+    }
+  }
+
+  mergeBins() {
+    const merged = new Map();
+    for (const [index, count] of this.bins) {
+      const half = Math.floor(index / 2);
+      merged.set(half, (merged.get(half) || 0) + count);
+    }
+    this.binSize *= 2;
+    this.bins = merged;
+  }
+
+  /**
+   * The binned values as [value, count] pairs in ascending order, each bin
+   * standing at its midpoint (clamped to the exact min and max)
+   */
+  entries() {
+    return [...this.bins.entries()]
+      .sort(([left], [right]) => left - right)
+      .map(([index, count]) => {
+        const value = (index * this.binSize + (this.binSize - 1) / 2) / SKETCH_SCALE;
+        return [Math.min(this.max, Math.max(this.min, value)), count];
+      });
+  }
+
+  describe() {
+    if (this.count === 0) {
+      return {
+        count: 0, min: null, max: null, mean: null, median: null, stdDev: null,
+        percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, null])),
+        histogram: []
+      };
+    }
+
+    const entries = this.entries();
+    return {
+      count: this.count,
+      min: this.min,
+      max: this.max,
+      mean: round(this.mean),
+      median: round(binnedPercentile(entries, 50)),
+      stdDev: round(Math.sqrt(this.squaredDeviations / this.count)),
+      percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(binnedPercentile(entries, p))])),
+      histogram: binEntries(entries, this.min, this.max, MAX_HISTOGRAM_BINS)
+    };
+  }
+}
+
+/**
+ * Summary statistics of a list of numbers; every figure is null for an empty list
+ */
+export function describeDistribution(values) {
+  const distribution = new Distribution();
+  for (const value of values) {
+    distribution.add(value);
+  }
+  return distribution.describe();
+}
+
+/**
+ * The p-th percentile of sorted numbers, interpolating linearly between ranks
+ */
+export function percentile(sorted, p) {
+  const rank = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * percentile() over ascending [value, count] pairs
+ */
+function binnedPercentile(entries, p) {
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  const rank = (total - 1) * p / 100;
+  const lower = valueAtRank(entries, Math.floor(rank));
+  const upper = valueAtRank(entries, Math.ceil(rank));
+  return lower + (upper - lower) * (rank - Math.floor(rank));
+}
+
+function valueAtRank(entries, rank) {
+  let seen = 0;
+  for (const [value, count] of entries) {
+    seen += count;
+    if (rank < seen) {
+      return value;
+    }
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Count sorted numbers into equal-width bins [from, to) with a round width
+ * (1, 2 or 5 times a power of ten) giving at most `maxBins` bins
+ */
+export function histogram(sorted, maxBins = MAX_HISTOGRAM_BINS) {
+  if (sorted.length === 0) {
+    return [];
+  }
+  return binEntries(sorted.map(value => [value, 1]), sorted[0], sorted[sorted.length - 1], maxBins);
+}
+
+function binEntries(entries, min, max, maxBins) {
+  const width = binWidth(min, max, maxBins);
+  const first = Math.floor(min / width);
+  const bins = [];
+  for (let index = first; index <= Math.floor(max / width); index++) {
+    bins.push({ from: round(index * width), to: round((index + 1) * width), count: 0 });
+  }
+  for (const [value, count] of entries) {
+    bins[Math.floor(value / width) - first].count += count;
+  }
+  return bins;
+}
+
+function binWidth(min, max, maxBins) {
+  const span = max - min;
+  if (span === 0) {
+    return 1;
+  }
+
+  const magnitude = 10 ** Math.floor(Math.log10(span / maxBins));
+  for (const step of [1, 2, 5, 10]) {
+    const width = step * magnitude;
+    if (Math.floor(max / width) - Math.floor(min / width) + 1 <= maxBins) {
+      return width;
+    }
+  }
+  return 20 * magnitude;
+}
+
+/**
+ * Render a statistics report as text tables
+ */
+export function formatStatistics(report) {
+  const lines = [`Cohort statistics (${report.patients} patients)`];
+
+  const distributionRows = Object.entries(report.distributions).map(([name, distribution]) => [
+    name,
+    distribution.unit ?? '',
+    distribution.count,
+    distribution.min,
+    ...PERCENTILES.map(p => distribution.percentiles[`p${p}`]),
+    distribution.max,
+    distribution.mean,
+    distribution.stdDev
+  ]);
+  lines.push('', 'Distributions', ...formatTable(
+    ['value', 'unit', 'n', 'min', ...PERCENTILES.map(p => (p === 50 ? 'median' : `p${p}`)), 'max', 'mean', 'sd'],
+    distributionRows
+  ));
+
+  for (const [name, distribution] of Object.entries(report.distributions)) {
+    const peak = Math.max(1, ...distribution.histogram.map(({ count }) => count));
+    lines.push('', `Histogram: ${name}`, ...formatTable(
+      ['from', 'to', 'n', ''],
+      distribution.histogram.map(({ from, to, count }) => [from, to, count, '#'.repeat(Math.round(count / peak * 30))])
+    ));
+  }
+
+  lines.push('', 'Total risk scores', ...formatTable(
+    ['score', 'patients', '%'],
+    report.riskScores.map(({ score, patients, percentage }) => [score, patients, percentage])
+  ));
+
+  for (const [factor, categories] of Object.entries(report.breakdowns)) {
+    lines.push('', `By ${factor}`, ...formatTable(
+      ['category', 'patients', 'high risk', 'fever', 'data quality', 'mean score'],
+      Object.entries(categories).map(([category, counts]) => [
+        category, counts.patients, counts.highRisk, counts.fever, counts.dataQuality, counts.meanRiskScore ?? '-'
+      ])
+    ));
+  }
+
+  for (const { rows, columns, counts } of report.crossTabs) {
+    const columnLabels = Object.keys(Object.values(counts)[0] || {});
+    lines.push('', `${rows} by ${columns}`, ...formatTable(
+      [`${rows} \\ ${columns}`, ...columnLabels],
+      Object.entries(counts).map(([row, cells]) => [row, ...columnLabels.map(column => cells[column])])
+    ));
+  }
+
+  lines.push('', 'Data quality by field', ...formatTable(
+    ['field', 'flagged', '%', 'reasons'],
+    Object.entries(report.dataQuality).map(([field, { flagged, rate: percentage, reasons }]) => [
+      field, flagged, percentage, Object.entries(reasons).map(([reason, count]) => `${reason} ${count}`).join(', ')
+    ])
+  ));
+
+  return lines;
+}
+
+/**
+ * Left-aligned text columns, the first row being the header
+ */
+function formatTable(header, rows) {
+  const cells = [header, ...rows].map(row => row.map(cell => (cell === null || cell === undefined ? '-' : String(cell))));
+  const widths = header.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+  const render = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  return [render(cells[0]), render(widths.map(width => '-'.repeat(width))), ...cells.slice(1).map(render)];
+}
@@ -0,0 +1,174 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { CONFIG } from './config.js';
+
+/**
+ * Local ledger of assessment submissions
+ *
+ * The server only reports attempt_number/remaining_attempts after an attempt
+ * has been spent, so every submission is recorded here and checked against
+ * before the next one goes out.
+ */
+
+export const PAYLOAD_LISTS = ['high_risk_patients', 'fever_patients', 'data_quality_issues'];
+
+/**
+ * Thrown when the guard refuses a submission; `reason` is DUPLICATE_PAYLOAD or ATTEMPTS_RESERVE
+ */
+export class SubmissionGuardError extends Error {
+  constructor(message, { reason, diff }) {
+    super(message);
+    this.name = 'SubmissionGuardError';
+    this.reason = reason;
+    this.diff = diff;
+  }
+}
+
+/**
+ * Hash a payload independently of list order
+ */
+export function hashPayload(payload) {
+  const canonical = PAYLOAD_LISTS.map(list => [list, [...(payload[list] || [])].sort()]);
+  return sha256(JSON.stringify(canonical));
+}
+
+/**
+ * Hash the patient data a submission was computed from, independently of page order
+ */
+export function hashInput(patients) {
+  const sorted = [...patients].sort((a, b) => String(a.patient_id).localeCompare(String(b.patient_id)));
+  return sha256(JSON.stringify(sorted));
+}
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+export class SubmissionLedger {
+  constructor(options = {}) {
+    this.path = options.path || CONFIG.LEDGER_PATH;
+    this.reserve = options.reserve ?? CONFIG.ATTEMPTS_RESERVE;
+  }
+
+  /**
+   * Read all recorded submissions, oldest first
+   */
+  async load() {
+    try {
+      const ledger = JSON.parse(await readFile(this.path, 'utf8'));
+      return Array.isArray(ledger.entries) ? ledger.entries : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Cannot read submission ledger ${this.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a submission and the server's response to it
+   */
+  async record({ payload, patients, response }) {
+    const entries = await this.load();
+    const results = response?.results || {};
+
+    const entry = {
+      submittedAt: new Date().toISOString(),
+      payloadHash: hashPayload(payload),
+      inputHash: patients ? hashInput(patients) : null,
+      payload,
+      attemptNumber: results.attempt_number ?? null,
+      remainingAttempts: results.remaining_attempts ?? null,
+      score: results.score ?? null,
+      percentage: results.percentage ?? null,
+      status: results.status ?? null,
+      breakdown: results.breakdown ?? null
+    };
+    entries.push(entry);
+
+    await mkdir(path.dirname(this.path), { recursive: true });
+    await writeFile(this.path, `${JSON.stringify({ entries }, null, 2)}\n`);
+    return entry;
+  }
+
+  /**
+   * Highest-scoring previous submission (latest wins a tie)
+   */
+  static findBest(entries) {
+    return entries.reduce((best, entry) => (
+      best === null || (entry.score ?? -Infinity) >= (best.score ?? -Infinity) ? entry : best
+    ), null);
+  }
+
+  /**
+   * Compare a payload with the best previous submission, list by list
+   */
+  async diffAgainstBest(payload) {
+    const best = SubmissionLedger.findBest(await this.load());
+    const lists = {};
+
+    for (const list of PAYLOAD_LISTS) {
+      const next = new Set(payload[list] || []);
+      const previous = new Set(best?.payload?.[list] || []);
+      lists[list] = {
+        added: [...next].filter(id => !previous.has(id)).sort(),
+        removed: [...previous].filter(id => !next.has(id)).sort()
+      };
+    }
+
+    return {
+      baseline: best ? { attemptNumber: best.attemptNumber, score: best.score, submittedAt: best.submittedAt } : null,
+      lists
+    };
+  }
+
+  /**
+   * Decide whether a payload may be submitted; resolves with the diff, or
+   * rejects with SubmissionGuardError unless `force` is set
+   */
+  async check(payload, { force = false } = {}) {
+    const entries = await this.load();
+    const diff = await this.diffAgainstBest(payload);
+    const payloadHash = hashPayload(payload);
+
+    const duplicate = entries.find(entry => entry.payloadHash === payloadHash);
+    if (duplicate && !force) {
+      throw new SubmissionGuardError(
+        `Identical payload already submitted on ${duplicate.submittedAt} (attempt ${duplicate.attemptNumber ?? '?'}); use --force to resubmit`,
+        { reason: 'DUPLICATE_PAYLOAD', diff }
+      );
+    }
+
+    const latest = entries[entries.length - 1];
+    if (latest && latest.remainingAttempts !== null && latest.remainingAttempts - 1 < this.reserve && !force) {
+      throw new SubmissionGuardError(
+        `Only ${latest.remainingAttempts} attempt(s) left and the reserve is ${this.reserve}; use --force to submit anyway`,
+        { reason: 'ATTEMPTS_RESERVE', diff }
+      );
+    }
+
+    return diff;
+  }
+}
+
+/**
+ * Render a diff as human-readable lines
+ */
+export function formatDiff(diff) {
+  if (!diff.baseline) {
+    return ['No previous submission to compare against'];
+  }
+
+  const lines = [`Changes vs best attempt #${diff.baseline.attemptNumber ?? '?'} (score ${diff.baseline.score ?? '?'}):`];
+  for (const [list, { added, removed }] of Object.entries(diff.lists)) {
+    if (added.length === 0 && removed.length === 0) {
+      lines.push(`  ${list}: unchanged`);
+      continue;
+    }
+    lines.push(`  ${list}: +${added.length} -${removed.length}`);
+    if (added.length > 0) lines.push(`    added:   ${added.join(', ')}`);
+    if (removed.length > 0) lines.push(`    removed: ${removed.join(', ')}`);
+  }
+  return lines;
+}
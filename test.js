@@ -1,3 +1,9 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import { 
   calculateBloodPressureRisk, 
   calculateTemperatureRisk, 
@@ -5,8 +11,39 @@ import {
   calculateTotalRiskScore,
   hasDataQualityIssues,
   hasFever,
-  isHighRisk
+  isHighRisk,
+  calculateRiskBounds,
+  classifyRiskBounds,
+  RISK_BOUND_STATUS,
+  retryWithBackoff,
+  toCsv
 } from './utils.js';
+import { ApiClient } from './api-client.js';
+import { HealthcareAssessment } from './index.js';
+import { MockHealthcareApi } from './mock-server.js';
+import { Cassette } from './cassette.js';
+import { FetchCheckpoint } from './checkpoint.js';
+import { PaginationIntegrity, MERGE_POLICIES, INTEGRITY_ISSUES } from './pagination-integrity.js';
+import { POLICY } from './config.js';
+import { classifyFactor, loadPolicy, validatePolicy } from './policy.js';
+import { parseBloodPressure, parseTemperature, parseAge, REJECTION_REASONS } from './vitals-parser.js';
+import { RiskAnalyzer } from './risk-analyzer.js';
+import { RiskFactorRegistry, BUILT_IN_FACTORS, riskFactors, scoreBounds } from './risk-factors.js';
+import { assessNews2, NEWS2_RESPONSES } from './news2.js';
+import { formatTrace } from './explain.js';
+import { Distribution, describeDistribution, histogram, formatStatistics } from './statistics.js';
+import { Logger, REDACTION_POLICY, redact, withCorrelation, currentCorrelationId } from './logger.js';
+import { MetricsCollector } from './metrics.js';
+import { ScoringServer } from './server.js';
+import { EXIT_CODES } from './cli.js';
+import { SubmissionLedger, hashInput } from './submission-ledger.js';
+import { exportCsv, exportNdjson, exportHtml } from './exporters.js';
+import { importFhirBundle, toFhirRiskAssessments, LOINC_SYSTEM } from './fhir.js';
+import { importHl7Messages } from './hl7.js';
+import { RateLimiter, parseRetryAfter } from './rate-limiter.js';
+import { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+import { ServerError, ClientError, TimeoutError, CircuitOpenError, SchemaValidationError } from './errors.js';
+import { checkResponse, SCHEMA_MODES } from './schemas.js';
 
 /**
  * Test cases for risk scoring logic
@@ -206,9 +243,1842 @@ function runTests() {
   return { passed, failed };
 }
 
+/**
+ * Vitals parsing test cases: [parser, raw input, expected reason]
+ */
+const rejectionCases = [
+  [parseBloodPressure, '150/', REJECTION_REASONS.MISSING_DIASTOLIC],
+  [parseBloodPressure, '/90', REJECTION_REASONS.MISSING_SYSTOLIC],
+  [parseBloodPressure, 'INVALID', REJECTION_REASONS.NON_NUMERIC],
+  [parseBloodPressure, '120/80/60', REJECTION_REASONS.MALFORMED],
+  [parseBloodPressure, '120/<script>', REJECTION_REASONS.SUSPICIOUS_CHARS],
+  [parseBloodPressure, `120/${'8'.repeat(60)}`, REJECTION_REASONS.TOO_LONG],
+  [parseBloodPressure, 12080, REJECTION_REASONS.INVALID_TYPE],
+  [parseTemperature, null, REJECTION_REASONS.MISSING],
+  [parseTemperature, 'TEMP_ERROR', REJECTION_REASONS.NON_NUMERIC],
+  [parseTemperature, 130, REJECTION_REASONS.OUT_OF_RANGE],
+  [parseAge, 'fifty-three', REJECTION_REASONS.NON_NUMERIC],
+  [parseAge, 'undefined', REJECTION_REASONS.MISSING],
+  [parseAge, -4, REJECTION_REASONS.OUT_OF_RANGE]
+];
+
+const vitalsParserTests = [
+  ...rejectionCases.map(([parser, raw, reason]) => ({
+    name: `${parser.name}(${JSON.stringify(raw).slice(0, 20)}) is rejected as ${reason}`,
+    run: () => {
+      const result = parser(raw);
+      assert.equal(result.isValid, false);
+      assert.equal(result.reason, reason);
+      assert.equal(result.raw, raw);
+    }
+  })),
+  {
+    name: 'Valid input carries no reason',
+    run: () => {
+      assert.deepEqual(parseBloodPressure(' 135/85 '), {
+        systolic: 135,
+        diastolic: 85,
+        unit: 'mmHg',
+        sourceUnit: null,
+        converted: false,
+        alternatives: [],
+        isValid: true,
+        reason: null,
+        raw: ' 135/85 '
+      });
+    }
+  },
+  {
+    name: 'Explicit units are converted to canonical units with provenance',
+    run: () => {
+      const celsius = parseTemperature('38.5 C');
+      assert.equal(celsius.temperature, 101.3);
+      assert.equal(celsius.sourceUnit, '°C');
+      assert.equal(celsius.converted, true);
+      assert.equal(parseTemperature('101.2°F').temperature, 101.2);
+      assert.equal(parseTemperature('101.2°F').converted, false);
+
+      const kpa = parseBloodPressure('16/10 kPa');
+      assert.deepEqual([kpa.systolic, kpa.diastolic, kpa.unit, kpa.sourceUnit], [120, 75, 'mmHg', 'kPa']);
+
+      assert.equal(parseAge('18 months').age, 1.5);
+      const dob = parseAge('1950-06-15', { asOf: new Date('2024-06-01T00:00:00Z') });
+      assert.deepEqual([dob.age, dob.sourceUnit], [73, 'birthDate']);
+
+      assert.equal(parseTemperature('98.6 K').reason, REJECTION_REASONS.UNKNOWN_UNIT);
+    }
+  },
+  {
+    name: 'Unitless values are ambiguous only when another plausible unit scores differently',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients([
+        { patient_id: 'C1', blood_pressure: '16/10', temperature: 38.5, age: 50 },
+        { patient_id: 'C2', blood_pressure: '120/75', temperature: 36.5, age: 50 },
+        { patient_id: 'C3', blood_pressure: '16/10 kPa', temperature: '38.5 C', age: 50 }
+      ]);
+      const results = analyzer.analyze();
+
+      assert.deepEqual(results.dataQualityIssues, ['C1']);
+      assert.deepEqual(analyzer.getDataQualityReport().map(({ field, reason }) => `${field}:${reason}`), [
+        'blood_pressure:AMBIGUOUS_UNIT',
+        'temperature:AMBIGUOUS_UNIT'
+      ]);
+      assert.deepEqual(results.feverPatients, ['C3']);
+      assert.equal(analyzer.getPatientAnalysis('C2').riskBreakdown.temperature.score, 0);
+    }
+  },
+  {
+    name: 'RiskAnalyzer breakdown uses the shared parser',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients({ patient_id: 'P1', blood_pressure: '150/95"', temperature: 98.6, age: 50 });
+
+      const { riskBreakdown } = analyzer.getPatientAnalysis('P1');
+      assert.equal(riskBreakdown.bloodPressure.score, 0);
+      assert.equal(riskBreakdown.bloodPressure.reason, REJECTION_REASONS.SUSPICIOUS_CHARS);
+    }
+  }
+];
+
+/**
+ * Data quality report test cases
+ */
+const dataQualityTests = [
+  {
+    name: 'Report lists each failing field with raw value, reason and severity',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients([
+        { patient_id: 'P2', blood_pressure: '150/', temperature: 'TEMP_ERROR', age: 40 },
+        { patient_id: 'P1', blood_pressure: '<b>120/80', temperature: 98.6, age: 40 },
+        { patient_id: 'P3', blood_pressure: '120/70', temperature: 98.6, age: 40 }
+      ]);
+      const results = analyzer.analyze();
+
+      assert.deepEqual(results.dataQualityIssues, ['P1', 'P2']);
+      assert.deepEqual(analyzer.getDataQualityReport(), [
+        { patientId: 'P1', field: 'blood_pressure', rawValue: '<b>120/80', reason: 'SUSPICIOUS_CHARS', severity: 'critical' },
+        { patientId: 'P2', field: 'blood_pressure', rawValue: '150/', reason: 'MISSING_DIASTOLIC', severity: 'error' },
+        { patientId: 'P2', field: 'temperature', rawValue: 'TEMP_ERROR', reason: 'NON_NUMERIC', severity: 'error' }
+      ]);
+    }
+  },
+  {
+    name: 'CSV export quotes raw values',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients({ patient_id: 'P1', blood_pressure: '120,80', temperature: 98.6, age: null });
+      analyzer.analyze();
+
+      assert.equal(analyzer.exportDataQualityReport('csv'), [
+        'patientId,field,rawValue,reason,severity',
+        'P1,blood_pressure,"120,80",MALFORMED,error',
+        'P1,age,,MISSING,error',
+        ''
+      ].join('\n'));
+    }
+  },
+  {
+    name: 'CSV export neutralizes spreadsheet formulas',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients({ patient_id: 'P1', blood_pressure: '=HYPERLINK("http://x")', temperature: '@SUM(A1)', age: '-40' });
+      analyzer.analyze();
+
+      const lines = analyzer.exportDataQualityReport('csv').split('\n');
+      assert.equal(lines[1], 'P1,blood_pressure,"\'=HYPERLINK(""http://x"")",SUSPICIOUS_CHARS,critical');
+      assert.match(lines[2], /^P1,temperature,'@SUM\(A1\),/);
+      assert.match(lines[3], /^P1,age,'-40,/);
+      assert.equal(toCsv([{ value: -3 }], ['value']), 'value\n-3\n');
+    }
+  }
+];
+
+/**
+ * Risk factor registry test cases
+ */
+const diabetesFactor = {
+  name: 'diabetes',
+  field: 'diabetic',
+  parse: (value) => (typeof value === 'boolean'
+    ? { isValid: true, reason: null, diabetic: value }
+    : { isValid: false, reason: value === null || value === undefined ? 'MISSING' : 'NON_BOOLEAN', diabetic: null }),
+  score: ({ diabetic }) => (diabetic
+    ? { score: 1, category: 'Diabetic', band: 'DIABETIC' }
+    : { score: 0, category: diabetic === false ? 'Not diabetic' : 'Unknown', band: diabetic === false ? 'NOT_DIABETIC' : 'UNKNOWN' }),
+  categories: [
+    { id: 'DIABETIC', label: 'Diabetic', score: 1 },
+    { id: 'NOT_DIABETIC', label: 'Not diabetic', score: 0 },
+    { id: 'UNKNOWN', label: 'Unknown', score: 0 }
+  ],
+  missingIsDataQualityIssue: false
+};
+
+const riskFactorTests = [
+  {
+    name: 'Built-in factors reproduce the policy breakdown',
+    run: () => {
+      assert.deepEqual(riskFactors.list().map(({ name, field }) => [name, field]), [
+        ['bloodPressure', 'blood_pressure'], ['temperature', 'temperature'], ['age', 'age']
+      ]);
+
+      const analyzer = new RiskAnalyzer();
+      const patient = { patient_id: 'P1', blood_pressure: '135/85', temperature: '38.5 °C', age: 70 };
+      analyzer.addPatients([patient]);
+      analyzer.analyze();
+
+      const { riskBreakdown, totalRiskScore } = analyzer.getPatientAnalysis('P1');
+      assert.deepEqual(riskBreakdown.bloodPressure, analyzer.getBloodPressureRisk(patient.blood_pressure));
+      assert.deepEqual(riskBreakdown.temperature, analyzer.getTemperatureRisk(patient.temperature));
+      assert.deepEqual(riskBreakdown.age, analyzer.getAgeRisk(patient.age));
+      assert.equal(totalRiskScore, 7);
+      assert.deepEqual(analyzer.getSummary().riskFactors.bloodPressure, { 'Stage 2': 0, 'Stage 1': 1, Elevated: 0, Normal: 0, 'Invalid/Missing': 0 });
+    }
+  },
+  {
+    name: 'A registered factor is scored, summarized and exported',
+    run: () => {
+      const factors = new RiskFactorRegistry([...BUILT_IN_FACTORS, diabetesFactor]);
+      const analyzer = new RiskAnalyzer({ factors });
+      analyzer.addPatients([
+        { patient_id: 'P1', blood_pressure: '125/75', temperature: 98.6, age: 50, diabetic: true },
+        { patient_id: 'P2', blood_pressure: '125/75', temperature: 98.6, age: 50 },
+        { patient_id: 'P3', blood_pressure: '125/75', temperature: 98.6, age: 50, diabetic: 'yes' }
+      ]);
+      const results = analyzer.analyze();
+
+      assert.deepEqual(results.highRiskPatients, ['P1']);
+      assert.deepEqual(results.dataQualityIssues, ['P3']);
+      assert.deepEqual(analyzer.getDataQualityReport().map(({ field, reason }) => [field, reason]), [['diabetic', 'NON_BOOLEAN']]);
+      assert.deepEqual(analyzer.getPatientAnalysis('P1').riskBreakdown.diabetes, { score: 1, category: 'Diabetic', reason: null });
+      assert.deepEqual(analyzer.getSummary().riskFactors.diabetes, { Diabetic: 1, 'Not diabetic': 0, Unknown: 2 });
+      assert.match(exportCsv(analyzer).split('\n')[0], /diabetesScore,diabetesCategory,diabetesReason/);
+
+      assert.equal(new RiskAnalyzer().getSummary().riskFactors.diabetes, undefined);
+    }
+  },
+  {
+    name: 'Each factor is parsed once per patient analyzed',
+    run: () => {
+      let parses = 0;
+      const countedFactor = { ...diabetesFactor, parse: (value, patient) => { parses++; return diabetesFactor.parse(value, patient); } };
+      const analyzer = new RiskAnalyzer({ factors: new RiskFactorRegistry([...BUILT_IN_FACTORS, countedFactor]) });
+      analyzer.addPatients([
+        { patient_id: 'P1', blood_pressure: '125/75', temperature: 98.6, age: 50, diabetic: true },
+        { patient_id: 'P2', blood_pressure: '125/75', temperature: 98.6, age: 50, diabetic: 'yes' }
+      ]);
+      analyzer.analyze();
+      assert.equal(parses, 2);
+
+      parses = 0;
+      analyzer.getPatientTrace('P1');
+      assert.equal(parses, 1);
+    }
+  },
+  {
+    name: 'Registry rejects malformed and duplicate factors',
+    run: () => {
+      const factors = new RiskFactorRegistry(BUILT_IN_FACTORS);
+      assert.throws(() => factors.register({ ...diabetesFactor, score: 1, categories: [] }), /score must be a function; categories must be/);
+      assert.throws(() => factors.register({ ...BUILT_IN_FACTORS[0] }), /"bloodPressure" is already registered/);
+      assert.equal(factors.unregister('age'), true);
+      assert.equal(factors.get('age'), null);
+    }
+  }
+];
+
+/**
+ * Exporter test cases
+ */
+function analyzedSample() {
+  const analyzer = new RiskAnalyzer();
+  analyzer.addPatients([
+    { patient_id: 'P1', name: 'Ann <script>alert(1)</script>', blood_pressure: '150/95', temperature: 101.2, age: 70 },
+    { patient_id: 'P2', name: 'Bo, Jr.', blood_pressure: 'INVALID', temperature: 98.6, age: 30 }
+  ]);
+  analyzer.analyze();
+  return analyzer;
+}
+
+const exporterTests = [
+  {
+    name: 'CSV has a column per factor score, category and reason',
+    run: () => {
+      const [header, first, second] = exportCsv(analyzedSample()).trim().split('\n');
+      assert.match(header, /^patientId,name,bloodPressure,temperature,age,bloodPressureScore,bloodPressureCategory,bloodPressureReason,/);
+      assert.match(first, /^P1,.*,4,Stage 2,,/);
+      assert.match(second, /^P2,"Bo, Jr\.",INVALID,.*NON_NUMERIC/);
+    }
+  },
+  {
+    name: 'NDJSON has one parseable row per patient',
+    run: () => {
+      const rows = exportNdjson(analyzedSample()).trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(rows.map(row => [row.patientId, row.totalRiskScore, row.isHighRisk]), [['P1', 8, true], ['P2', 1, false]]);
+    }
+  },
+  {
+    name: 'HTML report is escaped and includes the data quality section',
+    run: () => {
+      const html = exportHtml(analyzedSample());
+      assert.ok(!html.includes('<script>alert(1)'));
+      assert.match(html, /Ann &lt;script&gt;/);
+      assert.match(html, /<h2>Data Quality Findings<\/h2>\s*<table/);
+      assert.match(html, /MISSING|NON_NUMERIC/);
+    }
+  }
+];
+
+/**
+ * FHIR interop test cases
+ */
+function observation(id, subject, code, valueQuantity, effectiveDateTime, extra = {}) {
+  return {
+    resource: {
+      resourceType: 'Observation',
+      id,
+      status: 'final',
+      subject: { reference: subject },
+      code: { coding: [{ system: LOINC_SYSTEM, code }] },
+      effectiveDateTime,
+      ...(valueQuantity ? { valueQuantity } : {}),
+      ...extra
+    }
+  };
+}
+
+const fhirBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: { resourceType: 'Patient', id: 'a1', identifier: [{ value: 'MRN-1' }], name: [{ given: ['Ada'], family: 'Lane' }], birthDate: '1950-06-15' } },
+    { resource: { resourceType: 'Patient', id: 'b2', birthDate: '1990-01-01' } },
+    observation('t-old', 'Patient/a1', '8310-5', { value: 37.0, code: 'Cel' }, '2024-01-01T08:00:00Z'),
+    observation('t-new', 'Patient/a1', '8310-5', { value: 38.5, code: 'Cel' }, '2024-01-02T08:00:00Z'),
+    observation('bp', 'Patient/a1', '85354-9', null, '2024-01-02T08:00:00Z', {
+      component: [
+        { code: { coding: [{ system: LOINC_SYSTEM, code: '8480-6' }] }, valueQuantity: { value: 150, code: 'mm[Hg]' } },
+        { code: { coding: [{ system: LOINC_SYSTEM, code: '8462-4' }] }, valueQuantity: { value: 95, code: 'mm[Hg]' } }
+      ]
+    }),
+    observation('sys-only', 'Patient/b2', '8480-6', { value: 118, code: 'mm[Hg]' }, '2024-01-02T08:00:00Z'),
+    observation('pulse', 'Patient/b2', '8867-4', { value: 80, code: '/min' }, '2024-01-02T08:00:00Z'),
+    observation('orphan', 'Patient/zz', '8310-5', { value: 99, code: '[degF]' }, '2024-01-02T08:00:00Z'),
+    { resource: { resourceType: 'Encounter', id: 'enc-1' } }
+  ]
+};
+
+const fhirTests = [
+  {
+    name: 'Bundle maps to analyzer patients using the latest observation per code',
+    run: () => {
+      const { patients } = importFhirBundle(fhirBundle, { asOf: new Date('2024-06-01T00:00:00Z') });
+
+      assert.deepEqual(patients, [
+        { patient_id: 'MRN-1', name: 'Ada Lane', age: 73, gender: null, blood_pressure: '150/95', temperature: 101.3, fhir_reference: 'Patient/a1' },
+        { patient_id: 'b2', name: null, age: 34, gender: null, blood_pressure: '118/', temperature: null, fhir_reference: 'Patient/b2' }
+      ]);
+    }
+  },
+  {
+    name: 'Unmappable resources are reported with a reason',
+    run: () => {
+      const { unmapped } = importFhirBundle(fhirBundle);
+
+      assert.deepEqual(unmapped.map(({ id, reason }) => `${id}:${reason}`).sort(), [
+        'enc-1:UNSUPPORTED_RESOURCE',
+        'orphan:UNKNOWN_SUBJECT',
+        'pulse:UNKNOWN_CODE'
+      ]);
+    }
+  },
+  {
+    name: 'Results export as RiskAssessment resources',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients(importFhirBundle(fhirBundle).patients);
+      analyzer.analyze();
+
+      const bundle = toFhirRiskAssessments(analyzer);
+      const [ada, b2] = bundle.entry.map(entry => entry.resource);
+      assert.equal(ada.resourceType, 'RiskAssessment');
+      assert.equal(ada.subject.reference, 'Patient/a1');
+      assert.equal(ada.prediction[0].qualitativeRisk.coding[0].code, 'high');
+      assert.equal(b2.status, 'preliminary');
+      for (const entry of bundle.entry) {
+        assert.match(entry.fullUrl, /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        assert.equal(entry.fullUrl, `urn:uuid:${entry.resource.id}`);
+      }
+    }
+  },
+  {
+    name: 'Patient IDs that are not valid FHIR ids are referenced by identifier',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients([
+        { patient_id: 'PAT_001', blood_pressure: '120/80', temperature: 98.6, age: 40 },
+        { patient_id: 'ward 4 bed 2', blood_pressure: '120/80', temperature: 98.6, age: 40 },
+        { patient_id: 'DEMO-2.b', blood_pressure: '120/80', temperature: 98.6, age: 40 }
+      ]);
+      analyzer.analyze();
+
+      const [underscore, spaces, valid] = toFhirRiskAssessments(analyzer).entry.map(entry => entry.resource);
+      assert.deepEqual(underscore.subject, { type: 'Patient', identifier: { value: 'PAT_001' } });
+      assert.deepEqual(spaces.subject, { type: 'Patient', identifier: { value: 'ward 4 bed 2' } });
+      assert.deepEqual(valid.subject, { reference: 'Patient/DEMO-2.b' });
+      for (const resource of [underscore, spaces, valid]) {
+        assert.match(resource.id, /^[A-Za-z0-9\-.]{1,64}$/);
+      }
+    }
+  }
+];
+
+/**
+ * HL7 v2 test cases
+ */
+const hl7Messages = [
+  String.raw`MSH|^~\&|MONITOR|ICU|EHR|HOSP|20240601083000||ORU^R01|MSG001|P|2.5`,
+  String.raw`PID|1||MRN-7^^^HOSP^MR~ALT-7^^^OTHER||O\X27\Brien^Pat||19500615|F`,
+  String.raw`OBR|1|||85353-1^Vital signs^LN`,
+  String.raw`OBX|1|NM|8480-6^Systolic BP^LN||150|mm[Hg]|||||F|||20240601080000`,
+  String.raw`OBX|2|NM|8462-4^Diastolic BP^LN||95|mm[Hg]|||||F|||20240601080000`,
+  String.raw`OBX|3|NM|8310-5^Body temperature^LN||38.5|Cel|||||F|||20240601080000`,
+  String.raw`OBX|4|NM|8867-4^Heart rate^LN||88|/min|||||F|||20240601080000`,
+  String.raw`MSH|^~\&|MONITOR|ICU|EHR|HOSP|20240601093000||ORU^R01|MSG002|P|2.5`,
+  String.raw`PID|1||MRN-7^^^HOSP^MR`,
+  String.raw`OBX|1|ST|85354-9^BP panel^LN||120/80|mm[Hg]|||||F|||20240601070000`,
+  String.raw`OBX|2|NM|8310-5^Body temperature^LN||37|Cel|||||F|||20240601090000`,
+  String.raw`OBX|3|NM|8310-5^Body temperature^LN||41|Cel|||||X|||20240601091500`,
+  String.raw`MSH|^~\&|REG|ICU|EHR|HOSP|20240601093000||ADT^A01|MSG003|P|2.5`,
+  String.raw`PID|1||MRN-8`
+].join('\r');
+
+const hl7Tests = [
+  {
+    name: 'ORU^R01 messages map to analyzer patients using the latest value per code',
+    run: () => {
+      const { patients } = importHl7Messages(hl7Messages, { asOf: new Date('2024-06-01T00:00:00Z') });
+
+      assert.deepEqual(patients, [
+        { patient_id: 'MRN-7', name: "Pat O'Brien", age: 73, gender: 'F', blood_pressure: '150/95', temperature: 98.6 }
+      ]);
+    }
+  },
+  {
+    name: 'Delimiters and escape sequences come from MSH-1 and MSH-2',
+    run: () => {
+      const message = [
+        String.raw`MSH#*!/$#MONITOR#ICU#EHR#HOSP#20240601083000##ORU*R01#MSG009#P#2.5`,
+        String.raw`PID#1##MRN/F/9!MRN-ALT##Lane*Ada`,
+        String.raw`OBX#1#NM#8310-5*Body temperature*LN##101.3#[degF]`
+      ].join('\n');
+
+      const { patients, findings } = importHl7Messages(message);
+      assert.deepEqual(findings, []);
+      assert.equal(patients[0].patient_id, 'MRN#9');
+      assert.equal(patients[0].name, 'Ada Lane');
+      assert.equal(patients[0].temperature, 101.3);
+    }
+  },
+  {
+    name: 'Unknown observation codes and message types become warning findings',
+    run: () => {
+      const { findings } = importHl7Messages(hl7Messages);
+
+      assert.deepEqual(findings, [
+        { patientId: 'MRN-7', field: 'observation', rawValue: '8867-4^Heart rate^LN 88 /min', reason: 'UNKNOWN_OBSERVATION_CODE', severity: 'warning' },
+        { patientId: null, field: 'message', rawValue: 'ADT^A01', reason: 'UNSUPPORTED_MESSAGE', severity: 'warning' }
+      ]);
+    }
+  },
+  {
+    name: 'Import findings are reported without flagging the patient',
+    run: () => {
+      const { patients, findings } = importHl7Messages(hl7Messages);
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients(patients);
+      analyzer.addFindings(findings);
+      const results = analyzer.analyze();
+
+      assert.deepEqual(results.dataQualityIssues, []);
+      assert.deepEqual(analyzer.getDataQualityReport().map(finding => finding.reason).sort(), [
+        'UNKNOWN_OBSERVATION_CODE',
+        'UNSUPPORTED_MESSAGE'
+      ]);
+    }
+  }
+];
+
+/**
+ * Rate limiter test cases, on a fake clock
+ */
+function fakeClock() {
+  const clock = { time: 0, slept: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.slept.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+const rateLimiterTests = [
+  {
+    name: 'Token bucket spends the burst, then spaces requests at the configured rate',
+    run: async () => {
+      const clock = fakeClock();
+      const limiter = new RateLimiter({ requestsPerSecond: 4, burst: 2, now: clock.now, sleep: clock.sleep });
+
+      await Promise.all([1, 2, 3, 4].map(() => limiter.acquire()));
+      assert.deepEqual(clock.slept, [250, 250]);
+    }
+  },
+  {
+    name: 'Retry-After pauses every request',
+    run: async () => {
+      const clock = fakeClock();
+      const limiter = new RateLimiter({ requestsPerSecond: 10, now: clock.now, sleep: clock.sleep });
+
+      const pause = limiter.observe({ status: 429, headers: new Headers({ 'Retry-After': '3' }) });
+      await limiter.acquire();
+      assert.equal(pause, 3000);
+      assert.deepEqual(clock.slept, [3000]);
+
+      assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:05 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')), 5000);
+      assert.equal(parseRetryAfter('soon'), null);
+    }
+  },
+  {
+    name: 'Rate-limit headers lower the rate, or pause when nothing remains',
+    run: async () => {
+      const clock = fakeClock();
+      const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 1, now: clock.now, sleep: clock.sleep });
+
+      limiter.observe({ status: 200, headers: new Headers({ 'X-RateLimit-Remaining': '5', 'X-RateLimit-Reset': '10' }) });
+      await limiter.acquire();
+      await limiter.acquire();
+      assert.deepEqual(clock.slept, [2000]);
+
+      const pause = limiter.observe({ status: 200, headers: new Headers({ 'RateLimit-Remaining': '0', 'RateLimit-Reset': '30' }) });
+      assert.equal(pause, 30000);
+    }
+  },
+  {
+    name: 'Concurrent page fetches yield pages in order through 429s',
+    run: () => withMockApi({ patientCount: 100, chaos: { seed: 3, rateLimitRate: 0.2, retryAfterSeconds: 0 } }, async ({ mock }) => {
+      const apiClient = new ApiClient({
+        baseURL: mock.baseURL,
+        apiKey: 'test-key',
+        concurrency: 4,
+        rateLimiter: new RateLimiter({ requestsPerSecond: 50 })
+      });
+
+      const pages = [];
+      for await (const { page } of apiClient.iteratePages()) {
+        pages.push(page);
+      }
+      const patients = await apiClient.getAllPatients();
+
+      assert.deepEqual(pages, [1, 2, 3, 4, 5]);
+      assert.deepEqual(patients.map(patient => patient.patient_id), mock.patients.map(patient => patient.patient_id));
+    })
+  }
+];
+
+/**
+ * API client whose every request answers with `body` (a stand-in cassette)
+ */
+function stubbedApiClient(body, options = {}) {
+  const cassette = { fetch: async () => new Response(JSON.stringify(body), { status: 200 }) };
+  return new ApiClient({ baseURL: 'http://stub.invalid/api', apiKey: 'test-key', cassette, ...options });
+}
+
+/**
+ * Response schema test cases
+ */
+const schemaTests = [
+  {
+    name: 'Well-formed responses pass through unchanged',
+    run: () => {
+      const page = {
+        data: [{ patient_id: 'DEMO001', age: 45, blood_pressure: '120/80', extra: true }],
+        pagination: { page: 1, limit: 20, total: 1, totalPages: 1, hasNext: false }
+      };
+      assert.equal(checkResponse('patientsPage', page), page);
+      assert.deepEqual(checkResponse('patientsPage', { data: [] }), { data: [] });
+    }
+  },
+  {
+    name: 'Strict mode names every mismatch',
+    run: async () => {
+      assert.throws(
+        () => checkResponse('patientsPage', { data: [{ patient_id: 'A' }, { name: 'no id' }], pagination: { totalPages: '3' } }),
+        (error) => {
+          assert.ok(error instanceof SchemaValidationError);
+          assert.deepEqual(error.issues.map(({ path }) => path), ['$.data[1].patient_id', '$.pagination.totalPages']);
+          assert.match(error.message, /\$\.pagination\.totalPages expected integer, got string/);
+          return true;
+        }
+      );
+
+      await assert.rejects(stubbedApiClient({ data: 'none' }).getAllPatients(), {
+        name: 'SchemaValidationError',
+        schema: 'patientsPage',
+        message: /\$\.data expected array, got string/
+      });
+      await assert.rejects(stubbedApiClient({ success: true }).submitAssessment({}), { name: 'SchemaValidationError' });
+    }
+  },
+  {
+    name: 'A malformed submit response still records the attempt',
+    run: () => withTempDir(async dir => {
+      const apiClient = stubbedApiClient({ success: true, results: { score: '75%', attempt_number: 2, remaining_attempts: 1 } });
+      const ledger = new SubmissionLedger({ path: path.join(dir, 'ledger.json'), reserve: 1 });
+      const assessment = new HealthcareAssessment({ apiClient, ledger, checkpoint: null, metricsPath: null });
+      const results = { highRiskPatients: ['P1'], feverPatients: [], dataQualityIssues: [] };
+
+      await assert.rejects(assessment.submitResults(results), { name: 'SchemaValidationError' });
+      const [entry] = await ledger.load();
+      assert.deepEqual(entry.payload.high_risk_patients, ['P1']);
+      assert.equal(entry.attemptNumber, 2);
+      assert.equal(entry.remainingAttempts, 1);
+
+      await assert.rejects(assessment.submitResults(results), { reason: 'DUPLICATE_PAYLOAD' });
+      await assert.rejects(assessment.submitResults({ ...results, feverPatients: ['P1'] }), { reason: 'ATTEMPTS_RESERVE' });
+    })
+  },
+  {
+    name: 'Lenient mode logs and normalizes',
+    run: async () => {
+      const page = checkResponse('patientsPage', {
+        data: [{ patient_id: 'A' }, { name: 'no id' }, 'junk'],
+        pagination: { page: 1, totalPages: '3', hasNext: false }
+      }, { mode: SCHEMA_MODES.LENIENT });
+      assert.deepEqual(page, { data: [{ patient_id: 'A' }], pagination: { page: 1, hasNext: false } });
+
+      const apiClient = stubbedApiClient({ data: 'none' }, { schemaMode: SCHEMA_MODES.LENIENT });
+      assert.deepEqual(await apiClient.getAllPatients(), []);
+
+      const submission = checkResponse('submitAssessment', {
+        results: { score: 75, percentage: 75, status: 'PASS', breakdown: { fever: { score: 25, max: 25, correct: 5, submitted: 5 } } }
+      }, { mode: SCHEMA_MODES.LENIENT });
+      assert.equal(submission.results.attempt_number, null);
+      assert.equal(submission.results.breakdown.high_risk, null);
+      new HealthcareAssessment({ apiClient, checkpoint: null }).displayResults(submission);
+    }
+  }
+];
+
+/**
+ * Pagination integrity test cases
+ */
+function apiPage(page, ids, { limit = 2, total = 6, totalPages = 3 } = {}, fields = {}) {
+  return {
+    page,
+    patients: ids.map(id => ({ patient_id: id, age: 40, ...fields[id] })),
+    pagination: { page, limit, total, totalPages, hasNext: page < totalPages }
+  };
+}
+
+const paginationIntegrityTests = [
+  {
+    name: 'Report covers short pages, gaps, duplicates and a total mismatch',
+    run: () => {
+      const integrity = new PaginationIntegrity({ limit: 2 });
+      integrity.addPage(apiPage(1, ['P1']));
+      const fresh = integrity.addPage(apiPage(3, ['P1', 'P5']));
+
+      assert.deepEqual(fresh.map(patient => patient.patient_id), ['P5']);
+      const report = integrity.getReport();
+      assert.equal(report.ok, false);
+      assert.deepEqual(report.gaps, [2]);
+      assert.deepEqual(report.received, { pages: 2, records: 3, uniquePatients: 2 });
+      assert.deepEqual(report.duplicates, [{ patientId: 'P1', pages: [1, 3], conflicting: false, keptFromPage: 1 }]);
+      assert.deepEqual(report.anomalies.map(({ issue }) => issue), [INTEGRITY_ISSUES.SHORT_PAGE, INTEGRITY_ISSUES.TOTAL_MISMATCH]);
+    }
+  },
+  {
+    name: 'Merge policies pick the copy of a conflicting duplicate to keep',
+    run: () => {
+      const pages = [
+        apiPage(1, ['P1', 'P2'], {}, { P2: { temperature: null } }),
+        apiPage(2, ['P2', 'P3'], {}, { P2: { temperature: 99.1 } }),
+        apiPage(3, ['P2', 'P4'], {}, { P2: { temperature: '' } })
+      ];
+      const keptTemperature = (mergePolicy) => {
+        const integrity = new PaginationIntegrity({ mergePolicy, limit: 2 });
+        pages.forEach(page => integrity.addPage(page));
+        const patients = integrity.reconcile();
+        assert.deepEqual(patients.map(patient => patient.patient_id), ['P1', 'P2', 'P3', 'P4']);
+        return { temperature: patients[1].temperature, findings: integrity.getFindings() };
+      };
+
+      assert.equal(keptTemperature(MERGE_POLICIES.FIRST_WINS).temperature, null);
+      assert.equal(keptTemperature(MERGE_POLICIES.LAST_WINS).temperature, '');
+      assert.equal(keptTemperature(MERGE_POLICIES.MOST_COMPLETE).temperature, 99.1);
+      assert.deepEqual(keptTemperature(MERGE_POLICIES.FIRST_WINS).findings, []);
+
+      const flagged = keptTemperature(MERGE_POLICIES.FLAG);
+      assert.equal(flagged.temperature, null);
+      assert.deepEqual(flagged.findings.map(({ patientId, reason }) => [patientId, reason]), [['P2', 'CONFLICTING_RECORDS']]);
+      assert.throws(() => new PaginationIntegrity({ mergePolicy: 'newest' }), /Unknown merge policy "newest"/);
+    }
+  },
+  {
+    name: 'Duplicated records across pages are scored once',
+    run: () => withTempDir(dir => withMockApi({ chaos: { seed: 3, duplicateRate: 1 } }, async ({ mock, apiClient }) => {
+      const ledger = new SubmissionLedger({ path: path.join(dir, 'ledger.json') });
+      const assessment = new HealthcareAssessment({ apiClient, ledger, checkpoint: null, metricsPath: null });
+      const submission = await assessment.runAssessment();
+
+      const report = assessment.getIntegrityReport();
+      assert.equal(report.duplicates.length, 2);
+      assert.equal(report.received.uniquePatients, mock.patients.length);
+      assert.equal(assessment.getSummary().totalPatients, mock.patients.length);
+      assert.equal(submission.results.percentage, 100);
+    }))
+  },
+  {
+    name: 'Streaming refuses merge policies that need every page',
+    run: () => withMockApi({ chaos: { seed: 3, duplicateRate: 1 } }, async ({ mock, apiClient }) => {
+      for (const mergePolicy of [MERGE_POLICIES.LAST_WINS, MERGE_POLICIES.MOST_COMPLETE]) {
+        const assessment = new HealthcareAssessment({ apiClient, mergePolicy, checkpoint: null, metricsPath: null });
+        await assert.rejects(assessment.streamPatients(), new RegExp(`Merge policy "${mergePolicy}" .* cannot be used when streaming`));
+      }
+      assert.equal(mock.requestLog.length, 0);
+
+      const flagged = new HealthcareAssessment({ apiClient, mergePolicy: MERGE_POLICIES.FLAG, checkpoint: null, metricsPath: null });
+      await flagged.streamPatients();
+      assert.equal(flagged.getSummary().totalPatients, mock.patients.length);
+    })
+  }
+];
+
+/**
+ * Request layer resilience test cases
+ */
+const resilienceTests = [
+  {
+    name: 'Retries only retryable errors, with full-jitter delays',
+    run: async () => {
+      let calls = 0;
+      const result = await retryWithBackoff(async (attempt) => {
+        calls++;
+        if (attempt < 3) throw new ServerError(503);
+        return 'ok';
+      }, 3, 10, { random: () => 0.5 });
+      assert.equal(result, 'ok');
+      assert.equal(calls, 3);
+
+      calls = 0;
+      await assert.rejects(retryWithBackoff(async () => {
+        calls++;
+        throw new ClientError(400, 'Bad Request');
+      }, 3, 10), { name: 'ClientError' });
+      assert.equal(calls, 1);
+
+      calls = 0;
+      await assert.rejects(retryWithBackoff(async () => {
+        calls++;
+        throw new Error('programming error');
+      }, 3, 10), /programming error/);
+      assert.equal(calls, 1);
+    }
+  },
+  {
+    name: 'Circuit breaker opens after repeated failures and closes on a successful trial',
+    run: () => {
+      const clock = fakeClock();
+      const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 1000, now: clock.now });
+
+      breaker.beforeRequest();
+      breaker.recordFailure(new ClientError(404, 'Not Found'));
+      breaker.recordFailure(new ServerError(500));
+      assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+      breaker.recordFailure(new TimeoutError(50));
+      assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+      assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+
+      clock.time += 1000;
+      breaker.beforeRequest();
+      assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+      assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+      breaker.recordSuccess();
+      assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    }
+  },
+  {
+    name: 'A slow response fails with TimeoutError after the retries',
+    run: () => withMockApi({ chaos: { latencyMs: 200 } }, async ({ mock }) => {
+      const apiClient = new ApiClient({ baseURL: mock.baseURL, apiKey: 'test-key', timeout: 20, retryDelay: 10 });
+
+      await assert.rejects(apiClient.getPatients(1), { name: 'TimeoutError', timeout: 20 });
+      assert.equal(mock.requestLog.length, 3);
+    })
+  },
+  {
+    name: 'A submission is retried after a 429 but never after a timeout or 5xx',
+    run: async () => {
+      await withMockApi({ chaos: { latencyMs: 200 } }, async ({ mock }) => {
+        const apiClient = new ApiClient({ baseURL: mock.baseURL, apiKey: 'test-key', timeout: 20, retryDelay: 10 });
+
+        await assert.rejects(apiClient.submitAssessment({ highRiskPatients: ['DEMO003'] }), { name: 'TimeoutError' });
+        assert.equal(mock.requestLog.length, 1);
+      });
+
+      const flaky = scriptedApiClient([[503, { error: 'unavailable' }]]);
+      await assert.rejects(flaky.submitAssessment({}), { name: 'ServerError' });
+
+      const submission = { success: true, results: { score: 50, percentage: 50, status: 'FAIL', attempt_number: 1, remaining_attempts: 2 } };
+      const limited = scriptedApiClient([[429, { error: 'slow down' }, { 'Retry-After': '0' }], [200, submission]]);
+      assert.equal((await limited.submitAssessment({})).results.score, 50);
+      assert.equal(limited.metrics.total('http_requests_total'), 2);
+    }
+  },
+  {
+    name: 'Aborting the signal cancels a run in progress',
+    run: () => withMockApi({ chaos: { latencyMs: 200 } }, async ({ apiClient }) => {
+      const assessment = new HealthcareAssessment({ apiClient, checkpoint: null, metricsPath: null });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new Error('cancelled by test')), 20);
+
+      await assert.rejects(assessment.runAssessment({ signal: controller.signal }), /cancelled by test/);
+      await assert.rejects(assessment.runAssessment({ timeout: 20 }), { name: 'TimeoutError', message: /Assessment timed out/ });
+    })
+  }
+];
+
+/**
+ * Scoring policy test cases
+ */
+const policyTests = [
+  {
+    name: 'Shipped policy is valid and versioned',
+    run: () => {
+      assert.deepEqual(validatePolicy(POLICY), []);
+      assert.match(POLICY.version, /\S/);
+    }
+  },
+  {
+    name: 'Validation reports every broken rule',
+    run: () => {
+      const broken = structuredClone(POLICY);
+      delete broken.version;
+      broken.factors.age.default = 'MISSING_BAND';
+      broken.factors.temperature.bands[0].when.temperature = { min: 105, max: 100 };
+      broken.factors.bloodPressure.bands[0].when.pulse = { min: 100 };
+
+      const errors = validatePolicy(broken);
+      assert.equal(errors.length, 4, errors.join('; '));
+    }
+  },
+  {
+    name: 'Exclusive edges change classification at the boundary',
+    run: () => {
+      const temperature = structuredClone(POLICY.factors.temperature);
+      assert.equal(classifyFactor(temperature, { temperature: 99.6 }).id, 'LOW_FEVER');
+
+      temperature.bands[1].when.temperature.minInclusive = false;
+      assert.equal(classifyFactor(temperature, { temperature: 99.6 }).id, 'NORMAL');
+      assert.equal(classifyFactor(temperature, null).id, 'INVALID');
+    }
+  },
+  {
+    name: 'Loading an invalid policy file fails with the file path',
+    run: () => withTempDir(async (dir) => {
+      const file = path.join(dir, 'policy.json');
+      await writeFile(file, JSON.stringify({ version: 'bad', factors: {} }));
+
+      assert.throws(() => loadPolicy(file), /Invalid scoring policy .*policy\.json/);
+    })
+  }
+];
+
+/**
+ * NEWS2 test cases
+ */
+const wardPatient = {
+  patient_id: 'W1',
+  respiratory_rate: 22,
+  oxygen_saturation: '95%',
+  supplemental_oxygen: 'air',
+  blood_pressure: '105/70',
+  heart_rate: '95 bpm',
+  consciousness: 'A',
+  temperature: 37.0
+};
+
+const news2Tests = [
+  {
+    name: 'Parameters score by the NEWS2 chart and set the response band',
+    run: () => {
+      const medium = assessNews2(wardPatient);
+      assert.equal(medium.score, 5);
+      assert.equal(medium.response, NEWS2_RESPONSES.MEDIUM);
+      assert.equal(medium.isHighRisk, true);
+
+      const stable = { ...wardPatient, respiratory_rate: 16, oxygen_saturation: 97, blood_pressure: '120/80', heart_rate: 70 };
+      assert.deepEqual(assessNews2(stable), {
+        score: 0, response: NEWS2_RESPONSES.LOW, singleParameterAlert: false, triggeredParameters: [], isHighRisk: false
+      });
+
+      const confused = assessNews2({ ...stable, consciousness: 'new confusion' });
+      assert.equal(confused.response, NEWS2_RESPONSES.LOW_MEDIUM);
+      assert.deepEqual(confused.triggeredParameters, ['consciousness']);
+
+      assert.equal(assessNews2({ ...wardPatient, supplemental_oxygen: true, temperature: '39.5 C' }).response, NEWS2_RESPONSES.HIGH);
+    }
+  },
+  {
+    name: 'SpO2 scale 2 scores high saturations only on oxygen; bare temperatures read as °C',
+    run: () => {
+      const analyzer = new RiskAnalyzer({ model: 'news2' });
+      const spo2 = (patient) => analyzer.describePatient({ ...wardPatient, ...patient }).riskBreakdown.oxygenSaturation;
+
+      assert.equal(spo2({ oxygen_saturation: 97 }).score, 0);
+      assert.equal(spo2({ oxygen_saturation: 97, spo2_scale: 2 }).score, 0);
+      assert.equal(spo2({ oxygen_saturation: 97, spo2_scale: 2, supplemental_oxygen: 'O2' }).score, 3);
+      assert.equal(spo2({ oxygen_saturation: 86, spo2_scale: '2' }).score, 1);
+      assert.equal(spo2({ oxygen_saturation: 97, spo2_scale: 3 }).reason, REJECTION_REASONS.MALFORMED);
+
+      const temperature = (value) => analyzer.describePatient({ ...wardPatient, temperature: value }).riskBreakdown.temperature;
+      assert.deepEqual(temperature(38.5), {
+        score: 1, category: 'Score 1', celsius: 38.5, unit: '°C', sourceUnit: null, converted: false, reason: null
+      });
+      assert.equal(temperature(95).celsius, 35);
+      assert.equal(temperature(95).score, 3);
+    }
+  },
+  {
+    name: 'Analyzer in NEWS2 mode flags missing inputs and counts response bands',
+    run: () => {
+      const analyzer = new RiskAnalyzer({ model: 'news2' });
+      analyzer.addPatients([
+        wardPatient,
+        { ...wardPatient, patient_id: 'W2', respiratory_rate: 16, heart_rate: 70, blood_pressure: '120/80', consciousness: 'V' },
+        { ...wardPatient, patient_id: 'W3', consciousness: undefined },
+        { patient_id: 'W4', blood_pressure: '150/95', temperature: 101.2, age: 70 }
+      ]);
+      const results = analyzer.analyze();
+
+      assert.deepEqual(results.highRiskPatients, ['W1']);
+      assert.deepEqual(results.singleParameterAlerts, ['W2']);
+      assert.deepEqual(results.dataQualityIssues, ['W3', 'W4']);
+      assert.deepEqual(analyzer.getDataQualityReport().filter(({ patientId }) => patientId === 'W3').map(({ field, reason }) => [field, reason]),
+        [['consciousness', 'MISSING']]);
+      assert.deepEqual(analyzer.getSummary().news2, {
+        responses: { low: 0, 'low-medium': 1, medium: 1, high: 0 }, singleParameterAlertCount: 1
+      });
+      assert.equal(analyzer.getPatientAnalysis('W2').news2.response, NEWS2_RESPONSES.LOW_MEDIUM);
+    }
+  },
+  {
+    name: 'The rubric stays the default and NEWS2 results are never submitted',
+    run: async () => {
+      const rubric = new RiskAnalyzer();
+      assert.equal(rubric.model, 'rubric');
+      assert.equal(rubric.results.singleParameterAlerts, undefined);
+      assert.equal(rubric.getSummary().news2, undefined);
+      assert.throws(() => new RiskAnalyzer({ model: 'qsofa' }), /Unknown scoring model "qsofa"/);
+
+      const assessment = new HealthcareAssessment({ apiClient: stubbedApiClient({}), scoringModel: 'news2' });
+      await assert.rejects(assessment.submitResults({ highRiskPatients: [] }), /cannot be submitted/);
+
+      const summary = await runCliProcess(['summary', '--model', 'news2', '--json'], { input: JSON.stringify([wardPatient]) });
+      assert.equal(summary.code, EXIT_CODES.OK);
+      assert.equal(JSON.parse(summary.stdout).news2.responses.medium, 1);
+      assert.equal((await runCliProcess(['submit', '--model', 'news2'], { input: cliPatients })).code, EXIT_CODES.USAGE);
+    }
+  }
+];
+
+/**
+ * Decision trace test cases
+ */
+function tracedAnalyzer(patients, options) {
+  const analyzer = new RiskAnalyzer(options);
+  analyzer.addPatients(patients);
+  analyzer.analyze();
+  return analyzer;
+}
+
+const traceTests = [
+  {
+    name: 'Trace lists the rules checked in order and the input that drove the band',
+    run: () => {
+      const analyzer = tracedAnalyzer([{ patient_id: 'P1', blood_pressure: '125/85', temperature: 98.6, age: 50 }]);
+      const trace = analyzer.getPatientTrace('P1');
+      const bloodPressure = trace.factors.find(({ name }) => name === 'bloodPressure');
+
+      assert.deepEqual(bloodPressure.rules.map(({ id, matched }) => [id, matched]), [['STAGE_2', false], ['STAGE_1', true]]);
+      assert.deepEqual(bloodPressure.rules[1].conditions.map(({ input, value, range, holds }) => [input, value, range, holds]), [
+        ['systolic', 125, '≥ 130 and ≤ 139', false],
+        ['diastolic', 85, '≥ 80 and ≤ 89', true]
+      ]);
+      assert.deepEqual(bloodPressure.result, { score: 3, category: 'Stage 1', band: 'STAGE_1', drivenBy: ['diastolic'] });
+      assert.deepEqual(bloodPressure.parse.values, { systolic: 125, diastolic: 85 });
+      assert.equal(trace.total.score, 4);
+      assert.equal(trace.highRisk.reason, 'total risk score 4 meets ≥ 4');
+      assert.equal(trace.highRisk.listed, analyzer.results.highRiskPatients.includes('P1'));
+    }
+  },
+  {
+    name: 'Trace explains ambiguous units, data quality exclusions and near misses',
+    run: () => {
+      const analyzer = tracedAnalyzer([
+        { patient_id: 'P1', blood_pressure: '150/95', temperature: 38, age: 70 },
+        { patient_id: 'P2', blood_pressure: '110/70', temperature: 99.5, age: 30 }
+      ]);
+
+      const excluded = analyzer.getPatientTrace('P1');
+      const temperature = excluded.factors.find(({ name }) => name === 'temperature');
+      assert.equal(temperature.parse.reason, REJECTION_REASONS.AMBIGUOUS_UNIT);
+      assert.deepEqual(temperature.parse.readings.map(({ sourceUnit, band }) => [sourceUnit, band]), [[null, 'NORMAL'], ['°C', 'LOW_FEVER']]);
+      assert.equal(excluded.highRisk.reached, true);
+      assert.equal(excluded.highRisk.listed, false);
+      assert.match(excluded.highRisk.reason, /excluded for data quality issues in temperature/);
+
+      const nearMiss = analyzer.getPatientTrace('P2');
+      assert.equal(nearMiss.highRisk.reason, 'total risk score 2 does not meet ≥ 4 (2 short)');
+      assert.equal(nearMiss.fever.reason, 'temperature (°F) 99.5 does not meet ≥ 99.6 (0.1 short)');
+      assert.equal(analyzer.getPatientTrace('P9'), null);
+    }
+  },
+  {
+    name: 'Trace renders as text and JSON for both scoring models',
+    run: async () => {
+      const news2 = tracedAnalyzer([wardPatient], { model: 'news2' }).getPatientTrace('W1');
+      assert.equal(news2.news2.response, NEWS2_RESPONSES.MEDIUM);
+      assert.equal(news2.highRisk.threshold, '≥ 5');
+      assert.deepEqual(news2.factors.find(({ name }) => name === 'respiratoryRate').rules.at(-1).conditions[0].range, '> 20 and ≤ 24');
+      assert.match(formatTrace(news2), /NEWS2 response: medium/);
+
+      const text = await runCliProcess(['explain', 'P1', '--trace'], { input: cliPatients });
+      assert.equal(text.code, EXIT_CODES.OK);
+      assert.match(text.stdout, /rule STAGE_2 \(4\): systolic 150 ≥ 140 ✓ OR diastolic 95 ≥ 90 ✓ → matched/);
+      assert.match(text.stdout, /High risk: yes: total risk score 8 meets ≥ 4/);
+
+      const json = await runCliProcess(['explain', 'P3', '--trace', '--json'], { input: cliPatients });
+      assert.deepEqual(JSON.parse(json.stdout).dataQuality, { flagged: true, fields: ['blood_pressure'] });
+      assert.equal((await runCliProcess(['analyze', '--trace'], { input: cliPatients })).code, EXIT_CODES.USAGE);
+    }
+  }
+];
+
+/**
+ * Partial-data scoring test cases
+ */
+const partialPatients = [
+  { patient_id: 'P1', blood_pressure: '180/110', temperature: 'TEMP_ERROR', age: 30 },
+  { patient_id: 'P2', blood_pressure: 'INVALID', temperature: 98.6, age: 70 },
+  { patient_id: 'P3', blood_pressure: '110/70', temperature: 98.6, age: null },
+  { patient_id: 'P4', blood_pressure: '150/95', temperature: 101.2, age: 70 }
+];
+
+const partialScoringTests = [
+  {
+    name: 'Bounds span the scores the unusable factors could have had',
+    run: () => {
+      assert.deepEqual(scoreBounds(riskFactors.get('bloodPressure')), { min: 1, max: 4 });
+      assert.deepEqual(scoreBounds(diabetesFactor), { min: 0, max: 1 });
+
+      assert.deepEqual(calculateRiskBounds(partialPatients[0]), {
+        min: 5, max: 7, unknownFactors: [{ name: 'temperature', field: 'temperature', min: 0, max: 2 }]
+      });
+      assert.equal(classifyRiskBounds({ min: 5, max: 7 }), RISK_BOUND_STATUS.DEFINITE);
+      assert.equal(classifyRiskBounds({ min: 3, max: 6 }), RISK_BOUND_STATUS.POSSIBLE);
+      assert.equal(classifyRiskBounds({ min: 2, max: 3 }), RISK_BOUND_STATUS.NOT);
+      assert.equal(classifyRiskBounds({ min: 2, max: 3 }, { min: 0, max: 1 }), RISK_BOUND_STATUS.NOT);
+    }
+  },
+  {
+    name: 'Partial scoring labels data quality patients without changing the submitted lists',
+    run: () => {
+      const plain = new RiskAnalyzer();
+      plain.addPatients(partialPatients);
+      const expected = plain.analyze();
+
+      const analyzer = new RiskAnalyzer({ partialScoring: true });
+      analyzer.addPatients(partialPatients);
+      const results = analyzer.analyze();
+
+      assert.deepEqual(new ApiClient({ apiKey: 'x' }).buildPayload(results), new ApiClient({ apiKey: 'x' }).buildPayload(expected));
+      assert.deepEqual(results.partialHighRisk, { definite: ['P1'], possible: ['P2'] });
+      assert.deepEqual(analyzer.getSummary().partialScoring, { definite: 1, possible: 1, not: 1 });
+      assert.equal(analyzer.getPatientAnalysis('P1').riskBounds.label, 'definitely high risk');
+      assert.deepEqual(analyzer.getPatientAnalysis('P4').riskBounds, {
+        min: 8, max: 8, unknownFactors: [], status: RISK_BOUND_STATUS.DEFINITE, label: 'definitely high risk'
+      });
+      assert.equal(plain.getPatientAnalysis('P1').riskBounds, undefined);
+    }
+  }
+];
+
+const cohortPatients = [
+  { patient_id: 'S1', age: 67, blood_pressure: '150/95', temperature: '101.2' },
+  { patient_id: 'S2', age: 30, blood_pressure: '118/76', temperature: '98.6' },
+  { patient_id: 'S3', age: '', blood_pressure: '120/', temperature: '99.8' },
+  { patient_id: 'S4', age: 45, blood_pressure: '132/84', temperature: '100.4' }
+];
+
+const statisticsTests = [
+  {
+    name: 'Distributions interpolate percentiles and bin on round widths',
+    run: () => {
+      const distribution = describeDistribution([118, 150, 132]);
+      assert.deepEqual(
+        { min: distribution.min, max: distribution.max, mean: distribution.mean, median: distribution.median },
+        { min: 118, max: 150, mean: 133.33, median: 132 }
+      );
+      assert.deepEqual(distribution.percentiles, { p5: 119.4, p25: 125, p50: 132, p75: 141, p95: 148.2 });
+      assert.deepEqual(histogram([1, 3, 25]), [
+        { from: 0, to: 5, count: 2 }, { from: 5, to: 10, count: 0 }, { from: 10, to: 15, count: 0 },
+        { from: 15, to: 20, count: 0 }, { from: 20, to: 25, count: 0 }, { from: 25, to: 30, count: 1 }
+      ]);
+      assert.deepEqual(histogram([40, 40]), [{ from: 40, to: 41, count: 2 }]);
+      assert.equal(describeDistribution([]).median, null);
+    }
+  },
+  {
+    name: 'Distributions keep bounded bins and approximate percentiles from them',
+    run: () => {
+      const distribution = new Distribution({ maxBins: 16 });
+      for (let value = 0; value < 1000; value++) {
+        distribution.add(value);
+      }
+      assert.ok(distribution.bins.size <= 16);
+
+      const { count, min, max, mean, stdDev, median, percentiles, histogram: bins } = distribution.describe();
+      assert.deepEqual({ count, min, max, mean, stdDev }, { count: 1000, min: 0, max: 999, mean: 499.5, stdDev: 288.67 });
+      const binWidth = distribution.binSize / 100;
+      assert.ok(Math.abs(median - 499.5) <= binWidth);
+      assert.ok(Math.abs(percentiles.p95 - 949.05) <= binWidth);
+      assert.equal(bins.reduce((sum, bin) => sum + bin.count, 0), 1000);
+    }
+  },
+  {
+    name: 'Summary statistics break the cohort down by factor, outcome and field',
+    run: () => {
+      const analyzer = new RiskAnalyzer();
+      analyzer.addPatients(cohortPatients);
+      analyzer.analyze();
+      const { statistics } = analyzer.getSummary();
+
+      assert.equal(statistics.patients, 4);
+      assert.deepEqual(Object.keys(statistics.distributions), ['systolic', 'diastolic', 'temperature', 'age']);
+      assert.equal(statistics.distributions.temperature.count, 4);
+      assert.equal(statistics.distributions.systolic.unit, 'mmHg');
+      assert.deepEqual(statistics.riskScores.map(({ score, patients }) => [score, patients]), [[1, 1], [2, 1], [5, 1], [8, 1]]);
+      assert.deepEqual(statistics.breakdowns.age['Over 65'], { patients: 1, highRisk: 1, fever: 1, dataQuality: 0, meanRiskScore: 8 });
+      assert.deepEqual(statistics.crossTabs[0], {
+        rows: 'fever',
+        columns: 'bloodPressure',
+        counts: {
+          yes: { 'Stage 2': 1, 'Stage 1': 1, Elevated: 0, Normal: 0, 'Invalid/Missing': 0 },
+          no: { 'Stage 2': 0, 'Stage 1': 0, Elevated: 0, Normal: 1, 'Invalid/Missing': 1 }
+        }
+      });
+      assert.deepEqual(statistics.dataQuality.blood_pressure, { flagged: 1, rate: 25, reasons: { MISSING_DIASTOLIC: 1 } });
+      assert.equal(statistics.dataQuality.temperature.rate, 0);
+
+      const text = formatStatistics(statistics).join('\n');
+      assert.match(text, /^systolic +mmHg +3 +118 +119\.4 +125 +132 +141 +148\.2 +150 +133\.33/m);
+      assert.match(text, /^fever \\ bloodPressure +Stage 2 +Stage 1/m);
+    }
+  },
+  {
+    name: 'Streamed and NEWS2 analyses collect statistics too',
+    run: async () => {
+      const streamed = new RiskAnalyzer();
+      await streamed.analyzeStream(cohortPatients, { retainPatients: false });
+      assert.equal(streamed.getSummary().statistics.riskScores.length, 4);
+
+      const news2 = new RiskAnalyzer({ model: 'news2' });
+      news2.addPatients([wardPatient]);
+      news2.analyze();
+      const { statistics } = news2.getSummary();
+      assert.equal(statistics.distributions.respiratoryRate.count, 1);
+      assert.deepEqual(statistics.crossTabs.map(({ rows, columns }) => [rows, columns]), [['fever', 'highRisk']]);
+    }
+  }
+];
+
+/**
+ * Run a callback against a fresh mock API, closing it afterwards
+ */
+async function withMockApi(options, callback) {
+  const mock = new MockHealthcareApi(options);
+  const baseURL = await mock.listen();
+  try {
+    return await callback({ mock, apiClient: new ApiClient({ baseURL, apiKey: 'test-key' }) });
+  } finally {
+    await mock.close();
+  }
+}
+
+/**
+ * Run a callback with a scratch directory, removing it afterwards
+ */
+async function withTempDir(callback) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'healthcare-test-'));
+  try {
+    return await callback(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * End-to-end test cases against the local mock API
+ */
+const endToEndTests = [
+  {
+    name: 'Streaming run submits without keeping patient records',
+    run: () => withTempDir(dir => withMockApi({}, async ({ mock, apiClient }) => {
+      const ledger = new SubmissionLedger({ path: path.join(dir, 'ledger.json') });
+      const checkpoint = new FetchCheckpoint({ dir: path.join(dir, 'checkpoint') });
+      const assessment = new HealthcareAssessment({ apiClient, ledger, checkpoint, metricsPath: null });
+      const submission = await assessment.runAssessment({ stream: true });
+
+      assert.equal(submission.results.percentage, 100);
+      assert.equal(assessment.getSummary().totalPatients, mock.patients.length);
+      assert.equal(assessment.riskAnalyzer.patients.length, 0);
+
+      const [entry] = await ledger.load();
+      assert.notEqual(entry.inputHash, hashInput([]));
+      assert.equal(entry.inputHash, null);
+    }))
+  },
+  {
+    name: 'Full pipeline scores 100% against the mock API',
+    run: () => withTempDir(dir => withMockApi({}, async ({ mock, apiClient }) => {
+      const ledger = new SubmissionLedger({ path: path.join(dir, 'ledger.json') });
+      const checkpoint = new FetchCheckpoint({ dir: path.join(dir, 'checkpoint') });
+      const metricsPath = path.join(dir, 'metrics.json');
+      const assessment = new HealthcareAssessment({ apiClient, ledger, checkpoint, metricsPath });
+      const submission = await assessment.runAssessment();
+
+      assert.equal(submission.results.percentage, 100);
+      assert.equal(submission.results.attempt_number, 1);
+      const metrics = JSON.parse(await readFile(metricsPath, 'utf8'));
+      assert.equal(metrics.requests.byEndpoint['/submit-assessment'], 1);
+      assert.equal(metrics.pages.patients, mock.patients.length);
+      assert.equal(metrics.analysis.patients, mock.patients.length);
+      assert.deepEqual(assessment.getCurrentResults().dataQualityIssues, mock.expected.dataQuality);
+
+      const [entry] = await ledger.load();
+      assert.equal(entry.remainingAttempts, 2);
+      assert.equal(entry.breakdown.high_risk.score, 50);
+    }))
+  },
+  {
+    name: 'Ledger refuses an identical payload unless forced',
+    run: () => withTempDir(dir => withMockApi({}, async ({ apiClient }) => {
+      const ledger = new SubmissionLedger({ path: path.join(dir, 'ledger.json') });
+      const assessment = new HealthcareAssessment({ apiClient, ledger });
+      const results = { highRiskPatients: ['DEMO003'], feverPatients: [], dataQualityIssues: [] };
+
+      await assessment.submitResults(results);
+      await assert.rejects(assessment.submitResults(results), { name: 'SubmissionGuardError', reason: 'DUPLICATE_PAYLOAD' });
+
+      const diff = await ledger.diffAgainstBest({ high_risk_patients: ['DEMO004'] });
+      assert.deepEqual(diff.lists.high_risk_patients, { added: ['DEMO004'], removed: ['DEMO003'] });
+
+      const forced = await assessment.submitResults(results, { force: true });
+      assert.equal(forced.results.attempt_number, 2);
+    }))
+  },
+  {
+    name: 'Ledger keeps the configured attempts reserve',
+    run: () => withTempDir(dir => withMockApi({ maxAttempts: 2 }, async ({ apiClient }) => {
+      const ledger = new SubmissionLedger({ path: path.join(dir, 'ledger.json'), reserve: 1 });
+      const assessment = new HealthcareAssessment({ apiClient, ledger });
+
+      await assessment.submitResults({ highRiskPatients: ['DEMO003'] });
+      await assert.rejects(assessment.submitResults({ highRiskPatients: ['DEMO004'] }), { reason: 'ATTEMPTS_RESERVE' });
+    }))
+  },
+  {
+    name: 'Pagination survives truncated JSON and a server error burst',
+    run: () => withMockApi({ chaos: { seed: 7, truncatedJsonRate: 0.2, serverErrorRate: 0.1, serverErrorBurst: 1 } }, async ({ mock, apiClient }) => {
+      const patients = await apiClient.getAllPatients();
+
+      assert.equal(patients.length, mock.patients.length);
+    })
+  },
+  {
+    name: 'Streaming analysis matches the batch answers and keeps partial results',
+    run: () => withMockApi({}, async ({ mock, apiClient }) => {
+      const assessment = new HealthcareAssessment({ apiClient, checkpoint: null });
+      const results = await assessment.streamPatients();
+
+      assert.deepEqual(results.highRiskPatients, [...mock.expected.highRisk].sort());
+      assert.deepEqual(results.feverPatients, [...mock.expected.fever].sort());
+      assert.deepEqual(results.dataQualityIssues, [...mock.expected.dataQuality].sort());
+      assert.equal(assessment.getSummary().totalPatients, mock.patients.length);
+      assert.equal(assessment.riskAnalyzer.patients.length, 0);
+
+      async function* failAfterFirstPage() {
+        const { value: firstPage } = await apiClient.iteratePages().next();
+        yield* firstPage.patients;
+        throw new Error('page 2 failed');
+      }
+      const analyzer = new RiskAnalyzer();
+      await assert.rejects(analyzer.analyzeStream(failAfterFirstPage()), /page 2 failed/);
+      assert.equal(analyzer.getSummary().totalPatients, 20);
+      assert.ok(analyzer.results.highRiskPatients.length > 0);
+    })
+  },
+  {
+    name: 'Resume continues an interrupted fetch from its checkpoint',
+    run: () => withTempDir(dir => withMockApi({}, async ({ mock, apiClient }) => {
+      const checkpoint = new FetchCheckpoint({ dir: path.join(dir, 'checkpoint') });
+      const expected = await apiClient.getAllPatients();
+
+      let fetched = 0;
+      for await (const page of apiClient.iterateCheckpointedPages({ checkpoint, limit: 20, concurrency: 1 })) {
+        if (++fetched === 2) break;
+      }
+      assert.deepEqual((await checkpoint.load()).pages, [1, 2]);
+      assert.deepEqual((await readdir(checkpoint.dir)).sort(), ['index.json', 'page-1.json', 'page-2.json']);
+      assert.equal((await checkpoint.readPage(2)).patients.length, 20);
+
+      mock.requestLog.length = 0;
+      assert.deepEqual(await apiClient.getAllPatients({ checkpoint, resume: true }), expected);
+      assert.deepEqual(mock.requestLog.map(({ path }) => new URL(path, mock.baseURL).searchParams.get('page')), ['2', '3']);
+      assert.equal(await checkpoint.load(), null);
+      assert.deepEqual(await readdir(checkpoint.dir), []);
+    }))
+  },
+  {
+    name: 'Clearing a checkpoint removes only its own files',
+    run: () => withTempDir(async (dir) => {
+      await writeFile(path.join(dir, 'submission-ledger.json'), '{"entries":[]}\n');
+      const checkpoint = new FetchCheckpoint({ dir });
+      await checkpoint.savePage({ page: 1, patients: [] }, { limit: 20, total: 0, totalPages: 1, pages: [1] });
+
+      await checkpoint.clear();
+      assert.deepEqual(await readdir(dir), ['submission-ledger.json']);
+      await new FetchCheckpoint({ dir: path.join(dir, 'missing') }).clear();
+    })
+  },
+  {
+    name: 'Resume starts over when the dataset changed shape',
+    run: () => withTempDir(dir => withMockApi({}, async ({ mock, apiClient }) => {
+      const checkpoint = new FetchCheckpoint({ dir: path.join(dir, 'checkpoint') });
+
+      let fetched = 0;
+      for await (const page of apiClient.iterateCheckpointedPages({ checkpoint, limit: 20, concurrency: 1 })) {
+        if (++fetched === 2) break;
+      }
+      mock.patients.pop();
+
+      mock.requestLog.length = 0;
+      const patients = await apiClient.getAllPatients({ checkpoint, resume: true });
+      assert.equal(patients.length, mock.patients.length);
+      assert.deepEqual(mock.requestLog.map(({ path }) => new URL(path, mock.baseURL).searchParams.get('page')), ['2', '1', '2', '3']);
+    }))
+  },
+  {
+    name: 'Cassette replays a recorded run without the network',
+    run: () => withTempDir(async (dir) => {
+      const recorded = await withMockApi({}, ({ mock }) => {
+        const recorder = new ApiClient({ baseURL: mock.baseURL, apiKey: 'secret-key', cassette: new Cassette({ mode: 'record', dir }) });
+        return recorder.getAllPatients();
+      });
+
+      const [firstFixture] = await readdir(dir);
+      const fixture = JSON.parse(await readFile(path.join(dir, firstFixture), 'utf8'));
+      assert.equal(fixture.request.headers['x-api-key'], '[REDACTED]');
+      assert.ok(!JSON.stringify(fixture).includes('secret-key'));
+
+      const cassette = new Cassette({ mode: 'replay', dir });
+      const replayer = new ApiClient({ baseURL: 'http://127.0.0.1:9/api', apiKey: 'other-key', cassette });
+      assert.deepEqual(await replayer.getAllPatients(), recorded);
+
+      await assert.rejects(cassette.fetch('http://127.0.0.1:9/api/patients?page=99'), /Cassette miss/);
+    })
+  },
+  {
+    name: 'Mock API rejects requests without an API key',
+    run: () => withMockApi({}, async ({ mock }) => {
+      const response = await fetch(`${mock.baseURL}/patients`);
+
+      assert.equal(response.status, 401);
+    })
+  }
+];
+
+/**
+ * Run cli.js in a child process, resolving with its exit code and output
+ */
+function runCliProcess(args, { input = '', env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [fileURLToPath(new URL('./cli.js', import.meta.url)), ...args], {
+      env: { ...process.env, ...env }
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.stdin.end(input);
+  });
+}
+
+const cliPatients = JSON.stringify([
+  { patient_id: 'P1', blood_pressure: '150/95', temperature: 101.2, age: 70 },
+  { patient_id: 'P2', blood_pressure: '110/70', temperature: 98.6, age: 30 },
+  { patient_id: 'P3', blood_pressure: 'INVALID', temperature: 98.6, age: 30 }
+]);
+
+/**
+ * CLI test cases
+ */
+const cliTests = [
+  {
+    name: '--help exits 0 and unknown commands exit 2',
+    run: async () => {
+      const help = await runCliProcess(['--help']);
+      assert.equal(help.code, EXIT_CODES.OK);
+      assert.match(help.stdout, /explain <patient_id>/);
+
+      const unknown = await runCliProcess(['frobnicate']);
+      assert.equal(unknown.code, EXIT_CODES.USAGE);
+    }
+  },
+  {
+    name: 'analyze --json reads stdin and keeps stdout parseable',
+    run: async () => {
+      const { code, stdout } = await runCliProcess(['analyze', '--json'], { input: cliPatients });
+      assert.equal(code, EXIT_CODES.OK);
+
+      const { results, summary } = JSON.parse(stdout);
+      assert.deepEqual(results, { highRiskPatients: ['P1'], feverPatients: ['P1'], dataQualityIssues: ['P3'] });
+      assert.equal(summary.totalPatients, 3);
+    }
+  },
+  {
+    name: 'submit --dry-run prints the payload without calling the API',
+    run: async () => {
+      const { code, stdout } = await runCliProcess(['submit', '--dry-run', '--json'], {
+        input: cliPatients,
+        env: { API_BASE_URL: 'http://127.0.0.1:9/api', LEDGER_PATH: path.join(os.tmpdir(), 'healthcare-test-missing-ledger.json') }
+      });
+      assert.equal(code, EXIT_CODES.OK);
+      const { payload, guard } = JSON.parse(stdout);
+      assert.deepEqual(payload.data_quality_issues, ['P3']);
+      assert.equal(guard.allowed, true);
+    }
+  },
+  {
+    name: 'submit --dry-run prints the diff with plain patient IDs',
+    run: () => withTempDir(async (dir) => {
+      const ledgerPath = path.join(dir, 'ledger.json');
+      const previous = { high_risk_patients: ['P9'], fever_patients: ['P1'], data_quality_issues: ['P3'] };
+      await writeFile(ledgerPath, JSON.stringify({ entries: [{ payloadHash: 'earlier', payload: previous, attemptNumber: 1, remainingAttempts: 2, score: 40 }] }));
+
+      const { code, stdout, stderr } = await runCliProcess(['submit', '--dry-run'], {
+        input: cliPatients,
+        env: { API_BASE_URL: 'http://127.0.0.1:9/api', LEDGER_PATH: ledgerPath }
+      });
+      assert.equal(code, EXIT_CODES.OK);
+      assert.match(stdout, /Changes vs best attempt #1 \(score 40\):/);
+      assert.match(stdout, /high_risk_patients: \+1 -1\n {4}added: {3}P1\n {4}removed: P9/);
+      assert.match(stdout, /fever_patients: unchanged/);
+      assert.doesNotMatch(stdout + stderr, /#[0-9a-f]{12}/);
+    })
+  },
+  {
+    name: 'explain exits 3 for an unknown patient',
+    run: async () => {
+      const found = await runCliProcess(['explain', 'P1'], { input: cliPatients });
+      assert.equal(found.code, EXIT_CODES.OK);
+      assert.match(found.stdout, /Stage 2 \(4\)/);
+
+      const missing = await runCliProcess(['explain', 'P9'], { input: cliPatients });
+      assert.equal(missing.code, EXIT_CODES.NOT_FOUND);
+    }
+  }
+];
+
+/**
+ * A Logger writing both streams into `lines`
+ */
+function capturingLogger(options = {}) {
+  const lines = [];
+  const stream = { write: chunk => lines.push(chunk.trimEnd()) };
+  return { lines, logger: new Logger({ level: 'debug', format: 'json', stream, errorStream: stream, ...options }) };
+}
+
+const loggingTests = [
+  {
+    name: 'Redaction masks PHI, hashes identifiers and drops credentials',
+    run: () => {
+      const redacted = redact({
+        name: 'Jane Doe',
+        patient_id: 'DEMO001',
+        nested: { patientIds: ['DEMO001', 'DEMO002'], Address: '1 Main St', age: 60 },
+        apiKey: 'secret',
+        error: new Error('boom')
+      });
+
+      assert.equal(redacted.name, '[REDACTED]');
+      assert.equal(redacted.nested.Address, '[REDACTED]');
+      assert.equal(redacted.nested.age, 60);
+      assert.equal('apiKey' in redacted, false);
+      assert.match(redacted.patient_id, /^#[0-9a-f]{12}$/);
+      assert.equal(redacted.nested.patientIds[0], redacted.patient_id);
+      assert.notEqual(redacted.nested.patientIds[1], redacted.patient_id);
+      assert.deepEqual(redacted.error, { name: 'Error', message: 'boom' });
+      assert.deepEqual(redact({ name: 'Jane' }, { ...REDACTION_POLICY, name: 'drop' }), {});
+    }
+  },
+  {
+    name: 'JSON lines carry level, context and the correlation ID; levels filter',
+    run: async () => {
+      const { lines, logger } = capturingLogger({ level: 'info' });
+      const child = logger.child({ component: 'test' });
+
+      await withCorrelation(async () => {
+        child.debug('hidden');
+        await Promise.resolve();
+        child.warn('Duplicate patient record', { patientId: 'DEMO001', pages: [1, 2] });
+      }, 'run-1');
+      logger.configure({ level: 'error' });
+      child.warn('also hidden');
+
+      assert.equal(lines.length, 1);
+      const record = JSON.parse(lines[0]);
+      assert.equal(record.level, 'warn');
+      assert.equal(record.msg, 'Duplicate patient record');
+      assert.equal(record.correlationId, 'run-1');
+      assert.equal(record.component, 'test');
+      assert.deepEqual(record.pages, [1, 2]);
+      assert.notEqual(record.patientId, 'DEMO001');
+      assert.equal(currentCorrelationId(), null);
+      assert.throws(() => logger.configure({ level: 'loud' }), /Unknown log level "loud"/);
+    }
+  },
+  {
+    name: 'Assessment, client and analyzer log through one logger without patient data',
+    run: async () => {
+      const { lines, logger } = capturingLogger();
+      const patients = [
+        { patient_id: 'DEMO001', name: 'Jane Doe', blood_pressure: '150/95', temperature: 101.2, age: 70 },
+        { patient_id: 'DEMO001', name: 'Jane Doe', blood_pressure: '150/95', temperature: 101.2, age: 71 }
+      ];
+      const apiClient = {
+        async getAllPatients({ integrity }) {
+          integrity.addPage({ page: 1, patients, pagination: null });
+          return integrity.reconcile();
+        }
+      };
+      const assessment = new HealthcareAssessment({ logger, apiClient, checkpoint: null });
+      await withCorrelation(async () => {
+        await assessment.fetchAllPatients();
+        assessment.logIntegrity();
+        await assessment.analyzePatients(assessment.integrity.reconcile());
+      }, 'run-2');
+
+      const records = lines.map(line => JSON.parse(line));
+      assert.ok(records.some(record => record.msg === 'Analysis complete' && record.highRiskPatients === 1));
+      assert.ok(records.some(record => record.msg.startsWith('Duplicate patient') && record.patientId.startsWith('#')));
+      assert.ok(records.every(record => record.correlationId === 'run-2'));
+      assert.ok(lines.every(line => !line.includes('DEMO001') && !line.includes('Jane')));
+      assert.equal(assessment.riskAnalyzer.logger, logger);
+    }
+  },
+  {
+    name: 'CLI --quiet leaves only the command output',
+    run: async () => {
+      const quiet = await runCliProcess(['analyze', '--quiet'], { input: cliPatients });
+      assert.equal(quiet.code, EXIT_CODES.OK);
+      assert.equal(quiet.stderr, '');
+      assert.match(quiet.stdout, /^High risk patients \(1\): P1$/m);
+      assert.doesNotMatch(quiet.stdout, /Analyzing/);
+
+      const json = await runCliProcess(['analyze', '--json'], { input: cliPatients, env: { LOG_FORMAT: 'json' } });
+      const records = json.stderr.trim().split('\n').map(line => JSON.parse(line));
+      assert.ok(records.every(record => typeof record.correlationId === 'string'));
+      assert.equal(new Set(records.map(record => record.correlationId)).size, 1);
+    }
+  }
+];
+
+/**
+ * An ApiClient whose requests get the next of `responses` ([status, body, headers])
+ */
+function scriptedApiClient(responses, options = {}) {
+  const queue = [...responses];
+  const cassette = {
+    fetch: async () => {
+      const [status, body, headers = {}] = queue.shift();
+      return new Response(JSON.stringify(body), { status, headers });
+    }
+  };
+  return new ApiClient({ baseURL: 'http://stub.invalid/api', apiKey: 'test-key', cassette, retryDelay: 1, ...options });
+}
+
+const metricsTests = [
+  {
+    name: 'Collector keeps labelled series and renders Prometheus text',
+    run: () => {
+      let now = 0;
+      const metrics = new MetricsCollector({ now: () => now });
+      metrics.increment('http_requests_total', { endpoint: '/patients', method: 'GET', status: '200' });
+      metrics.increment('http_requests_total', { status: '200', method: 'GET', endpoint: '/patients' });
+      metrics.increment('http_requests_total', { endpoint: '/patients', method: 'GET', status: '429' });
+      const elapsed = metrics.startTimer();
+      now = 300;
+      metrics.observe('page_fetch_duration_seconds', elapsed());
+      metrics.set('analysis_duration_seconds', 0.5);
+
+      const summary = metrics.getSummary();
+      assert.deepEqual(summary.requests.byStatus, { 200: 2, 429: 1 });
+      assert.equal(summary.requests.rateLimited, 1);
+      assert.equal(summary.requests.failed, 1);
+      assert.deepEqual(summary.pages.latency, { count: 1, mean: 0.3, p50: 0.3, p95: 0.3, max: 0.3 });
+      assert.equal(summary.analysis.seconds, 0.5);
+      assert.equal(summary.pages.fetchSeconds, null);
+
+      const text = metrics.toPrometheus();
+      assert.match(text, /^# TYPE healthcare_assessment_http_requests_total counter$/m);
+      assert.match(text, /^healthcare_assessment_http_requests_total\{endpoint="\/patients",method="GET",status="200"\} 2$/m);
+      assert.match(text, /^healthcare_assessment_page_fetch_duration_seconds_bucket\{le="0.25"\} 0$/m);
+      assert.match(text, /^healthcare_assessment_page_fetch_duration_seconds_bucket\{le="0.5"\} 1$/m);
+      assert.match(text, /^healthcare_assessment_page_fetch_duration_seconds_bucket\{le="\+Inf"\} 1$/m);
+      assert.match(text, /^healthcare_assessment_page_fetch_duration_seconds_count 1$/m);
+      assert.doesNotMatch(text, /retries_total/);
+      assert.throws(() => metrics.increment('requests'), /Unknown metric "requests"/);
+      assert.throws(() => metrics.increment('analysis_duration_seconds'), /is a gauge, not a counter/);
+    }
+  },
+  {
+    name: 'Requests, 429s, retries and pages are counted as the client fetches',
+    run: async () => {
+      const page = { data: [{ patient_id: 'A' }, { patient_id: 'B' }], pagination: { page: 1, totalPages: 1, hasNext: false } };
+      const apiClient = scriptedApiClient([
+        [429, { error: 'slow down' }, { 'Retry-After': '0' }],
+        [503, { error: 'unavailable' }],
+        [200, page]
+      ]);
+      const patients = await apiClient.getAllPatients();
+      assert.equal(patients.length, 2);
+
+      const summary = apiClient.metrics.getSummary();
+      assert.deepEqual(summary.requests.byStatus, { 200: 1, 429: 1, 503: 1 });
+      assert.deepEqual(summary.requests.byEndpoint, { '/patients': 3 });
+      assert.deepEqual(summary.retries.byReason, { RateLimitError: 1, ServerError: 1 });
+      assert.equal(summary.pages.fetched, 1);
+      assert.equal(summary.pages.patients, 2);
+      assert.equal(summary.requests.latency.count, 3);
+      assert.ok(summary.pages.fetchSeconds >= 0);
+    }
+  },
+  {
+    name: 'Analysis time and throughput are recorded, and the CLI writes metrics files',
+    run: () => withTempDir(async dir => {
+      const metrics = new MetricsCollector();
+      const analyzer = new RiskAnalyzer({ metrics });
+      await analyzer.analyzeStream(cohortPatients);
+      const { analysis } = metrics.getSummary();
+      assert.equal(analysis.patients, 4);
+      assert.ok(analysis.seconds >= 0);
+      assert.ok(analysis.patientsPerSecond > 0);
+
+      const prom = path.join(dir, 'run.prom');
+      const { code } = await runCliProcess(['analyze', '--quiet', '--metrics', prom], { input: cliPatients });
+      assert.equal(code, EXIT_CODES.OK);
+      assert.match(await readFile(prom, 'utf8'), /^healthcare_assessment_patients_analyzed_total 3$/m);
+
+      const json = path.join(dir, 'nested', 'run.json');
+      await runCliProcess(['summary', '--quiet', '--metrics', json], { input: cliPatients });
+      assert.equal(JSON.parse(await readFile(json, 'utf8')).analysis.patients, 3);
+    })
+  }
+];
+
+/**
+ * Run a callback against a fresh scoring service, closing it afterwards
+ */
+async function withScoringServer(options, callback) {
+  const server = new ScoringServer({ logger: new Logger({ level: 'silent' }), ...options });
+  const baseURL = await server.listen(0);
+  try {
+    return await callback({ server, baseURL });
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * POST `body` (a string is sent as is) and return { status, headers, body }
+ */
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const serverTests = [
+  {
+    name: 'POST /analyze and /patients/score return results, summary and breakdown',
+    run: () => withScoringServer({}, async ({ baseURL }) => {
+      const analyzed = await postJson(`${baseURL}/analyze`, cliPatients, { 'X-Correlation-Id': 'run-42' });
+      assert.equal(analyzed.status, 200);
+      assert.equal(analyzed.headers.get('x-correlation-id'), 'run-42');
+      assert.deepEqual(analyzed.body.results, { highRiskPatients: ['P1'], feverPatients: ['P1'], dataQualityIssues: ['P3'] });
+      assert.equal(analyzed.body.summary.totalPatients, 3);
+      assert.equal(analyzed.body.policyVersion, POLICY.version);
+
+      const scored = await postJson(`${baseURL}/patients/score`, JSON.parse(cliPatients)[0]);
+      assert.equal(scored.status, 200);
+      assert.equal(scored.body.patientId, 'P1');
+      assert.equal(scored.body.totalRiskScore, 8);
+      assert.equal(scored.body.riskBreakdown.bloodPressure.category, 'Stage 2');
+    })
+  },
+  {
+    name: 'Bad bodies, oversized payloads and unknown routes are refused',
+    run: () => withScoringServer({ maxBodyBytes: 256 }, async ({ baseURL }) => {
+      const notJson = await postJson(`${baseURL}/analyze`, '[{"patient_id":');
+      assert.equal(notJson.status, 400);
+      assert.match(notJson.body.message, /valid JSON/);
+
+      const notArray = await postJson(`${baseURL}/analyze`, { patient_id: 'P1' });
+      assert.equal(notArray.status, 400);
+      assert.match(notArray.body.message, /\$ expected array, got object/);
+
+      const missingId = await postJson(`${baseURL}/patients/score`, { age: 40 });
+      assert.equal(missingId.status, 400);
+      assert.match(missingId.body.message, /\$\.patient_id expected string or number, got missing/);
+
+      const duplicate = await postJson(`${baseURL}/analyze`, [{ patient_id: 'P1' }, { patient_id: 'P1' }]);
+      assert.equal(duplicate.status, 400);
+
+      const tooLarge = await postJson(`${baseURL}/analyze`, Array.from({ length: 20 }, (_, i) => ({ patient_id: `P${i}` })));
+      assert.equal(tooLarge.status, 413);
+
+      const text = await fetch(`${baseURL}/analyze`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: '[]' });
+      assert.equal(text.status, 415);
+
+      const wrongMethod = await fetch(`${baseURL}/analyze`);
+      assert.equal(wrongMethod.status, 405);
+      assert.equal(wrongMethod.headers.get('allow'), 'POST');
+      assert.equal((await fetch(`${baseURL}/patients`)).status, 404);
+    })
+  },
+  {
+    name: 'GET /health and /policy describe the active model and thresholds',
+    run: () => withScoringServer({ model: 'news2' }, async ({ baseURL }) => {
+      const health = await (await fetch(`${baseURL}/health`)).json();
+      assert.equal(health.status, 'ok');
+      assert.equal(health.scoringModel, 'news2');
+
+      const policy = await (await fetch(`${baseURL}/policy`)).json();
+      assert.equal(policy.version, POLICY.version);
+      assert.deepEqual(policy.thresholds, { highRisk: { min: 5 }, fever: POLICY.thresholds.fever });
+    })
+  },
+  {
+    name: 'The service starts and scores without API_KEY',
+    run: async () => {
+      const env = { ...process.env, SERVER_PORT: '0', LOG_FORMAT: 'json' };
+      delete env.API_KEY;
+      const child = spawn(process.execPath, [fileURLToPath(new URL('./server.js', import.meta.url))], { env });
+      try {
+        const baseURL = await new Promise((resolve, reject) => {
+          let stdout = '';
+          child.stdout.on('data', chunk => {
+            stdout += chunk;
+            const match = stdout.match(/listening on (http:\/\/\S+?)"/);
+            if (match) resolve(match[1]);
+          });
+          child.on('error', reject);
+          child.on('close', code => reject(new Error(`server exited with code ${code}`)));
+        });
+
+        const scored = await postJson(`${baseURL}/patients/score`, { patient_id: 'P2', blood_pressure: '110/70', temperature: 98.6, age: 30 });
+        assert.equal(scored.status, 200);
+        assert.equal(scored.body.totalRiskScore, 2);
+      } finally {
+        child.kill();
+      }
+    }
+  }
+];
+
+/**
+ * Run a list of { name, run } test cases, awaiting each in turn
+ */
+async function runSuite(title, cases) {
+  console.log(`🧪 Running ${title} Tests...\n`);
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [index, testCase] of cases.entries()) {
+    console.log(`${title} Test ${index + 1}: ${testCase.name}`);
+
+    try {
+      await testCase.run();
+      console.log('  ✅ PASSED');
+      passed++;
+    } catch (error) {
+      console.log(`  ❌ FAILED - ${error.message}`);
+      failed++;
+    }
+
+    console.log('');
+  }
+
+  console.log(`📊 ${title} Results: ${passed} passed, ${failed} failed\n`);
+
+  return { passed, failed };
+}
+
+/**
+ * Run end-to-end test cases
+ */
+function runEndToEndTests() {
+  return runSuite('End-to-End', endToEndTests);
+}
+
 // Run tests if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  runTests();
+  const results = [
+    runTests(),
+    await runSuite('Vitals Parsing', vitalsParserTests),
+    await runSuite('Data Quality Report', dataQualityTests),
+    await runSuite('Risk Factors', riskFactorTests),
+    await runSuite('Exporters', exporterTests),
+    await runSuite('FHIR', fhirTests),
+    await runSuite('HL7 v2', hl7Tests),
+    await runSuite('Rate Limiter', rateLimiterTests),
+    await runSuite('Request Resilience', resilienceTests),
+    await runSuite('Pagination Integrity', paginationIntegrityTests),
+    await runSuite('Response Schemas', schemaTests),
+    await runSuite('Scoring Policy', policyTests),
+    await runSuite('NEWS2', news2Tests),
+    await runSuite('Decision Trace', traceTests),
+    await runSuite('Partial Scoring', partialScoringTests),
+    await runSuite('Statistics', statisticsTests),
+    await runSuite('CLI', cliTests),
+    await runSuite('Logging', loggingTests),
+    await runSuite('Metrics', metricsTests),
+    await runSuite('Scoring Service', serverTests),
+    await runEndToEndTests()
+  ];
+
+  if (results.some(result => result.failed > 0)) {
+    process.exitCode = 1;
+  }
 }
 
-export { runTests, testCases }; 
\ No newline at end of file
+export { runTests, testCases, runSuite, vitalsParserTests, dataQualityTests, riskFactorTests, exporterTests, fhirTests, hl7Tests, rateLimiterTests, resilienceTests, paginationIntegrityTests, schemaTests, policyTests, news2Tests, traceTests, partialScoringTests, statisticsTests, cliTests, loggingTests, metricsTests, serverTests, runEndToEndTests, endToEndTests };
@@ -1,237 +1,249 @@
-import { RISK_SCORES, THRESHOLDS } from './config.js';
+import { POLICY } from './config.js';
+import { classifyFactor, inRange } from './policy.js';
+import { parseBloodPressure, parseTemperature, parseAge } from './vitals-parser.js';
+import { readBloodPressure, readTemperature, readAge } from './vitals-reader.js';
+import { isRetryable, TimeoutError } from './errors.js';
+import { logger as defaultLogger } from './logger.js';
+import { riskFactors, evaluateFactors, scoreBounds } from './risk-factors.js';
+
+export { parseBloodPressure, parseTemperature, parseAge };
+export { readBloodPressure, readTemperature, readAge };
 
 /**
- * Sleep function for rate limiting
+ * Sleep function for rate limiting; rejects with the signal's reason if it is aborted first
  */
-export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 /**
- * Parse blood pressure string and return systolic and diastolic values
+ * Classify blood pressure against the scoring policy
  */
-export function parseBloodPressure(bpString) {
-  if (!bpString || typeof bpString !== 'string') {
-    return { systolic: null, diastolic: null, isValid: false };
-  }
-
-  const trimmed = bpString.trim();
-  // Sanitize input to prevent injection attacks
-  if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined' || 
-      trimmed.length > 50 || /[<>\"'&]/.test(trimmed)) {
-    return { systolic: null, diastolic: null, isValid: false };
-  }
-
-  // Handle various formats: "120/80", "150/", "/90", "INVALID", etc.
-  const parts = trimmed.split('/');
-  
-  if (parts.length !== 2) {
-    return { systolic: null, diastolic: null, isValid: false };
-  }
-
-  const systolic = parseFloat(parts[0]);
-  const diastolic = parseFloat(parts[1]);
+export function scoreBloodPressure(bpString) {
+  const { systolic, diastolic, isValid, reason, unit, sourceUnit, converted } = readBloodPressure(bpString);
+  const band = classifyFactor(POLICY.factors.bloodPressure, isValid ? { systolic, diastolic } : null);
 
-  // Check if either value is NaN or invalid
-  if (isNaN(systolic) || isNaN(diastolic) || systolic <= 0 || diastolic <= 0) {
-    return { systolic: null, diastolic: null, isValid: false };
-  }
-
-  return { systolic, diastolic, isValid: true };
+  return { score: band.score, category: band.label, band: band.id, systolic, diastolic, unit, sourceUnit, converted, reason };
 }
 
 /**
  * Calculate blood pressure risk score
  */
 export function calculateBloodPressureRisk(bpString) {
-  const { systolic, diastolic, isValid } = parseBloodPressure(bpString);
-  
-  if (!isValid) {
-    return RISK_SCORES.BLOOD_PRESSURE.INVALID;
-  }
-
-  // Determine the highest risk category
-  let riskScore = RISK_SCORES.BLOOD_PRESSURE.NORMAL;
-
-  // Stage 2: Systolic ≥140 OR Diastolic ≥90
-  if (systolic >= 140 || diastolic >= 90) {
-    riskScore = RISK_SCORES.BLOOD_PRESSURE.STAGE_2;
-  }
-  // Stage 1: Systolic 130-139 OR Diastolic 80-89
-  else if ((systolic >= 130 && systolic <= 139) || (diastolic >= 80 && diastolic <= 89)) {
-    riskScore = RISK_SCORES.BLOOD_PRESSURE.STAGE_1;
-  }
-  // Elevated: Systolic 120-129 AND Diastolic <80
-  else if (systolic >= 120 && systolic <= 129 && diastolic < 80) {
-    riskScore = RISK_SCORES.BLOOD_PRESSURE.ELEVATED;
-  }
-  // Normal: Systolic <120 AND Diastolic <80
-  else if (systolic < 120 && diastolic < 80) {
-    riskScore = RISK_SCORES.BLOOD_PRESSURE.NORMAL;
-  }
-
-  return riskScore;
+  return scoreBloodPressure(bpString).score;
 }
 
 /**
- * Parse temperature and return numeric value
+ * Classify temperature against the scoring policy
  */
-export function parseTemperature(tempValue) {
-  if (tempValue === null || tempValue === undefined) {
-    return { temperature: null, isValid: false };
-  }
+export function scoreTemperature(tempValue) {
+  const { temperature, isValid, reason, unit, sourceUnit, converted } = readTemperature(tempValue);
+  const band = classifyFactor(POLICY.factors.temperature, isValid ? { temperature } : null);
 
-  // Handle number type directly
-  if (typeof tempValue === 'number') {
-    if (tempValue > 0 && tempValue <= 120) {
-      return { temperature: tempValue, isValid: true };
-    }
-    return { temperature: null, isValid: false };
-  }
-
-  // Handle string type
-  if (typeof tempValue === 'string') {
-    const trimmed = tempValue.trim();
-    if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') {
-      return { temperature: null, isValid: false };
-    }
-
-    // Handle non-numeric values like "TEMP_ERROR", "invalid", etc.
-    const temperature = parseFloat(trimmed);
-    
-    if (isNaN(temperature) || temperature <= 0 || temperature > 120) {
-      return { temperature: null, isValid: false };
-    }
-
-    return { temperature, isValid: true };
-  }
-
-  return { temperature: null, isValid: false };
+  return { score: band.score, category: band.label, band: band.id, temperature, unit, sourceUnit, converted, reason };
 }
 
 /**
  * Calculate temperature risk score
  */
 export function calculateTemperatureRisk(tempString) {
-  const { temperature, isValid } = parseTemperature(tempString);
-  
-  if (!isValid) {
-    return RISK_SCORES.TEMPERATURE.INVALID;
-  }
-
-  if (temperature >= 101) {
-    return RISK_SCORES.TEMPERATURE.HIGH_FEVER;
-  } else if (temperature >= 99.6) {
-    return RISK_SCORES.TEMPERATURE.LOW_FEVER;
-  } else {
-    return RISK_SCORES.TEMPERATURE.NORMAL;
-  }
+  return scoreTemperature(tempString).score;
 }
 
 /**
- * Parse age and return numeric value
+ * Classify age against the scoring policy
  */
-export function parseAge(ageValue) {
-  if (ageValue === null || ageValue === undefined) {
-    return { age: null, isValid: false };
-  }
-
-  if (typeof ageValue === 'number') {
-    if (ageValue > 0 && ageValue <= 150) {
-      return { age: ageValue, isValid: true };
-    }
-    return { age: null, isValid: false };
-  }
-
-  if (typeof ageValue === 'string') {
-    const trimmed = ageValue.trim();
-    if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') {
-      return { age: null, isValid: false };
-    }
-
-    // Handle non-numeric strings like "fifty-three", "unknown", etc.
-    const age = parseFloat(trimmed);
-    
-    if (isNaN(age) || age <= 0 || age > 150) {
-      return { age: null, isValid: false };
-    }
-
-    return { age, isValid: true };
-  }
+export function scoreAge(ageValue) {
+  const { age, isValid, reason, unit, sourceUnit, converted } = readAge(ageValue);
+  const band = classifyFactor(POLICY.factors.age, isValid ? { age } : null);
 
-  return { age: null, isValid: false };
+  return { score: band.score, category: band.label, band: band.id, age, unit, sourceUnit, converted, reason };
 }
 
 /**
  * Calculate age risk score
  */
 export function calculateAgeRisk(ageValue) {
-  const { age, isValid } = parseAge(ageValue);
-  
-  if (!isValid) {
-    return RISK_SCORES.AGE.INVALID;
-  }
-
-  if (age > 65) {
-    return RISK_SCORES.AGE.OVER_65;
-  } else if (age >= 40) {
-    return RISK_SCORES.AGE.AGE_40_65;
-  } else {
-    return RISK_SCORES.AGE.UNDER_40;
-  }
+  return scoreAge(ageValue).score;
 }
 
 /**
- * Calculate total risk score for a patient
+ * Calculate total risk score for a patient: the sum of every registered
+ * factor's score. Like the checks below, it takes the patient's
+ * evaluateFactors() result when the caller already has one.
  */
-export function calculateTotalRiskScore(patient) {
-  const bpRisk = calculateBloodPressureRisk(patient.blood_pressure);
-  const tempRisk = calculateTemperatureRisk(patient.temperature);
-  const ageRisk = calculateAgeRisk(patient.age);
-  
-  return bpRisk + tempRisk + ageRisk;
+export function calculateTotalRiskScore(patient, factors = riskFactors, evaluations = evaluateFactors(patient, factors)) {
+  let total = 0;
+  for (const factor of factors) {
+    total += evaluations.get(factor.name).score;
+  }
+  return total;
 }
 
 /**
- * Check if patient has data quality issues
+ * Check if patient has data quality issues in any registered factor
  */
-export function hasDataQualityIssues(patient) {
-  const { systolic, diastolic, isValid: bpValid } = parseBloodPressure(patient.blood_pressure);
-  const { temperature, isValid: tempValid } = parseTemperature(patient.temperature);
-  const { age, isValid: ageValid } = parseAge(patient.age);
-  
-  return !bpValid || !tempValid || !ageValid;
+export function hasDataQualityIssues(patient, factors = riskFactors, evaluations = evaluateFactors(patient, factors)) {
+  for (const factor of factors) {
+    if (evaluations.get(factor.name).isDataQualityIssue) {
+      return true;
+    }
+  }
+  return false;
 }
 
 /**
  * Check if patient has fever
  */
 export function hasFever(patient) {
-  const { temperature, isValid } = parseTemperature(patient.temperature);
-  return isValid && temperature >= THRESHOLDS.FEVER_TEMPERATURE;
+  const { temperature, isValid } = readTemperature(patient.temperature);
+  return isValid && inRange(temperature, POLICY.thresholds.fever);
 }
 
 /**
  * Check if patient is high risk
  */
-export function isHighRisk(patient) {
-  const totalRisk = calculateTotalRiskScore(patient);
-  return totalRisk >= THRESHOLDS.HIGH_RISK_SCORE;
+export function isHighRisk(patient, factors = riskFactors, evaluations = evaluateFactors(patient, factors)) {
+  const totalRisk = calculateTotalRiskScore(patient, factors, evaluations);
+  return inRange(totalRisk, POLICY.thresholds.highRisk);
+}
+
+/**
+ * Where a patient's possible totals fall against the high-risk threshold
+ */
+export const RISK_BOUND_STATUS = {
+  DEFINITE: 'definite', // Even the lowest possible total is high risk
+  POSSIBLE: 'possible', // Some possible totals are high risk
+  NOT: 'not'            // No possible total is high risk
+};
+
+export const RISK_BOUND_LABELS = {
+  [RISK_BOUND_STATUS.DEFINITE]: 'definitely high risk',
+  [RISK_BOUND_STATUS.POSSIBLE]: 'possibly high risk',
+  [RISK_BOUND_STATUS.NOT]: 'definitely not high risk'
+};
+
+/**
+ * Best- and worst-case total risk score: usable factors count their score,
+ * and each factor with a data quality issue counts the lowest (for `min`)
+ * or highest (for `max`) score a usable value could have had
+ */
+export function calculateRiskBounds(patient, factors = riskFactors, evaluations = evaluateFactors(patient, factors)) {
+  let min = 0;
+  let max = 0;
+  const unknownFactors = [];
+  for (const factor of factors) {
+    const { score, isDataQualityIssue } = evaluations.get(factor.name);
+    if (isDataQualityIssue) {
+      const bounds = scoreBounds(factor);
+      min += bounds.min;
+      max += bounds.max;
+      unknownFactors.push({ name: factor.name, field: factor.field, ...bounds });
+    } else {
+      min += score;
+      max += score;
+    }
+  }
+  return { min, max, unknownFactors };
 }
 
 /**
- * Retry function with exponential backoff
+ * Classify a { min, max } span of totals against a threshold range
  */
-export async function retryWithBackoff(fn, maxAttempts = 3, baseDelay = 1000) {
+export function classifyRiskBounds({ min, max }, range = POLICY.thresholds.highRisk) {
+  if (inRange(min, range) && inRange(max, range)) {
+    return RISK_BOUND_STATUS.DEFINITE;
+  }
+  const below = range.min !== undefined && (range.minInclusive === false ? max <= range.min : max < range.min);
+  const above = range.max !== undefined && (range.maxInclusive === false ? min >= range.max : min > range.max);
+  return below || above ? RISK_BOUND_STATUS.NOT : RISK_BOUND_STATUS.POSSIBLE;
+}
+
+/**
+ * Combine an optional cancel signal with a deadline in ms (0 = none); the
+ * deadline aborts with a TimeoutError. Call clear() when done so the timer
+ * does not linger.
+ */
+export function deadlineSignal(signal, timeout, what) {
+  if (!timeout) {
+    return { signal, clear: () => {} };
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new TimeoutError(timeout, what)), timeout);
+  return {
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+    clear: () => clearTimeout(timer)
+  };
+}
+
+/**
+ * Retry function with full-jitter exponential backoff
+ *
+ * Waits a random delay between 0 and min(maxDelay, baseDelay * 2^(attempt-1))
+ * between attempts. Only errors `shouldRetry` accepts are retried (by default
+ * the retryable typed errors from errors.js); an aborted `signal` stops both
+ * the attempts and the waits. Each retry is logged to `logger` and, when
+ * given, counted in `metrics` (a MetricsCollector) with its delay.
+ */
+export async function retryWithBackoff(fn, maxAttempts = 3, baseDelay = 1000, options = {}) {
+  const { shouldRetry = isRetryable, maxDelay = 30000, signal, random = Math.random, logger = defaultLogger, metrics = null } = options;
+
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    signal?.throwIfAborted();
     try {
-      return await fn();
+      return await fn(attempt);
     } catch (error) {
-      if (attempt === maxAttempts) {
+      if (attempt === maxAttempts || !shouldRetry(error) || signal?.aborted) {
         throw error;
       }
-      
-      const delay = baseDelay * Math.pow(2, attempt - 1);
-      console.log(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
-      await sleep(delay);
+
+      const delay = Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+      logger.warn(`Attempt ${attempt} failed (${error.message}), retrying in ${delay}ms...`, { attempt, delay, error: error.name });
+      metrics?.increment('retries_total', { reason: error.name });
+      metrics?.observe('retry_delay_seconds', delay / 1000);
+      await sleep(delay, signal);
     }
   }
-} 
\ No newline at end of file
+}
+
+// Leading characters that make a spreadsheet read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Render rows as CSV with the given columns, quoting where needed. Text
+ * cells that a spreadsheet would run as a formula (leading =, +, -, @, tab
+ * or carriage return) are prefixed with ' so raw API values can't inject
+ * one; numbers are written as is, so negative values stay numeric.
+ */
+export function toCsv(rows, columns) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escape(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
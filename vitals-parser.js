@@ -0,0 +1,427 @@
+/**
+ * Vitals parsing shared by the scoring functions and RiskAnalyzer
+ *
+ * Every parser returns the parsed value(s), `isValid`, the untouched `raw`
+ * input and, for rejected input, a machine-readable `reason` from
+ * REJECTION_REASONS.
+ */
+
+export const REJECTION_REASONS = {
+  MISSING: 'MISSING',                     // null, undefined, empty or "null"/"undefined"
+  INVALID_TYPE: 'INVALID_TYPE',           // Not a string or number
+  NON_NUMERIC: 'NON_NUMERIC',             // No number could be read
+  OUT_OF_RANGE: 'OUT_OF_RANGE',           // Number outside the plausible range
+  MALFORMED: 'MALFORMED',                 // Wrong shape, e.g. "120/80/60", or a word off the scale
+  MISSING_SYSTOLIC: 'MISSING_SYSTOLIC',   // "/90"
+  MISSING_DIASTOLIC: 'MISSING_DIASTOLIC', // "150/"
+  SUSPICIOUS_CHARS: 'SUSPICIOUS_CHARS',   // Contains <>"'&
+  TOO_LONG: 'TOO_LONG',                   // Longer than MAX_INPUT_LENGTH
+  UNKNOWN_UNIT: 'UNKNOWN_UNIT',           // Unit not recognized, e.g. "98.6 K"
+  AMBIGUOUS_UNIT: 'AMBIGUOUS_UNIT'        // No unit, and a plausible other unit scores differently (see vitals-reader.js)
+};
+
+const MAX_INPUT_LENGTH = 50;
+const SUSPICIOUS_CHARS = /[<>"'&]/;
+
+export const TEMPERATURE_RANGE = { min: 0, max: 120 };
+export const AGE_RANGE = { min: 0, max: 150 };
+export const RESPIRATORY_RATE_RANGE = { min: 0, max: 80 };
+export const OXYGEN_SATURATION_RANGE = { min: 0, max: 100 };
+export const PULSE_RANGE = { min: 0, max: 300 };
+
+/**
+ * Units values are converted to before scoring
+ */
+export const CANONICAL_UNITS = {
+  bloodPressure: 'mmHg',
+  temperature: '°F',
+  age: 'years',
+  respiratoryRate: '/min',
+  oxygenSaturation: '%',
+  pulse: '/min'
+};
+
+/**
+ * Unit spellings (UCUM codes and common forms, matched case-insensitively
+ * without spaces) mapped to the unit names recorded as `sourceUnit`
+ */
+const TEMPERATURE_UNITS = {
+  '[degf]': '°F', '°f': '°F', 'degf': '°F', 'f': '°F', 'fahrenheit': '°F',
+  'cel': '°C', '°c': '°C', 'degc': '°C', 'c': '°C', 'celsius': '°C'
+};
+const PRESSURE_UNITS = {
+  'mm[hg]': 'mmHg', 'mmhg': 'mmHg', 'kpa': 'kPa'
+};
+const AGE_UNITS = {
+  'a': 'years', 'y': 'years', 'yr': 'years', 'yrs': 'years', 'year': 'years', 'years': 'years',
+  'mo': 'months', 'mos': 'months', 'month': 'months', 'months': 'months',
+  'wk': 'weeks', 'wks': 'weeks', 'week': 'weeks', 'weeks': 'weeks',
+  'd': 'days', 'day': 'days', 'days': 'days'
+};
+const RESPIRATORY_RATE_UNITS = {
+  '/min': '/min', 'breaths/min': '/min', 'bpm': '/min', 'rpm': '/min'
+};
+const OXYGEN_SATURATION_UNITS = { '%': '%' };
+const PULSE_UNITS = {
+  '/min': '/min', 'beats/min': '/min', 'bpm': '/min'
+};
+
+/**
+ * ACVPU consciousness levels, by letter and spelled out
+ */
+const CONSCIOUSNESS_LEVELS = {
+  'a': 'A', 'alert': 'A',
+  'c': 'C', 'confused': 'C', 'confusion': 'C', 'newconfusion': 'C',
+  'v': 'V', 'voice': 'V',
+  'p': 'P', 'pain': 'P',
+  'u': 'U', 'unresponsive': 'U'
+};
+const OXYGEN_SOURCES = {
+  'true': true, 'yes': true, 'oxygen': true, 'o2': true,
+  'false': false, 'no': false, 'air': false, 'roomair': false
+};
+
+const TO_FAHRENHEIT = { '°F': value => value, '°C': value => value * 9 / 5 + 32 };
+const TO_MMHG = { mmHg: 1, kPa: 7.50062 };
+const TO_YEARS = { years: 1, months: 1 / 12, weeks: 7 / 365.25, days: 1 / 365.25 };
+
+/**
+ * Bare values inside these ranges are also plausible in the other unit, so
+ * they are reported as `alternatives` (body temperature in °C, pressure in kPa)
+ */
+const PLAUSIBLE_CELSIUS = { min: 25, max: 45 };
+const PLAUSIBLE_KPA = { min: 2, max: 35 };
+
+function normalizeUnit(unit) {
+  return String(unit).replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Convert a temperature to °F (rounded to 0.01), or null for an unknown unit
+ */
+export function toFahrenheit(value, unit) {
+  const convert = TO_FAHRENHEIT[TEMPERATURE_UNITS[normalizeUnit(unit)]];
+  return convert ? Math.round(convert(value) * 100) / 100 : null;
+}
+
+/**
+ * Convert a pressure to mmHg (rounded to 0.1), or null for an unknown unit
+ */
+export function toMillimetersOfMercury(value, unit) {
+  const factor = TO_MMHG[PRESSURE_UNITS[normalizeUnit(unit)]];
+  return factor ? Math.round(value * factor * 10) / 10 : null;
+}
+
+/**
+ * Whole years between an ISO date (YYYY, YYYY-MM or YYYY-MM-DD) and asOf, or null
+ */
+export function ageFromBirthDate(birthDate, asOf = new Date()) {
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(birthDate || '');
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01'] = match;
+  let age = asOf.getUTCFullYear() - Number(year);
+  const birthdayPassed = asOf.getUTCMonth() + 1 > Number(month)
+    || (asOf.getUTCMonth() + 1 === Number(month) && asOf.getUTCDate() >= Number(day));
+  if (!birthdayPassed) age--;
+
+  return age >= 0 ? age : null;
+}
+
+/**
+ * Parse blood pressure string and return systolic and diastolic values in
+ * mmHg. Accepts an optional unit ("120/80 mmHg", "16/10 kPa").
+ */
+export function parseBloodPressure(bpString) {
+  const reject = (reason) => ({
+    systolic: null, diastolic: null, ...provenance(CANONICAL_UNITS.bloodPressure), isValid: false, reason, raw: bpString
+  });
+
+  if (bpString === null || bpString === undefined) {
+    return reject(REJECTION_REASONS.MISSING);
+  }
+  if (typeof bpString !== 'string') {
+    return reject(REJECTION_REASONS.INVALID_TYPE);
+  }
+
+  // Sanitize input to prevent injection attacks
+  const trimmed = bpString.trim();
+  const problem = checkString(trimmed);
+  if (problem) {
+    return reject(problem);
+  }
+
+  const { body, unit } = splitUnit(trimmed, /^[^\d/]*$/);
+  const sourceUnit = unit === null ? null : PRESSURE_UNITS[normalizeUnit(unit)];
+  if (sourceUnit === undefined) {
+    return reject(REJECTION_REASONS.UNKNOWN_UNIT);
+  }
+
+  // Handle various formats: "120/80", "150/", "/90", "INVALID", etc.
+  const parts = body.split('/');
+  if (parts.length === 1) {
+    return reject(isNaN(parseFloat(body)) ? REJECTION_REASONS.NON_NUMERIC : REJECTION_REASONS.MALFORMED);
+  }
+  if (parts.length !== 2) {
+    return reject(REJECTION_REASONS.MALFORMED);
+  }
+
+  const [systolicPart, diastolicPart] = parts.map(part => part.trim());
+  if (systolicPart === '') {
+    return reject(REJECTION_REASONS.MISSING_SYSTOLIC);
+  }
+  if (diastolicPart === '') {
+    return reject(REJECTION_REASONS.MISSING_DIASTOLIC);
+  }
+
+  const systolic = parseFloat(systolicPart);
+  const diastolic = parseFloat(diastolicPart);
+  if (isNaN(systolic) || isNaN(diastolic)) {
+    return reject(REJECTION_REASONS.NON_NUMERIC);
+  }
+  if (systolic <= 0 || diastolic <= 0) {
+    return reject(REJECTION_REASONS.OUT_OF_RANGE);
+  }
+
+  const alternatives = [];
+  if (sourceUnit === null && [systolic, diastolic].every(value => value >= PLAUSIBLE_KPA.min && value <= PLAUSIBLE_KPA.max)) {
+    alternatives.push({
+      systolic: toMillimetersOfMercury(systolic, 'kPa'),
+      diastolic: toMillimetersOfMercury(diastolic, 'kPa'),
+      sourceUnit: 'kPa'
+    });
+  }
+
+  const unitOf = sourceUnit || CANONICAL_UNITS.bloodPressure;
+  return {
+    systolic: toMillimetersOfMercury(systolic, unitOf),
+    diastolic: toMillimetersOfMercury(diastolic, unitOf),
+    ...provenance(CANONICAL_UNITS.bloodPressure, sourceUnit, alternatives),
+    isValid: true,
+    reason: null,
+    raw: bpString
+  };
+}
+
+/**
+ * Parse temperature and return its value in °F. Accepts an optional unit
+ * ("38.5 C", "101.2°F"); bare numbers are taken as °F.
+ */
+export function parseTemperature(tempValue) {
+  const { value, sourceUnit, reason } = parseQuantity(tempValue, TEMPERATURE_UNITS);
+  const reject = (rejection) => ({
+    temperature: null, ...provenance(CANONICAL_UNITS.temperature), isValid: false, reason: rejection, raw: tempValue
+  });
+
+  if (reason) {
+    return reject(reason);
+  }
+
+  const temperature = toFahrenheit(value, sourceUnit || CANONICAL_UNITS.temperature);
+  if (temperature <= TEMPERATURE_RANGE.min || temperature > TEMPERATURE_RANGE.max) {
+    return reject(REJECTION_REASONS.OUT_OF_RANGE);
+  }
+
+  const alternatives = [];
+  if (sourceUnit === null && value >= PLAUSIBLE_CELSIUS.min && value <= PLAUSIBLE_CELSIUS.max) {
+    alternatives.push({ temperature: toFahrenheit(value, '°C'), sourceUnit: '°C' });
+  }
+
+  return {
+    temperature,
+    ...provenance(CANONICAL_UNITS.temperature, sourceUnit, alternatives),
+    isValid: true,
+    reason: null,
+    raw: tempValue
+  };
+}
+
+/**
+ * Parse age and return it in years. Accepts an optional unit ("18 months",
+ * "6 weeks") or an ISO birth date (YYYY-MM-DD, aged as of `asOf`); bare
+ * numbers are taken as years.
+ */
+export function parseAge(ageValue, { asOf = new Date() } = {}) {
+  const reject = (reason) => ({
+    age: null, ...provenance(CANONICAL_UNITS.age), isValid: false, reason, raw: ageValue
+  });
+  const accept = (age, sourceUnit) => {
+    if (age === null || age <= AGE_RANGE.min || age > AGE_RANGE.max) {
+      return reject(REJECTION_REASONS.OUT_OF_RANGE);
+    }
+    return { age, ...provenance(CANONICAL_UNITS.age, sourceUnit), isValid: true, reason: null, raw: ageValue };
+  };
+
+  if (typeof ageValue === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(ageValue.trim())) {
+    return accept(ageFromBirthDate(ageValue.trim(), asOf), 'birthDate');
+  }
+
+  const { value, sourceUnit, reason } = parseQuantity(ageValue, AGE_UNITS);
+  if (reason) {
+    return reject(reason);
+  }
+  return accept(Math.round(value * TO_YEARS[sourceUnit || CANONICAL_UNITS.age] * 100) / 100, sourceUnit);
+}
+
+/**
+ * Parse respiratory rate in breaths per minute ("18", "18 /min")
+ */
+export function parseRespiratoryRate(rateValue) {
+  return parseMeasurement(rateValue, 'respiratoryRate', RESPIRATORY_RATE_UNITS, RESPIRATORY_RATE_RANGE);
+}
+
+/**
+ * Parse oxygen saturation (SpO2) in percent ("96", "96%")
+ */
+export function parseOxygenSaturation(saturationValue) {
+  return parseMeasurement(saturationValue, 'oxygenSaturation', OXYGEN_SATURATION_UNITS, OXYGEN_SATURATION_RANGE);
+}
+
+/**
+ * Parse pulse in beats per minute ("72", "72 bpm")
+ */
+export function parsePulse(pulseValue) {
+  return parseMeasurement(pulseValue, 'pulse', PULSE_UNITS, PULSE_RANGE);
+}
+
+/**
+ * Parse a level of consciousness on the ACVPU scale ("A", "alert", "new
+ * confusion", "V", "P", "U") to its letter
+ */
+export function parseConsciousness(levelValue) {
+  return parseKeyword(levelValue, 'consciousness', CONSCIOUSNESS_LEVELS);
+}
+
+/**
+ * Parse whether the patient is on supplemental oxygen: a boolean, or
+ * "oxygen"/"O2"/"yes" vs "air"/"room air"/"no"
+ */
+export function parseSupplementalOxygen(oxygenValue) {
+  if (typeof oxygenValue === 'boolean') {
+    return { onOxygen: oxygenValue, isValid: true, reason: null, raw: oxygenValue };
+  }
+  return parseKeyword(oxygenValue, 'onOxygen', OXYGEN_SOURCES);
+}
+
+/**
+ * Read a number with an optional unit into `key`, rejecting values outside
+ * `range` (min exclusive, max inclusive)
+ */
+function parseMeasurement(input, key, units, range) {
+  const { value, sourceUnit, reason } = parseQuantity(input, units);
+  const reject = (rejection) => ({
+    [key]: null, ...provenance(CANONICAL_UNITS[key]), isValid: false, reason: rejection, raw: input
+  });
+
+  if (reason) {
+    return reject(reason);
+  }
+  if (value <= range.min || value > range.max) {
+    return reject(REJECTION_REASONS.OUT_OF_RANGE);
+  }
+  return { [key]: value, ...provenance(CANONICAL_UNITS[key], sourceUnit), isValid: true, reason: null, raw: input };
+}
+
+/**
+ * Look a word up in `keywords` (matched case-insensitively without spaces)
+ */
+function parseKeyword(input, key, keywords) {
+  const reject = (reason) => ({ [key]: null, isValid: false, reason, raw: input });
+
+  if (input === null || input === undefined) {
+    return reject(REJECTION_REASONS.MISSING);
+  }
+  if (typeof input !== 'string') {
+    return reject(REJECTION_REASONS.INVALID_TYPE);
+  }
+
+  const trimmed = input.trim();
+  const problem = checkString(trimmed);
+  if (problem) {
+    return reject(problem);
+  }
+
+  const value = keywords[normalizeUnit(trimmed)];
+  if (value === undefined) {
+    return reject(REJECTION_REASONS.MALFORMED);
+  }
+  return { [key]: value, isValid: true, reason: null, raw: input };
+}
+
+/**
+ * Provenance fields shared by every parser result: the canonical `unit`, the
+ * `sourceUnit` the input was given in (null when it had none), whether the
+ * value was `converted`, and other plausible readings of a unitless value
+ */
+function provenance(unit, sourceUnit = null, alternatives = []) {
+  return {
+    unit,
+    sourceUnit,
+    converted: sourceUnit !== null && sourceUnit !== unit,
+    alternatives
+  };
+}
+
+/**
+ * Read a number and optional unit from a number or string; resolves the unit
+ * through `units` (null when none was given)
+ */
+function parseQuantity(input, units) {
+  const reject = (reason) => ({ value: null, sourceUnit: null, reason });
+
+  if (input === null || input === undefined) {
+    return reject(REJECTION_REASONS.MISSING);
+  }
+  if (typeof input === 'number') {
+    return isNaN(input) ? reject(REJECTION_REASONS.NON_NUMERIC) : { value: input, sourceUnit: null, reason: null };
+  }
+  if (typeof input !== 'string') {
+    return reject(REJECTION_REASONS.INVALID_TYPE);
+  }
+
+  // Handle non-numeric values like "TEMP_ERROR", "fifty-three", etc.
+  const trimmed = input.trim();
+  const problem = checkString(trimmed);
+  if (problem) {
+    return reject(problem);
+  }
+
+  const { body, unit } = splitUnit(trimmed, /^\D*$/);
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(body)) {
+    return reject(REJECTION_REASONS.NON_NUMERIC);
+  }
+
+  const sourceUnit = unit === null ? null : units[normalizeUnit(unit)];
+  if (sourceUnit === undefined) {
+    return reject(REJECTION_REASONS.UNKNOWN_UNIT);
+  }
+  return { value: parseFloat(body), sourceUnit, reason: null };
+}
+
+/**
+ * Split a trailing unit off a value: everything after the last digit, when
+ * it matches `unitPattern`. `unit` is null when there is none.
+ */
+function splitUnit(trimmed, unitPattern) {
+  const match = /^(.*\d)\s*(.*)$/.exec(trimmed);
+  if (!match || match[2] === '' || !unitPattern.test(match[2])) {
+    return { body: trimmed, unit: null };
+  }
+  return { body: match[1], unit: match[2] };
+}
+
+/**
+ * Screen a trimmed string for placeholder, oversized or unsafe content
+ */
+function checkString(trimmed) {
+  if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') {
+    return REJECTION_REASONS.MISSING;
+  }
+  if (trimmed.length > MAX_INPUT_LENGTH) {
+    return REJECTION_REASONS.TOO_LONG;
+  }
+  if (SUSPICIOUS_CHARS.test(trimmed)) {
+    return REJECTION_REASONS.SUSPICIOUS_CHARS;
+  }
+  return null;
+}
@@ -0,0 +1,57 @@
+import { POLICY } from './config.js';
+import { classifyFactor } from './policy.js';
+import { parseBloodPressure, parseTemperature, parseAge, REJECTION_REASONS } from './vitals-parser.js';
+
+/**
+ * Vitals reading for scoring: the vitals-parser.js parsers plus a check that
+ * a unitless value is not scored differently in another plausible unit
+ *
+ * The built-in risk factors (risk-factors.js) parse with these, and utils.js
+ * re-exports them, so this module imports neither.
+ */
+
+/**
+ * Reject a unitless value as AMBIGUOUS_UNIT when reading it in one of its
+ * plausible alternative units would give a different score
+ */
+function resolveUnits(parsed, factor, inputsOf) {
+  if (!parsed.isValid || parsed.alternatives.length === 0) {
+    return parsed;
+  }
+
+  const inputs = inputsOf(parsed);
+  const { score } = classifyFactor(factor, inputs);
+  const ambiguous = parsed.alternatives.some(alternative => classifyFactor(factor, inputsOf(alternative)).score !== score);
+  if (!ambiguous) {
+    return parsed;
+  }
+
+  // `readings` keeps each candidate reading and its band for the decision trace
+  const readings = [{ ...inputs, sourceUnit: parsed.sourceUnit }, ...parsed.alternatives].map(reading => {
+    const band = classifyFactor(factor, inputsOf(reading));
+    return { ...inputsOf(reading), sourceUnit: reading.sourceUnit, band: band.id, score: band.score };
+  });
+  const cleared = Object.fromEntries(Object.keys(inputs).map(input => [input, null]));
+  return { ...parsed, ...cleared, isValid: false, reason: REJECTION_REASONS.AMBIGUOUS_UNIT, readings };
+}
+
+/**
+ * Parse blood pressure for scoring: parseBloodPressure() plus the unit ambiguity check
+ */
+export function readBloodPressure(bpString) {
+  return resolveUnits(parseBloodPressure(bpString), POLICY.factors.bloodPressure, ({ systolic, diastolic }) => ({ systolic, diastolic }));
+}
+
+/**
+ * Parse temperature for scoring: parseTemperature() plus the unit ambiguity check
+ */
+export function readTemperature(tempValue) {
+  return resolveUnits(parseTemperature(tempValue), POLICY.factors.temperature, ({ temperature }) => ({ temperature }));
+}
+
+/**
+ * Parse age for scoring: parseAge() plus the unit ambiguity check
+ */
+export function readAge(ageValue) {
+  return resolveUnits(parseAge(ageValue), POLICY.factors.age, ({ age }) => ({ age }));
+}